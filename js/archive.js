@@ -0,0 +1,232 @@
+// Score archives - a player's profile, scores and replays in one file, to take to another device
+
+/**
+ * Exports a player's leaderboard entries to a JSON file and imports them on another device
+ *
+ * The file holds { format, version, exported, profile, tables }: tables are the player's
+ * entries keyed by the table's storage key. Each entry carries the replay of its run, so
+ * the replays travel with the scores. An imported entry is only added to its table after
+ * verifyEntry() has played its replay through the simulation and got the same result;
+ * entries already in the table (the same hash) are skipped, so importing twice adds nothing.
+ */
+class ScoreArchive {
+    /**
+     * @param {ProfileManager} profiles - Player profiles on this device
+     * @param {CampaignManager} campaign - Campaign whose levels imported replays are played on
+     */
+    constructor(profiles, campaign) {
+        this.profiles = profiles;
+        this.campaign = campaign;
+    }
+
+    /**
+     * Get the storage keys of every leaderboard table on this device
+     * @returns {string[]}
+     */
+    static getTableKeys() {
+        const keys = [];
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key.startsWith(HIGH_SCORE_KEY_PREFIX)) {
+                    keys.push(key);
+                }
+            }
+        } catch (e) {
+            console.warn('Failed to list high score tables:', e);
+        }
+        return keys;
+    }
+
+    /**
+     * Open a leaderboard table by its storage key
+     * @param {string} key - Storage key of the table
+     * @returns {HighScoreManager}
+     */
+    static getTable(key) {
+        return HighScoreManager.forTable(key.slice(HIGH_SCORE_KEY_PREFIX.length));
+    }
+
+    /**
+     * Get the storage key of the table an entry belongs in
+     * @param {Object} entry - Entry with a replay
+     * @returns {string}
+     */
+    static getTableKey(entry) {
+        return `${HIGH_SCORE_KEY_PREFIX}${entry.level}${HighScoreManager.getTableSuffix(entry.replay.lives > 0, entry.difficulty)}`;
+    }
+
+    /**
+     * Gather a player's profile and entries (with their replays) for an export file
+     * Entries saved before replays were kept with scores cannot be checked on import, so are left out
+     * @param {string} playerId - Profile ID
+     * @returns {Object} Archive data, ready for JSON.stringify()
+     * @throws {Error} If there is no such player
+     */
+    export(playerId) {
+        const profile = this.profiles.getProfile(playerId);
+        if (!profile) {
+            throw new Error(`Unknown player: ${playerId}`);
+        }
+
+        const tables = {};
+        ScoreArchive.getTableKeys().forEach(key => {
+            const entries = ScoreArchive.getTable(key).getRankedScores(playerId)
+                .map(row => row.entry)
+                .filter(entry => entry.replay);
+            if (entries.length > 0) {
+                tables[key] = entries;
+            }
+        });
+
+        return {
+            format: GameConfig.archive.format,
+            version: GameConfig.archive.version,
+            exported: Date.now(),
+            profile,
+            tables
+        };
+    }
+
+    /**
+     * Import an export file: add its player, and each entry whose replay checks out
+     * Every entry is checked before anything is changed, so a file none of whose entries check
+     * out leaves the players and tables as they were. Verified runs faster than the personal
+     * best for their level also become its ghost
+     * @param {string} text - File contents
+     * @returns {Object} { profile, added, duplicates, unranked, rejected }
+     *   profile: the imported player, now the current player on this device
+     *   added: entries added to their tables; duplicates: entries already there;
+     *   unranked: verified entries too slow for their table; rejected: [{ key, entry, reason }]
+     * @throws {Error} If the file is not an archive, is from a newer version, its profile is
+     *   damaged, or it has entries and none of them check out
+     */
+    import(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('The file is not valid JSON');
+        }
+        if (!data || data.format !== GameConfig.archive.format || !data.tables || typeof data.tables !== 'object') {
+            throw new Error('The file is not a Mountain Highway score file');
+        }
+        if (data.version > GameConfig.archive.version) {
+            throw new Error(`The file is from a newer version of the game (version ${data.version})`);
+        }
+
+        if (!ProfileManager.isValid(data.profile)) {
+            throw new Error('The player profile is damaged');
+        }
+
+        const verified = [];
+        const rejected = [];
+        Object.entries(data.tables).forEach(([key, entries]) => {
+            if (!Array.isArray(entries)) return;
+
+            entries.forEach(entry => {
+                const reason = this.verifyEntry(entry, key);
+                if (reason) {
+                    rejected.push({ key, entry, reason });
+                } else {
+                    verified.push({ key, entry });
+                }
+            });
+        });
+        if (verified.length === 0 && rejected.length > 0) {
+            throw new Error(`None of its scores could be checked (${rejected[0].reason})`);
+        }
+
+        const profile = this.profiles.importProfile(data.profile);
+        const summary = { profile, added: 0, duplicates: 0, unranked: 0, rejected };
+
+        verified.forEach(({ key, entry }) => {
+            const table = ScoreArchive.getTable(key);
+            if (table.getScores().some(existing => existing.hash === entry.hash)) {
+                summary.duplicates++;
+            } else if (table.addEntry(entry).rank !== null) {
+                summary.added++;
+            } else {
+                summary.unranked++;
+            }
+
+            if (entry.level !== 'endless') {
+                const suffix = HighScoreManager.getTableSuffix(entry.replay.lives > 0, entry.difficulty);
+                new ReplayStore(`mountainHighway.replays.best${suffix}`).saveIfBest(Replay.fromJSON(entry.replay));
+            }
+        });
+        return summary;
+    }
+
+    /**
+     * Check an imported entry: its hash, the table it is for, and that its replay plays back
+     * to the same result on this device's copy of the level
+     * @param {Object} entry - Entry from an export file
+     * @param {string} key - Storage key of the table it is to go in
+     * @returns {string|null} Why the entry cannot be accepted, or null if it checks out
+     */
+    verifyEntry(entry, key) {
+        const replay = entry && Replay.fromJSON(entry.replay);
+        if (!replay || typeof entry.level !== 'string' || typeof HighScoreManager.getValue(entry) !== 'number') {
+            return 'No replay to check the score with';
+        }
+        if (entry.hash !== HighScoreManager.getRecordHash(entry)) {
+            return 'The score record has been changed';
+        }
+        if (entry.player && (typeof entry.player.name !== 'string' || !ProfileManager.isValidColor(entry.player.color))) {
+            return 'The player on the score is damaged';
+        }
+        if (entry.paused) {
+            return 'Paused runs are not ranked';
+        }
+        if (replay.levelId !== entry.level) {
+            return 'The replay is for another level';
+        }
+        if (!GameConfig.difficulty.presets[entry.difficulty]) {
+            return `Unknown difficulty: ${entry.difficulty}`;
+        }
+        if (key !== ScoreArchive.getTableKey(entry)) {
+            return 'The score is in the wrong table';
+        }
+
+        let level = null;
+        if (replay.seed === null) {
+            const index = this.campaign.getLevelIndex(entry.level);
+            if (index === -1) {
+                return 'The level is not on this device';
+            }
+            level = this.campaign.getLevel(index);
+        }
+
+        // Play the replay at the difficulty it was recorded at, then put the player's difficulty back
+        const difficulty = Difficulty.getCurrent();
+        Difficulty.apply(entry.difficulty);
+        try {
+            if (!replay.isCompatible(entry.level)) {
+                return 'The replay was recorded with other game settings';
+            }
+
+            const sim = new ReplayPlayer(replay, level).endSimulation;
+
+            const reproduced = replay.seed === null
+                ? sim.gameState === GameState.FINISH && sim.finishTime === entry.time
+                : sim.gameState === GameState.GAME_OVER && sim.bridgesCrossed === entry.score;
+            const livesOk = entry.livesUsed === undefined || entry.livesUsed === sim.livesUsed;
+            if (!reproduced || !livesOk) {
+                return 'The replay does not reproduce the score';
+            }
+
+            // The replay's own result becomes the ghost's, so it must match the run too. Pauses do not
+            // change how a run plays out - the count is checked against the entry's (hashed) pause flag
+            const { result } = replay;
+            const time = sim.gameState === GameState.FINISH ? sim.finishTime : sim.gameTimer;
+            if (result.state !== sim.gameState || result.time !== time || result.bridgesCrossed !== sim.bridgesCrossed ||
+                result.livesUsed !== sim.livesUsed || (result.pauses > 0) !== !!entry.paused) {
+                return 'The replay result does not match the run';
+            }
+        } finally {
+            Difficulty.apply(difficulty);
+        }
+        return null;
+    }
+}
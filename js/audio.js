@@ -0,0 +1,388 @@
+// Audio - sound effects synthesized with the Web Audio API (no sound files)
+
+/**
+ * Plays the game's sound effects by watching the simulation each frame
+ *
+ * Like Renderer, the audio manager only reads simulation state: continuous sounds
+ * (engine hum, growing bridge tone) follow the car and bridge, and one-shot sounds
+ * play when the state changes (slam, fall, countdown, finish).
+ *
+ * Browsers only allow audio after a user gesture, so the AudioContext is created on
+ * the first click, touch or key press. Until then update() does nothing.
+ */
+class AudioManager {
+    /**
+     * @param {Settings} settings - Player settings, where the volumes and mute are saved
+     */
+    constructor(settings = new Settings()) {
+        this.settings = settings;
+
+        // Web Audio graph - built by unlock()
+        this.context = null;
+        this.masterGain = null;
+        this.sfxGain = null;
+        this.engine = null;           // { oscillator, filter, gain } - runs continuously
+        this.bridgeTone = null;       // { oscillator, gain } - runs continuously
+
+        // Simulation state on the previous update, to spot changes
+        this.lastState = null;
+        this.lastCountdown = null;
+        this.lastCarPosition = null;
+
+        this.setupUnlock();
+    }
+
+    /**
+     * Keep a volume between 0 and 1
+     * @param {*} value - Volume to check
+     * @param {number} fallback - Used if value is not a number
+     * @returns {number}
+     */
+    static clampVolume(value, fallback) {
+        return typeof value === 'number' && isFinite(value) ? Math.min(1, Math.max(0, value)) : fallback;
+    }
+
+    /**
+     * Get the overall volume (0 to 1), whether or not sound is muted
+     * @returns {number}
+     */
+    getMasterVolume() {
+        return this.settings.get('masterVolume');
+    }
+
+    /**
+     * Set the overall volume (0 to 1)
+     * @param {number} volume
+     */
+    setMasterVolume(volume) {
+        this.settings.set('masterVolume', AudioManager.clampVolume(volume, this.getMasterVolume()));
+        this.applyVolumes();
+    }
+
+    /**
+     * Get the sound effects volume (0 to 1)
+     * @returns {number}
+     */
+    getSfxVolume() {
+        return this.settings.get('sfxVolume');
+    }
+
+    /**
+     * Set the sound effects volume (0 to 1)
+     * @param {number} volume
+     */
+    setSfxVolume(volume) {
+        this.settings.set('sfxVolume', AudioManager.clampVolume(volume, this.getSfxVolume()));
+        this.applyVolumes();
+    }
+
+    /**
+     * Turn all sound off or back on
+     * @returns {boolean} Whether sound is now muted
+     */
+    toggleMute() {
+        this.settings.set('muted', !this.isMuted());
+        this.applyVolumes();
+        return this.isMuted();
+    }
+
+    /**
+     * Check if sound is muted
+     * @returns {boolean}
+     */
+    isMuted() {
+        return this.settings.get('muted');
+    }
+
+    /**
+     * Push the current settings to the gain nodes
+     */
+    applyVolumes() {
+        if (!this.context) return;
+
+        const now = this.context.currentTime;
+        const master = this.isMuted() ? 0 : this.getMasterVolume();
+        this.masterGain.gain.setTargetAtTime(master, now, 0.02);
+        this.sfxGain.gain.setTargetAtTime(this.getSfxVolume(), now, 0.02);
+    }
+
+    /**
+     * Create the AudioContext on the first user gesture
+     */
+    setupUnlock() {
+        const events = ['mousedown', 'touchend', 'keydown'];
+        const unlock = () => {
+            if (this.unlock()) {
+                events.forEach(type => window.removeEventListener(type, unlock, true));
+            }
+        };
+        events.forEach(type => window.addEventListener(type, unlock, true));
+    }
+
+    /**
+     * Create the AudioContext and the continuous sounds (must be called from a user gesture)
+     * @returns {boolean} True once audio is running (false if Web Audio is not available)
+     */
+    unlock() {
+        if (this.context) {
+            if (this.context.state === 'suspended') {
+                this.context.resume();
+            }
+            return true;
+        }
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return false;
+
+        try {
+            this.context = new AudioContextClass();
+        } catch (e) {
+            console.warn('Failed to start audio:', e);
+            return false;
+        }
+
+        this.masterGain = this.context.createGain();
+        this.masterGain.gain.value = 0;
+        this.masterGain.connect(this.context.destination);
+        this.sfxGain = this.context.createGain();
+        this.sfxGain.connect(this.masterGain);
+        this.applyVolumes();
+
+        this.engine = this.createEngine();
+        this.bridgeTone = this.createBridgeTone();
+        return true;
+    }
+
+    /**
+     * Engine hum: a low sawtooth through a low-pass filter, silent until the car moves
+     * @returns {{oscillator: OscillatorNode, filter: BiquadFilterNode, gain: GainNode}}
+     */
+    createEngine() {
+        const settings = GameConfig.audio.engine;
+        const oscillator = this.context.createOscillator();
+        oscillator.type = 'sawtooth';
+        oscillator.frequency.value = settings.idleFrequency;
+
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = settings.filterFrequency;
+
+        const gain = this.context.createGain();
+        gain.gain.value = 0;
+
+        oscillator.connect(filter).connect(gain).connect(this.sfxGain);
+        oscillator.start();
+        return { oscillator, filter, gain };
+    }
+
+    /**
+     * Rising bridge tone: a triangle wave, silent until the bridge grows
+     * @returns {{oscillator: OscillatorNode, gain: GainNode}}
+     */
+    createBridgeTone() {
+        const oscillator = this.context.createOscillator();
+        oscillator.type = 'triangle';
+        oscillator.frequency.value = GameConfig.audio.bridgeTone.baseFrequency;
+
+        const gain = this.context.createGain();
+        gain.gain.value = 0;
+
+        oscillator.connect(gain).connect(this.sfxGain);
+        oscillator.start();
+        return { oscillator, gain };
+    }
+
+    /**
+     * Stop the continuous sounds (when the animation loop stops at the start screen)
+     */
+    silence() {
+        this.lastState = null;
+        this.lastCountdown = null;
+        this.lastCarPosition = null;
+        if (!this.context) return;
+
+        const now = this.context.currentTime;
+        this.engine.gain.gain.setTargetAtTime(0, now, 0.02);
+        this.bridgeTone.gain.gain.setTargetAtTime(0, now, 0.02);
+    }
+
+    /**
+     * Follow the simulation: set the continuous sounds and play sounds for state changes
+     * @param {Simulation} sim - The simulation being shown
+     * @param {number} elapsed - Seconds since the last update
+     */
+    update(sim, elapsed) {
+        const state = sim.gameState;
+        const carPosition = { row: sim.carRow, col: sim.carCol };
+
+        if (this.context) {
+            this.updateEngine(sim, carPosition, elapsed);
+            this.updateBridgeTone(sim);
+            this.playStateChanges(sim);
+        }
+
+        this.lastState = state;
+        this.lastCountdown = state === GameState.COUNTDOWN ? sim.countdownValue : null;
+        this.lastCarPosition = carPosition;
+    }
+
+    /**
+     * Set the engine pitch and volume from how fast the car moved since the last update
+     * @param {Simulation} sim - The simulation being shown
+     * @param {{row: number, col: number}} carPosition - Car position now
+     * @param {number} elapsed - Seconds since the last update
+     */
+    updateEngine(sim, carPosition, elapsed) {
+        const settings = GameConfig.audio.engine;
+        const last = this.lastCarPosition;
+
+        let speedRatio = 0;
+        if (last && elapsed > 0) {
+            const distance = Math.abs(carPosition.row - last.row) + Math.abs(carPosition.col - last.col);
+            speedRatio = Math.min(1, distance / elapsed / GameConfig.car.speed);
+        }
+
+        // The engine idles while the car waits at a bridge, and stops once the run is over
+        const running = [GameState.DRIVING, GameState.TURNING, GameState.BRIDGE_GROWING, GameState.BRIDGE_SLAMMING,
+            GameState.DOOMED, GameState.SEGMENT_DONE].includes(sim.gameState);
+
+        const now = this.context.currentTime;
+        const frequency = settings.idleFrequency + speedRatio * (settings.topFrequency - settings.idleFrequency);
+        const volume = running ? settings.volume * (settings.idleLevel + (1 - settings.idleLevel) * speedRatio) : 0;
+        this.engine.oscillator.frequency.setTargetAtTime(frequency, now, settings.smoothing);
+        this.engine.gain.gain.setTargetAtTime(volume, now, settings.smoothing);
+    }
+
+    /**
+     * Sound the bridge tone while it grows, pitched by its length
+     * @param {Simulation} sim - The simulation being shown
+     */
+    updateBridgeTone(sim) {
+        const settings = GameConfig.audio.bridgeTone;
+        const growing = sim.gameState === GameState.BRIDGE_GROWING && sim.bridgeLength > 0 && sim.buttonHeld;
+
+        const now = this.context.currentTime;
+        const frequency = settings.baseFrequency + sim.bridgeLength * settings.frequencyPerUnit;
+        this.bridgeTone.oscillator.frequency.setTargetAtTime(frequency, now, 0.01);
+        this.bridgeTone.gain.gain.setTargetAtTime(growing ? settings.volume : 0, now, 0.02);
+    }
+
+    /**
+     * Play one-shot sounds for what happened since the last update
+     * @param {Simulation} sim - The simulation being shown
+     */
+    playStateChanges(sim) {
+        const state = sim.gameState;
+        const last = this.lastState;
+
+        // A new run (or leaving the run) is not a state change within the run
+        const restarted = state === GameState.COUNTDOWN || state === GameState.START_SCREEN;
+
+        if (state === GameState.COUNTDOWN && sim.countdownValue !== this.lastCountdown) {
+            this.playBeep(GameConfig.audio.beep.countFrequency);
+        }
+        if (last === GameState.COUNTDOWN && !restarted) {
+            this.playBeep(GameConfig.audio.beep.goFrequency);
+        }
+        if (last === GameState.BRIDGE_SLAMMING && state !== GameState.BRIDGE_SLAMMING && !restarted) {
+            this.playThud();
+        }
+        if (state === GameState.FALLING && last !== GameState.FALLING) {
+            this.playWhoosh();
+        }
+        if (state === GameState.FINISH && last !== GameState.FINISH && last !== null) {
+            this.playFanfare();
+        }
+    }
+
+    /**
+     * Play a tone with a quick attack and exponential decay
+     * @param {string} type - Oscillator type
+     * @param {number} frequency - Starting frequency (Hz)
+     * @param {number} startTime - AudioContext time to start
+     * @param {number} duration - Length (seconds)
+     * @param {number} volume - Peak volume
+     * @param {number|null} endFrequency - Frequency to slide to, or null to hold the pitch
+     */
+    playTone(type, frequency, startTime, duration, volume, endFrequency = null) {
+        const oscillator = this.context.createOscillator();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, startTime);
+        if (endFrequency !== null) {
+            oscillator.frequency.exponentialRampToValueAtTime(endFrequency, startTime + duration);
+        }
+
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0.0001, startTime);
+        gain.gain.exponentialRampToValueAtTime(volume, startTime + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, startTime + duration);
+
+        oscillator.connect(gain).connect(this.sfxGain);
+        oscillator.start(startTime);
+        oscillator.stop(startTime + duration + 0.05);
+    }
+
+    /**
+     * Countdown beep
+     * @param {number} frequency - Pitch (Hz)
+     */
+    playBeep(frequency) {
+        const settings = GameConfig.audio.beep;
+        this.playTone('square', frequency, this.context.currentTime, settings.duration, settings.volume);
+    }
+
+    /**
+     * Low thud as the bridge lands
+     */
+    playThud() {
+        const settings = GameConfig.audio.thud;
+        this.playTone('sine', settings.startFrequency, this.context.currentTime, settings.duration, settings.volume,
+            settings.endFrequency);
+    }
+
+    /**
+     * Falling whoosh: band-passed noise sweeping down
+     */
+    playWhoosh() {
+        const settings = GameConfig.audio.whoosh;
+        const now = this.context.currentTime;
+
+        // One-off buffer of white noise
+        const length = Math.floor(this.context.sampleRate * settings.duration);
+        const buffer = this.context.createBuffer(1, length, this.context.sampleRate);
+        const samples = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            samples[i] = Math.random() * 2 - 1;
+        }
+
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.Q.value = 1.5;
+        filter.frequency.setValueAtTime(settings.startFrequency, now);
+        filter.frequency.exponentialRampToValueAtTime(settings.endFrequency, now + settings.duration);
+
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0.0001, now);
+        gain.gain.exponentialRampToValueAtTime(settings.volume, now + settings.duration * 0.3);
+        gain.gain.exponentialRampToValueAtTime(0.0001, now + settings.duration);
+
+        source.connect(filter).connect(gain).connect(this.sfxGain);
+        source.start(now);
+    }
+
+    /**
+     * Finish fanfare: a rising major arpeggio
+     */
+    playFanfare() {
+        const settings = GameConfig.audio.fanfare;
+        const now = this.context.currentTime;
+        settings.notes.forEach((frequency, i) => {
+            const last = i === settings.notes.length - 1;
+            const duration = last ? settings.noteLength * 3 : settings.noteLength;
+            this.playTone('square', frequency, now + i * settings.noteLength, duration, settings.volume);
+        });
+    }
+}
@@ -0,0 +1,133 @@
+// Bot player - presses and releases the bridge button by itself, through the real simulation
+
+/**
+ * Plays a level by feeding button states to a Simulation, like a player would
+ *
+ * At each bridge the bot waits a reaction time, then holds for the CourseSolver hold
+ * time at its aim point in the safe window, plus a Gaussian timing error. Skills are
+ * named presets from GameConfig.bot.skills or objects with the same fields. The bot
+ * draws from a SeededRandom, so the same seed always plays the same run.
+ */
+class BotPlayer {
+    /**
+     * @param {string|Object} skill - Name of a GameConfig.bot.skills preset, or
+     *   {reactionTime, reactionJitter, aim, timingError}
+     * @param {number|string} seed - Seed for reaction and timing errors
+     */
+    constructor(skill = 'perfect', seed = 1) {
+        this.skill = typeof skill === 'string' ? GameConfig.bot.skills[skill] : skill;
+        if (!this.skill) {
+            throw new Error(`Unknown bot skill: ${skill}`);
+        }
+        this.random = new SeededRandom(seed);
+        this.reset();
+    }
+
+    /**
+     * Forget the bridge being built (call when the simulation restarts)
+     */
+    reset() {
+        this.plan = null;
+    }
+
+    /**
+     * Decide the button state for the next simulation step
+     * Call before every step (or frame) with the simulation being played
+     * @param {Simulation} simulation - The run the bot is playing
+     * @returns {Object} { pressed: boolean } inputs for Simulation.step() or update()
+     */
+    getInputs(simulation) {
+        if (simulation.gameState !== GameState.BRIDGE_GROWING) {
+            return { pressed: false };
+        }
+
+        // bridgeTicks grows by one each time a bridge is reached, in endless mode too, and
+        // livesUsed each time the car respawns to try a bridge again
+        const bridgeNumber = simulation.bridgeTicks.length + simulation.livesUsed;
+        if (!this.plan || this.plan.bridgeNumber !== bridgeNumber) {
+            this.plan = this.planBridge(simulation, bridgeNumber);
+        }
+
+        // Decide for the time of the step about to be taken
+        const elapsed = simulation.time + simulation.timestep - this.plan.reachedTime;
+        const pressed = elapsed >= this.plan.pressDelay && elapsed < this.plan.pressDelay + this.plan.holdTime;
+        return { pressed };
+    }
+
+    /**
+     * Choose when to press and how long to hold for the bridge just reached
+     * @param {Simulation} simulation - Simulation waiting at the bridge
+     * @param {number} bridgeNumber - Bridges reached (and respawns) so far in the run
+     * @returns {Object} {bridgeNumber, reachedTime, pressDelay, holdTime}
+     */
+    planBridge(simulation, bridgeNumber) {
+        const solved = CourseSolver.solveBridge(simulation.getCurrentBridge(), simulation.islands,
+            GrowthProfile.forLevel(simulation.level));
+        const window = solved.latestHoldTime - solved.holdTime;
+
+        let holdTime = solved.holdTime + window * this.skill.aim;
+        holdTime += this.random.nextGaussian() * this.skill.timingError * holdTime;
+
+        // A release inside the dead zone is ignored, which would leave the bot waiting forever
+        holdTime = Math.max(holdTime, GameConfig.bridge.inputDeadZone + simulation.timestep);
+
+        const pressDelay = Math.max(0, this.skill.reactionTime + this.random.nextGaussian() * this.skill.reactionJitter);
+
+        return { bridgeNumber, reachedTime: simulation.time, pressDelay, holdTime };
+    }
+
+    /**
+     * Play a level from the countdown to the finish or a fall, one step at a time
+     * @param {Level} level - The level to play
+     * @param {string|Object} skill - Bot skill (see constructor)
+     * @param {number|string} seed - Seed for the bot
+     * @returns {Simulation} The simulation at the end of the run
+     */
+    static play(level, skill = 'perfect', seed = 1) {
+        const bot = new BotPlayer(skill, seed);
+        const simulation = new Simulation({ logging: false });
+        simulation.loadLevel(level);
+        simulation.startCountdown();
+
+        const maxTicks = Math.ceil(GameConfig.bot.maxRunTime / simulation.timestep);
+        while (simulation.gameState !== GameState.FINISH && simulation.gameState !== GameState.GAME_OVER &&
+               simulation.tick < maxTicks) {
+            simulation.step(simulation.timestep, bot.getInputs(simulation));
+        }
+        return simulation;
+    }
+
+    /**
+     * Estimate how often a level is completed by playing it many times
+     * @param {Level} level - The level to test
+     * @param {string|Object} skill - Bot skill (see constructor)
+     * @param {number} runs - Number of runs
+     * @param {number|string} seed - Seed for the first run (run i uses `${seed}/${i}`)
+     * @returns {Object} {runs, completed, completionRate, averageTime, fallsByBridge}
+     *   averageTime: mean finish time of completed runs (null if none finished)
+     *   fallsByBridge: number of runs that fell at each bridge, by bridge index
+     */
+    static estimateCompletion(level, skill = 'human', runs = 100, seed = 1) {
+        const fallsByBridge = level.getBridges().map(() => 0);
+        let completed = 0;
+        let totalTime = 0;
+
+        for (let i = 0; i < runs; i++) {
+            const simulation = BotPlayer.play(level, skill, `${seed}/${i}`);
+            if (simulation.gameState === GameState.FINISH) {
+                completed++;
+                totalTime += simulation.finishTime;
+            } else if (simulation.gameState === GameState.GAME_OVER) {
+                fallsByBridge[simulation.bridgeResults.length - 1]++;
+            }
+        }
+
+        return {
+            runs,
+            completed,
+            completionRate: runs > 0 ? completed / runs : 0,
+            averageTime: completed > 0 ? totalTime / completed : null,
+            fallsByBridge
+        };
+    }
+}
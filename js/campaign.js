@@ -0,0 +1,373 @@
+// Campaign - ordered list of levels with locally persisted progress
+
+/**
+ * Campaign levels in play order, in the JSON level file format (see LEVEL_FORMAT.md)
+ * Each level unlocks once the previous one has been completed
+ */
+const CampaignLevels = [
+    {
+        version: 1,
+        metadata: {
+            id: 'first-steps',
+            name: 'First Steps',
+            description: 'Short gaps and gentle corners'
+        },
+        start: { row: 1, col: 1 },
+        spans: [
+            { length: 5, direction: 'column' },
+            { length: 5, direction: 'row' },
+            { length: 4, direction: 'column' },
+            { length: 5, direction: 'row' },
+            { length: 1, direction: 'column' }
+        ],
+        islands: [
+            { name: 'Start', row: 0, col: 0, width: 3, height: 3 },
+            { row: 0, col: 5, width: 3, height: 3 },
+            { row: 5, col: 5, width: 3, height: 3 },
+            { row: 5, col: 9, width: 3, height: 3 },
+            { name: 'Finish', row: 10, col: 9, width: 3, height: 3 }
+        ]
+    },
+    {
+        version: 1,
+        metadata: {
+            id: 'switchbacks',
+            name: 'Switchbacks',
+            description: 'Roads that wind across wide islands'
+        },
+        start: { row: 1, col: 1 },
+        spans: [
+            { length: 5, direction: 'column' },
+            { length: 2, direction: 'row' },
+            { length: 5, direction: 'column' },
+            { length: 6, direction: 'row' },
+            { length: 2, direction: 'column' },
+            { length: 5, direction: 'row' },
+            { length: 6, direction: 'column' },
+            { length: 5, direction: 'row' },
+            { length: 1, direction: 'column' }
+        ],
+        islands: [
+            { name: 'Start', row: 0, col: 0, width: 3, height: 3 },
+            { row: 0, col: 5, width: 3, height: 4 },
+            { row: 2, col: 10, width: 3, height: 3 },
+            { row: 8, col: 10, width: 4, height: 3 },
+            { row: 13, col: 12, width: 3, height: 3 },
+            { row: 13, col: 18, width: 3, height: 3 },
+            { name: 'Finish', row: 18, col: 18, width: 3, height: 3 }
+        ]
+    },
+    {
+        version: 1,
+        metadata: {
+            id: 'backtrack',
+            name: 'Backtrack',
+            description: 'Sometimes the way up is back down'
+        },
+        start: { row: 1, col: 1 },
+        spans: [
+            { length: 6, direction: 'row' },
+            { length: 5, direction: 'column' },
+            { length: 3, direction: 'row' },
+            { length: 5, direction: 'column' },
+            { length: -4, direction: 'row' },
+            { length: 5, direction: 'column' },
+            { length: 7, direction: 'row' },
+            { length: 5, direction: 'column' },
+            { length: 5, direction: 'row' },
+            { length: 1, direction: 'column' }
+        ],
+        islands: [
+            { name: 'Start', row: 0, col: 0, width: 3, height: 3 },
+            { row: 6, col: 0, width: 3, height: 3 },
+            { row: 6, col: 5, width: 3, height: 6 },
+            { row: 9, col: 10, width: 3, height: 3 },
+            { row: 4, col: 10, width: 3, height: 3 },
+            { row: 5, col: 15, width: 3, height: 3 },
+            { row: 12, col: 15, width: 3, height: 3 },
+            { row: 12, col: 20, width: 3, height: 3 },
+            { name: 'Finish', row: 17, col: 20, width: 3, height: 3 }
+        ]
+    },
+    {
+        version: 1,
+        metadata: {
+            id: 'long-drop',
+            name: 'Long Drop',
+            description: 'Wide gaps between small islands'
+        },
+        start: { row: 1, col: 1 },
+        spans: [
+            { length: 5, direction: 'column' },
+            { length: 6, direction: 'row' },
+            { length: 5, direction: 'column' },
+            { length: 5, direction: 'row' },
+            { length: 6, direction: 'column' },
+            { length: 5, direction: 'row' },
+            { length: 6, direction: 'column' },
+            { length: 1, direction: 'row' }
+        ],
+        islands: [
+            { name: 'Start', row: 0, col: 0, width: 2, height: 2 },
+            { row: 0, col: 5, width: 2, height: 2 },
+            { row: 6, col: 5, width: 2, height: 2 },
+            { row: 6, col: 10, width: 2, height: 2 },
+            { row: 11, col: 10, width: 2, height: 3 },
+            { row: 11, col: 16, width: 2, height: 2 },
+            { row: 16, col: 16, width: 2, height: 2 },
+            { name: 'Finish', row: 16, col: 22, width: 2, height: 3 }
+        ]
+    },
+    {
+        version: 1,
+        metadata: {
+            id: 'summit',
+            name: 'Summit',
+            description: 'Everything at once on the way to the top'
+        },
+        start: { row: 1, col: 1 },
+        spans: [
+            { length: 6, direction: 'column' },
+            { length: 5, direction: 'row' },
+            { length: -4, direction: 'column' },
+            { length: 6, direction: 'row' },
+            { length: 2, direction: 'column' },
+            { length: 5, direction: 'row' },
+            { length: 7, direction: 'column' },
+            { length: -4, direction: 'row' },
+            { length: 6, direction: 'column' },
+            { length: 4, direction: 'row' },
+            { length: 4, direction: 'column' },
+            { length: 6, direction: 'row' },
+            { length: 4, direction: 'column' },
+            { length: 1, direction: 'row' }
+        ],
+        islands: [
+            { name: 'Start', row: 0, col: 0, width: 3, height: 3 },
+            { row: 0, col: 6, width: 3, height: 3 },
+            { row: 5, col: 6, width: 3, height: 2 },
+            { row: 5, col: 1, width: 3, height: 3 },
+            { row: 11, col: 2, width: 4, height: 3 },
+            { row: 16, col: 4, width: 3, height: 2 },
+            { row: 16, col: 11, width: 3, height: 3 },
+            { row: 11, col: 11, width: 3, height: 3 },
+            { row: 12, col: 17, width: 2, height: 6 },
+            { row: 16, col: 21, width: 3, height: 3 },
+            { row: 22, col: 21, width: 2, height: 2 },
+            { name: 'Finish', row: 22, col: 25, width: 3, height: 3 }
+        ]
+    }
+];
+
+class CampaignManager {
+    /**
+     * Create a campaign from level file data
+     * @param {Array<Object>} levelData - Level files in play order
+     * @param {string} storageKey - localStorage key for campaign progress
+     */
+    constructor(levelData = CampaignLevels, storageKey = 'mountainHighway.campaign') {
+        this.storageKey = storageKey;
+        this.levels = levelData.map(data => Level.fromJSON(data));
+        this.progress = this.loadProgress();
+    }
+
+    /**
+     * Get number of levels in the campaign
+     * @returns {number}
+     */
+    getLevelCount() {
+        return this.levels.length;
+    }
+
+    /**
+     * Get a level by campaign index
+     * @param {number} index - Campaign index (0-based)
+     * @returns {Level}
+     */
+    getLevel(index) {
+        return this.levels[index];
+    }
+
+    /**
+     * Get the stable ID of a level (used as storage key suffix)
+     * @param {number} index - Campaign index (0-based)
+     * @returns {string}
+     */
+    getLevelId(index) {
+        return this.levels[index].metadata.id;
+    }
+
+    /**
+     * Find a level by its ID
+     * @param {string} levelId - Level ID
+     * @returns {number} Campaign index (0-based), or -1 if no campaign level has the ID
+     */
+    getLevelIndex(levelId) {
+        return this.levels.findIndex(level => level.metadata.id === levelId);
+    }
+
+    /**
+     * Get the display name of a level
+     * @param {number} index - Campaign index (0-based)
+     * @returns {string} e.g. "Level 2: Switchbacks"
+     */
+    getLevelTitle(index) {
+        const name = this.levels[index].metadata.name || this.getLevelId(index);
+        return `Level ${index + 1}: ${name}`;
+    }
+
+    /**
+     * Get how hard a level is (see CourseSolver.rate())
+     * @param {number} index - Campaign index (0-based)
+     * @returns {Object} {narrowestWindowMs, averageWindowMs, immediateCorners, score, rating}
+     */
+    getDifficulty(index) {
+        return CourseSolver.solve(this.levels[index]).difficulty;
+    }
+
+    /**
+     * Create a high score manager for a level's best times
+     * Stored under HIGH_SCORE_KEY_PREFIX, suffixed with the level ID (see HighScoreManager.getTableSuffix())
+     * Times saved before the campaign existed (under LEGACY_HIGH_SCORE_KEY) were set on the original
+     * course, which the first level replaced as the level the game opens on. That course does not pass
+     * validation, so it is not in the campaign - its times move into the first level's Normal table.
+     * @param {number} index - Campaign index (0-based)
+     * @param {boolean} lives - Get the lives mode table, kept apart from runs without respawns
+     * @param {string} difficulty - Difficulty preset whose table to get (defaults to the current one)
+     * @returns {HighScoreManager}
+     */
+    getHighScoreManager(index, lives = false, difficulty = GameConfig.difficulty.current) {
+        const id = this.getLevelId(index);
+        const suffix = HighScoreManager.getTableSuffix(lives, difficulty);
+        const table = new HighScoreManager(`${HIGH_SCORE_KEY_PREFIX}${id}${suffix}`, GameConfig.leaderboard.maxEntries,
+            false, { level: id, difficulty });
+        if (index === 0 && suffix === '') {
+            table.adoptTable(LEGACY_HIGH_SCORE_KEY);
+        }
+        return table;
+    }
+
+    /**
+     * Get the best time for a level at the current difficulty
+     * @param {number} index - Campaign index (0-based)
+     * @returns {number|null} Best time in seconds, or null if never completed
+     */
+    getBestTime(index) {
+        const scores = this.getHighScoreManager(index).getScores();
+        return scores.length > 0 ? HighScoreManager.getValue(scores[0]) : null;
+    }
+
+    /**
+     * Check if a level has been completed at least once
+     * @param {number} index - Campaign index (0-based)
+     * @returns {boolean}
+     */
+    isCompleted(index) {
+        return this.progress.completed.includes(this.getLevelId(index));
+    }
+
+    /**
+     * Check if a level can be played
+     * The first level is always unlocked; others unlock when the previous level is completed
+     * @param {number} index - Campaign index (0-based)
+     * @returns {boolean}
+     */
+    isUnlocked(index) {
+        if (index < 0 || index >= this.levels.length) return false;
+        return index === 0 || this.isCompleted(index - 1);
+    }
+
+    /**
+     * Check if there is a level after this one
+     * @param {number} index - Campaign index (0-based)
+     * @returns {boolean}
+     */
+    hasNextLevel(index) {
+        return index + 1 < this.levels.length;
+    }
+
+    /**
+     * Get the level the player was last playing (to resume from)
+     * @returns {number} Campaign index (0-based)
+     */
+    getCurrentIndex() {
+        const index = this.levels.findIndex(level => level.metadata.id === this.progress.current);
+        return (index !== -1 && this.isUnlocked(index)) ? index : 0;
+    }
+
+    /**
+     * Remember the level the player is playing
+     * @param {number} index - Campaign index (0-based)
+     */
+    setCurrentIndex(index) {
+        this.progress.current = this.getLevelId(index);
+        this.saveProgress();
+    }
+
+    /**
+     * Record that a level has been completed, unlocking the next one
+     * @param {number} index - Campaign index (0-based)
+     * @returns {boolean} True if this completion unlocked a new level
+     */
+    completeLevel(index) {
+        const id = this.getLevelId(index);
+        const wasNextUnlocked = this.isUnlocked(index + 1);
+
+        if (!this.progress.completed.includes(id)) {
+            this.progress.completed.push(id);
+            this.saveProgress();
+        }
+
+        return this.hasNextLevel(index) && !wasNextUnlocked;
+    }
+
+    /**
+     * Get display data for the level select screen
+     * @returns {Array} Array of {title, unlocked, completed, bestTime, current, difficulty}
+     */
+    getLevelSummaries() {
+        const currentIndex = this.getCurrentIndex();
+
+        return this.levels.map((level, index) => ({
+            title: this.getLevelTitle(index),
+            unlocked: this.isUnlocked(index),
+            completed: this.isCompleted(index),
+            bestTime: this.getBestTime(index),
+            current: index === currentIndex,
+            difficulty: this.getDifficulty(index).rating
+        }));
+    }
+
+    /**
+     * Read campaign progress from localStorage
+     * @returns {{current: string|null, completed: string[]}}
+     */
+    loadProgress() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                const progress = JSON.parse(stored);
+                if (progress && Array.isArray(progress.completed)) {
+                    return {
+                        current: typeof progress.current === 'string' ? progress.current : null,
+                        completed: progress.completed.filter(id => typeof id === 'string')
+                    };
+                }
+            }
+        } catch (e) {
+            console.warn('Failed to read campaign progress:', e);
+        }
+        return { current: null, completed: [] };
+    }
+
+    /**
+     * Save campaign progress to localStorage
+     */
+    saveProgress() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.progress));
+        } catch (e) {
+            console.warn('Failed to save campaign progress:', e);
+        }
+    }
+}
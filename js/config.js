@@ -42,7 +42,19 @@ const GameConfig = {
         color: '#AAAAAA',  // Medium-light gray (same as road)
         baseOffset: 0.1,   // How far bridge starts back onto island edge
         leeway: 0.3,       // Forgiveness distance for slightly short bridges (units)
-        inputDeadZone: 0.05 // Delay before bridge starts growing (seconds) - prevents accidental taps
+        inputDeadZone: 0.05, // Delay before bridge starts growing (seconds) - prevents accidental taps
+        maxExtension: 1.75, // Bridge stops growing this far past the gap (units)
+        cornerOvershoot: 1.5, // Longest safe bridge past the gap when the road turns 1 unit onto the next island
+        openOvershoot: 10.0, // Longest safe bridge past the gap everywhere else (units)
+        growthProfile: 'linear' // Key of growthProfiles below - a level's metadata.growthProfile overrides it
+    },
+
+    // Bridge growth profiles (see js/growth.js) - speeds scale with bridge.growthRate
+    growthProfiles: {
+        linear: { name: 'Linear' },
+        easeIn: { name: 'Ease-in', rampTime: 1.0, power: 2 }, // Slower than linear for rampTime seconds, faster after
+        oscillating: { name: 'Oscillating' },  // Grows to full length and shrinks back while held
+        stepped: { name: 'Stepped', stepLength: 0.5 } // Grows in whole steps of this many units
     },
 
     // Physics
@@ -51,6 +63,132 @@ const GameConfig = {
         tumbleRate: 3.0    // Rotation speed while falling (radians per second)
     },
 
+    // Simulation timing (see js/simulation.js)
+    simulation: {
+        timestep: 1 / 120,   // Fixed step length (seconds) - results do not depend on frame rate
+        maxFrameTime: 0.25   // Longest frame simulated at once (seconds) - avoids a spiral after a stall
+    },
+
+    // Replay playback (see js/replay.js)
+    replay: {
+        speeds: [0.25, 0.5, 1, 2, 4], // Playback speeds cycled by the speed button (must include 1)
+        maxRunTime: 1800              // Longest run a replay can hold (seconds) - playing one back simulates
+                                      // it all first, so longer saved or imported replays are refused
+    },
+
+    // Ghost car racing the personal best (see js/replay.js)
+    ghost: {
+        alpha: 0.4,              // Opacity of the ghost car and its bridges
+        deltaFont: '28px Ranchers', // Font for the +/- seconds shown under the timer
+        aheadColor: '#2E7D32',   // Delta color when the live run is ahead of the ghost
+        behindColor: '#C62828'   // Delta color when the live run is behind the ghost
+    },
+
+    // Timing feedback shown under the timer after each release (turned off in Settings)
+    timingFeedback: {
+        duration: 1.5,        // Seconds shown after the release
+        perfectMs: 30,        // Releases this close to the ideal hold time show as "Perfect"
+        font: '28px Ranchers',
+        goodColor: '#2E7D32', // Safe releases
+        badColor: '#C62828'   // Too short or too long
+    },
+
+    // Pausing a run - resuming counts down first, so the player has time to get ready
+    pause: {
+        resumeCountdown: 3,   // Numbers counted down before play resumes
+        resumeStep: 0.5       // Seconds each number is shown
+    },
+
+    // Leaderboards and player profiles - each table keeps its best entries, with who set them
+    leaderboard: {
+        maxEntries: 10,       // Entries kept in each table
+        maxNameLength: 16,    // Longest player name
+        avatarColors: ['#E53935', '#1E88E5', '#43A047', '#FB8C00', '#8E24AA', '#00ACC1', '#FDD835', '#6D4C41'],
+        serverUrl: null,      // Online leaderboard server (see server/), or null to keep scores on this device;
+                              // index.html?leaderboard=<url> overrides it with one of allowedServers
+        allowedServers: ['http://localhost:8787'], // Origins ?leaderboard= may name (player names and replays go there)
+        requestTimeout: 5000, // Milliseconds before the server counts as unreachable
+        aroundCount: 2        // Online entries shown either side of the player's best
+    },
+
+    // Score files - a player's profile and scores exported to move to another device
+    archive: {
+        format: 'mountainHighway.scores', // Marks a file as a score file
+        version: 1            // Bumped when the file layout changes; newer files are refused
+    },
+
+    // Lives mode - a fall costs a life and a time penalty instead of ending the run
+    lives: {
+        count: 3,             // Falls a run can come back from
+        timePenalty: 5,       // Seconds added to the timer for each life lost
+        font: '28px Ranchers', // Hearts shown under the timer
+        color: '#E53935'
+    },
+
+    // Difficulty presets (see js/difficulty.js) - applying one copies its values into
+    // GameConfig.bridge and GameConfig.car.speed. Normal matches the defaults above.
+    // Keep cornerOvershoot at least 1 (a turn needs that much tolerance) and below
+    // maxExtension (so holding too long at a turn still overshoots it)
+    difficulty: {
+        current: 'normal',    // Preset in effect - change it with Difficulty.apply()
+        presets: {
+            easy: { name: 'Easy', growthRate: 3.0, leeway: 0.5, cornerOvershoot: 2.0, carSpeed: 3.5, maxExtension: 2.25, growthProfile: 'linear' },
+            normal: { name: 'Normal', growthRate: 4.0, leeway: 0.3, cornerOvershoot: 1.5, carSpeed: 4.0, maxExtension: 1.75, growthProfile: 'linear' },
+            hard: { name: 'Hard', growthRate: 5.0, leeway: 0.2, cornerOvershoot: 1.25, carSpeed: 4.5, maxExtension: 1.5, growthProfile: 'linear' },
+            expert: { name: 'Expert', growthRate: 6.0, leeway: 0.1, cornerOvershoot: 1.0, carSpeed: 5.0, maxExtension: 1.25, growthProfile: 'linear' }
+        }
+    },
+
+    // Sound effects, synthesized with Web Audio (see js/audio.js)
+    audio: {
+        masterVolume: 0.8,      // Default overall volume (0-1), changed in the game and saved
+        sfxVolume: 0.8,         // Default sound effects volume (0-1)
+        volumeStep: 0.2,        // Change per press of the Volume button in Settings (wraps to 0 after 1)
+        engine: {
+            idleFrequency: 55,  // Engine pitch while waiting at a bridge (Hz)
+            topFrequency: 110,  // Engine pitch at full car speed (Hz)
+            filterFrequency: 600, // Low-pass cutoff that softens the sawtooth (Hz)
+            idleLevel: 0.4,     // Share of full volume while idling
+            volume: 0.15,
+            smoothing: 0.05     // Time constant for pitch and volume changes (seconds)
+        },
+        bridgeTone: {
+            baseFrequency: 220, // Pitch as the bridge starts growing (Hz)
+            frequencyPerUnit: 80, // Pitch rise per unit of bridge length (Hz)
+            volume: 0.12
+        },
+        thud: { startFrequency: 120, endFrequency: 40, duration: 0.25, volume: 0.6 },
+        whoosh: { startFrequency: 2000, endFrequency: 200, duration: 0.8, volume: 0.4 },
+        beep: { countFrequency: 440, goFrequency: 880, duration: 0.15, volume: 0.2 },
+        fanfare: {
+            notes: [523.25, 659.25, 783.99, 1046.5], // C5 E5 G5 C6
+            noteLength: 0.12,   // Seconds per note (the last note rings three times as long)
+            volume: 0.2
+        }
+    },
+
+    // Course solver and difficulty rating (see js/solver.js)
+    solver: {
+        ratingThresholds: [8, 12, 16, 20] // Difficulty scores where ratings 2, 3, 4 and 5 begin
+    },
+
+    // Bot player (see js/bot.js) - aim is where in the safe window it releases
+    // (0 = earliest safe release, 1 = latest), timingError is the standard deviation of
+    // its hold as a fraction of the hold time
+    bot: {
+        skills: {
+            perfect: { reactionTime: 0, reactionJitter: 0, aim: 0.1, timingError: 0 },
+            human: { reactionTime: 0.25, reactionJitter: 0.05, aim: 0.5, timingError: 0.1 },
+            short: { reactionTime: 0.25, reactionJitter: 0.05, aim: -0.5, timingError: 0 },
+            long: { reactionTime: 0.25, reactionJitter: 0.05, aim: 1.5, timingError: 0 }
+        },
+        maxRunTime: 600,   // Headless runs give up after this much simulated time (seconds)
+        testRuns: 100,     // Runs played by the level editor's bot test
+        demoSkill: 'human', // Skill of the attract-mode demo on the start screen
+        demoDelay: 15,     // Seconds on the start screen before the demo starts
+        demoPause: 2       // Seconds the demo waits after finishing or falling before going again
+    },
+
     // Island rendering
     island: {
         wallHeight: 2000, // Wall extension downward (pixels)
@@ -61,12 +199,86 @@ const GameConfig = {
         outlineWidth: 2
     },
 
+    // Colour themes chosen in Settings (see Settings.applyTheme()) - day matches the colours above
+    themes: {
+        day: { name: 'Day', sky: '#87CEEB', grass: '#2E7D32', dirtLight: '#8B4513', dirtDark: '#6B3410', road: '#AAAAAA' },
+        dusk: { name: 'Dusk', sky: '#F4A261', grass: '#4F772D', dirtLight: '#7F4F24', dirtDark: '#5C3A1A', road: '#B8A99A' },
+        night: { name: 'Night', sky: '#1A2340', grass: '#1B4332', dirtLight: '#5A3E2B', dirtDark: '#3B281C', road: '#8D99AE' },
+        contrast: { name: 'High contrast', sky: '#FFFFFF', grass: '#00A000', dirtLight: '#404040', dirtDark: '#000000', road: '#FFD000' }
+    },
+
     // Viewport and scrolling
     viewport: {
         heightInRows: 8,      // Number of rows visible at once when scrolling
         scrollMargin: 1       // Extra margin for smoother scrolling
     },
 
+    // Camera following the car on both axes (see Camera in js/renderer.js)
+    camera: {
+        smoothing: 0.2,       // Time constant for catching up with the car (seconds)
+        lookAhead: 1.5,       // How far ahead of the car to look, toward the end of its segment (units)
+        minZoom: 0.5,         // Zoom limits - 1 draws GameConfig.grid.blockSize pixels per unit
+        maxZoom: 2.0,
+        portraitZoom: 1.25,   // Starting zoom when the canvas is taller than it is wide
+        wheelStep: 1.1        // Zoom factor per mouse wheel notch
+    },
+
+    // Minimap of the whole course, drawn from above in the bottom right corner during a run
+    // (see Renderer.renderMinimap()) - it replaces the progress bar while shown
+    minimap: {
+        enabled: true,        // Shown unless turned off on the start screen
+        maxWidth: 120,        // Largest size of the map, including padding (canvas pixels)
+        maxHeightRatio: 0.4,  // Largest height as a share of the safe area height
+        margin: 20,           // Distance from the bottom right corner of the safe area (pixels)
+        padding: 6,           // Space around the course inside the map (pixels)
+        background: 'rgba(0, 0, 0, 0.3)',
+        islandColor: 'rgba(255, 255, 255, 0.5)',
+        finishColor: '#FFD54F',  // Finish island
+        routeColor: 'rgba(255, 255, 255, 0.8)', // Road line through every span
+        routeWidth: 1,
+        bridgeColor: '#444444', // Bridges built so far
+        bridgeWidth: 3,
+        carRadius: 4          // Car dot (in the car's color)
+    },
+
+    // Procedural course generator defaults (see js/generator.js)
+    generator: {
+        spanCount: 12,           // Total spans in the course (bridges, jogs and the finish span)
+        gapRange: [1, 3],        // Min/max gap between islands (units, min 1)
+        islandSizeRange: [2, 4], // Min/max island width and height (units, min 2)
+        turnFrequency: 0.7,      // Chance that consecutive bridges change axis (otherwise jog and continue)
+        negativeShare: 0.15,     // Chance that a bridge travels in the negative direction
+        candidateAttempts: 20,   // Island placements tried per bridge before restarting
+        difficultyRange: null,   // [min, max] CourseSolver difficulty score to accept, or null for any
+        maxAttempts: 50          // Full restarts before generation fails
+    },
+
+    // Endless mode (see js/endless.js)
+    endless: {
+        lookaheadIslands: 4,       // Islands generated ahead of the car
+        keepBehindIslands: 3,      // Islands kept behind the car before being dropped
+        collisionMemory: 16,       // Recent islands new placements must keep clear of
+        rampEvery: 5,              // Bridges between difficulty steps
+        startGapRange: [1, 2],     // Gap range for the first bridges
+        maxGap: 5,                 // Widest gap once fully ramped
+        startIslandSizeRange: [3, 4], // Island size range for the first bridges
+        minIslandSize: 2,          // Smallest islands once fully ramped
+        negativeShareStep: 0.05,   // Added chance of a backwards bridge per step (none at the start)
+        maxNegativeShare: 0.25,    // Chance of a backwards bridge once fully ramped
+        bridgeAttempts: 5          // addBridge() calls per island before allowing either direction
+    },
+
+    // Level editor (see js/editor.js and editor.html)
+    editor: {
+        margin: 4,               // Grid units shown around the level
+        wallHeight: 20,          // Island wall height (pixels) - short so the grid below stays visible
+        cornerGrabDistance: 1,   // How close to an island's far corner a drag resizes instead of moves (units)
+        courseColor: 'yellow',   // Course line and junction dots
+        selectedColor: '#FFEB3B', // Outline of the selected island or span
+        errorColor: '#D32F2F',   // Outline of islands and spans with validation errors
+        highlightWidth: 4
+    },
+
     // Debug settings
     debug: {
         showGrid: false,
@@ -55,16 +55,18 @@ class Bridge {
     /**
      * Calculate the safe bridge length range for this bridge
      * @param {Array} islands - Array of island data [row, col, width, height]
+     * @param {number} cornerOvershoot - Tolerance past the gap at an immediate corner (defaults to the current difficulty's)
      * @returns {Object} {minSafe, maxSafe, needsBridge}
      */
-    calculateRange(islands) {
+    calculateRange(islands, cornerOvershoot = GameConfig.bridge.cornerOvershoot) {
         return CourseValidator.calculateBridgeRange(
             this.startPos,
             this.endPos,
             this.direction,
             islands[this.startIsland],
             islands[this.endIsland],
-            this.junctionType
+            this.junctionType,
+            cornerOvershoot
         );
     }
 }
@@ -228,7 +230,7 @@ class Course {
                 };
 
                 // Special case: extend to edges for start/end islands
-                if (isStartIsland && span.startCol === this.startCol) {
+                if (isStartIsland && idx === 0) {
                     // First span on start island: extend to near edge
                     segmentStart.col = isPositive ? islandCol : islandMaxCol;
                 }
@@ -251,7 +253,7 @@ class Course {
                 };
 
                 // Special case: extend to edges for start/end islands
-                if (isStartIsland && span.startRow === this.startRow) {
+                if (isStartIsland && idx === 0) {
                     // First span on start island: extend to near edge
                     segmentStart.row = isPositive ? islandRow : islandMaxRow;
                 }
@@ -467,7 +469,9 @@ function createExampleCourse() {
 
 /**
  * Create the example level (course + islands)
- * This is the main game configuration
+ * The course the game was first played on, before the campaign - now used by the static
+ * visualization and test pages. It is not a campaign level, as it does not pass validation;
+ * times saved on it move to the first level (see CampaignManager.getHighScoreManager())
  */
 function createExampleLevel() {
     const course = createExampleCourse();
@@ -490,5 +494,5 @@ function createExampleLevel() {
         [21, 21, 2, 2], // Island 12: After bridge 11 (end) - centered on junction (22,22)
     ];
 
-    return new Level(course, islands);
+    return new Level(course, islands, { id: 'example', name: 'Mountain Highway' });
 }
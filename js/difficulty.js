@@ -0,0 +1,66 @@
+// Difficulty presets - bridge growth, forgiveness and car speed, chosen from the start screen
+
+/**
+ * Applies the presets in GameConfig.difficulty and remembers the player's choice
+ *
+ * Every system reads GameConfig.bridge and GameConfig.car when it needs a value, so a
+ * preset takes effect from the next run (or solver call) on. Levels are still validated
+ * with Normal's tolerance at turns (see CourseValidator.validateBridges()), so the same
+ * levels and level codes work at every difficulty.
+ */
+class Difficulty {
+    /**
+     * Get the preset names, easiest first
+     * @returns {string[]}
+     */
+    static getNames() {
+        return Object.keys(GameConfig.difficulty.presets);
+    }
+
+    /**
+     * Get the preset in effect
+     * @returns {string} Preset name
+     */
+    static getCurrent() {
+        return GameConfig.difficulty.current;
+    }
+
+    /**
+     * Get the display name of a preset
+     * @param {string} name - Preset name
+     * @returns {string} e.g. 'Hard'
+     */
+    static getDisplayName(name = Difficulty.getCurrent()) {
+        return GameConfig.difficulty.presets[name].name;
+    }
+
+    /**
+     * Copy a preset's values into GameConfig
+     * @param {string} name - Preset name
+     * @throws {Error} If there is no such preset
+     */
+    static apply(name) {
+        const preset = GameConfig.difficulty.presets[name];
+        if (!preset) {
+            throw new Error(`Unknown difficulty: ${name}`);
+        }
+
+        GameConfig.bridge.growthRate = preset.growthRate;
+        GameConfig.bridge.leeway = preset.leeway;
+        GameConfig.bridge.cornerOvershoot = preset.cornerOvershoot;
+        GameConfig.bridge.maxExtension = preset.maxExtension;
+        GameConfig.bridge.growthProfile = preset.growthProfile;
+        GameConfig.car.speed = preset.carSpeed;
+        GameConfig.difficulty.current = name;
+    }
+
+    /**
+     * Get the preset after one, wrapping from the hardest back to the easiest
+     * @param {string} name - Preset name
+     * @returns {string}
+     */
+    static getNext(name = Difficulty.getCurrent()) {
+        const names = Difficulty.getNames();
+        return names[(names.indexOf(name) + 1) % names.length];
+    }
+}
@@ -0,0 +1,995 @@
+// Level editor - place islands and draw spans on the isometric grid, validated as you go
+
+/**
+ * A level being edited, kept in the JSON level file format (see LEVEL_FORMAT.md)
+ *
+ * Unlike Level, an EditorLevel may be unplayable - the editor has to hold a level
+ * while it is being fixed. validate() reports what is wrong, and toLevel() turns a
+ * playable one into a Level.
+ */
+class EditorLevel {
+    /**
+     * @param {Object} data - Level file data (copied)
+     */
+    constructor(data) {
+        this.data = JSON.parse(JSON.stringify(data));
+        if (!this.data.metadata) {
+            this.data.metadata = {};
+        }
+    }
+
+    /**
+     * A new level with a start island, one bridge and a finish island
+     * @returns {EditorLevel}
+     */
+    static createBlank() {
+        return new EditorLevel({
+            version: LEVEL_FORMAT_VERSION,
+            metadata: { id: 'my-level', name: 'My Level' },
+            start: { row: 1, col: 1 },
+            spans: [
+                { length: 5, direction: Direction.COLUMN },
+                { length: 1, direction: Direction.ROW }
+            ],
+            islands: [
+                { name: 'Start', row: 0, col: 0, width: 3, height: 3 },
+                { name: 'Finish', row: 0, col: 5, width: 3, height: 3 }
+            ]
+        });
+    }
+
+    /**
+     * Open a level file for editing
+     * Only the file format is checked - a level that fails validation can still be opened and fixed
+     *
+     * @param {Object|string} data - Parsed level object or JSON text
+     * @returns {EditorLevel}
+     * @throws {LevelLoadError} If the file is not valid JSON or is malformed
+     */
+    static fromJSON(data) {
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                throw new LevelLoadError(`Level file is not valid JSON: ${e.message}`);
+            }
+        }
+
+        const formatErrors = Level.checkFormat(data);
+        if (formatErrors.length > 0) {
+            throw new LevelLoadError('Level file is malformed', formatErrors);
+        }
+        return new EditorLevel(data);
+    }
+
+    /**
+     * Read the level saved by the editor
+     * @param {string} storageKey - localStorage key
+     * @returns {EditorLevel|null} null if nothing is saved or it cannot be read
+     */
+    static loadSaved(storageKey = 'mountainHighway.editor.level') {
+        try {
+            const stored = localStorage.getItem(storageKey);
+            if (stored) {
+                return EditorLevel.fromJSON(stored);
+            }
+        } catch (e) {
+            console.warn('Failed to read the editor level:', e.toString());
+        }
+        return null;
+    }
+
+    /**
+     * Save the level so it survives a reload and can be opened by the game
+     * @param {string} storageKey - localStorage key
+     */
+    save(storageKey = 'mountainHighway.editor.level') {
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(this));
+        } catch (e) {
+            console.warn('Failed to save the editor level:', e);
+        }
+    }
+
+    /**
+     * Level file data (called automatically by JSON.stringify())
+     * @returns {Object}
+     */
+    toJSON() {
+        return JSON.parse(JSON.stringify(this.data));
+    }
+
+    /**
+     * Build the course from the spans
+     * @returns {Course}
+     */
+    getCourse() {
+        const course = new Course();
+        course.startRow = this.data.start.row;
+        course.startCol = this.data.start.col;
+        this.data.spans.forEach(span => course.addSpan(span.length, span.direction));
+        return course;
+    }
+
+    /**
+     * Islands as the [row, col, width, height] arrays used by Course and CourseValidator
+     * @returns {Array}
+     */
+    getIslands() {
+        return this.data.islands.map(island => [island.row, island.col, island.width, island.height]);
+    }
+
+    /**
+     * Check the level the same way Level.fromJSON() will when it is played
+     * @returns {Object} {valid: boolean, errors: Array<ValidationError>}
+     */
+    validate() {
+        const formatErrors = Level.checkFormat(this.data);
+        if (formatErrors.length > 0) {
+            return { valid: false, errors: formatErrors };
+        }
+        return CourseValidator.validate(this.getCourse(), this.getIslands());
+    }
+
+    /**
+     * Create a playable Level
+     * @returns {Level}
+     * @throws {LevelLoadError} If the level fails validation
+     */
+    toLevel() {
+        return Level.fromJSON(this.toJSON());
+    }
+
+    /**
+     * Find the island under a point (the last one drawn wins where islands overlap)
+     * @param {number} row - Point row
+     * @param {number} col - Point column
+     * @returns {number|null} Island index
+     */
+    findIslandAt(row, col) {
+        for (let i = this.data.islands.length - 1; i >= 0; i--) {
+            const island = this.data.islands[i];
+            if (row >= island.row && row <= island.row + island.height &&
+                col >= island.col && col <= island.col + island.width) {
+                return i;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Add an island after the existing ones (islands are kept in course-visit order)
+     * @param {number} row - Near corner row
+     * @param {number} col - Near corner column
+     * @param {number} width - Size in columns
+     * @param {number} height - Size in rows
+     * @returns {number} Index of the new island
+     */
+    addIsland(row, col, width, height) {
+        this.data.islands.push({ row, col, width, height });
+        return this.data.islands.length - 1;
+    }
+
+    /**
+     * Move an island; the start position moves with the start island
+     * @param {number} index - Island index
+     * @param {number} row - New near corner row
+     * @param {number} col - New near corner column
+     */
+    moveIsland(index, row, col) {
+        const island = this.data.islands[index];
+        if (index === 0) {
+            this.data.start.row += row - island.row;
+            this.data.start.col += col - island.col;
+        }
+        island.row = row;
+        island.col = col;
+    }
+
+    /**
+     * Resize an island from its near corner
+     * @param {number} index - Island index
+     * @param {number} width - New size in columns (at least 1)
+     * @param {number} height - New size in rows (at least 1)
+     */
+    resizeIsland(index, width, height) {
+        const island = this.data.islands[index];
+        island.width = Math.max(1, width);
+        island.height = Math.max(1, height);
+    }
+
+    /**
+     * Name an island (an empty name removes it)
+     * @param {number} index - Island index
+     * @param {string} name - Island name
+     */
+    renameIsland(index, name) {
+        const island = this.data.islands[index];
+        if (name) {
+            island.name = name;
+        } else {
+            delete island.name;
+        }
+    }
+
+    /**
+     * Delete an island
+     * @param {number} index - Island index
+     */
+    removeIsland(index) {
+        this.data.islands.splice(index, 1);
+    }
+
+    /**
+     * Move an island earlier or later in course-visit order
+     * @param {number} index - Island index
+     * @param {number} step - -1 for earlier, 1 for later
+     * @returns {number} The island's new index
+     */
+    reorderIsland(index, step) {
+        const target = index + step;
+        if (target < 0 || target >= this.data.islands.length) return index;
+
+        const islands = this.data.islands;
+        [islands[index], islands[target]] = [islands[target], islands[index]];
+        return target;
+    }
+
+    /**
+     * Set the car's start position
+     * @param {number} row - Start row
+     * @param {number} col - Start column
+     */
+    setStart(row, col) {
+        this.data.start = { row, col };
+    }
+
+    /**
+     * Extend the course from its end towards a point, along whichever axis is farther
+     * @param {number} row - Row to head for
+     * @param {number} col - Column to head for
+     * @returns {number|null} Index of the new span, or null if the point is the course end
+     */
+    addSpanTo(row, col) {
+        const end = this.getCourse().getEndLocation();
+        const rowDistance = row - end.row;
+        const colDistance = col - end.col;
+        if (rowDistance === 0 && colDistance === 0) return null;
+
+        const span = Math.abs(colDistance) >= Math.abs(rowDistance)
+            ? { length: colDistance, direction: Direction.COLUMN }
+            : { length: rowDistance, direction: Direction.ROW };
+        this.data.spans.push(span);
+        return this.data.spans.length - 1;
+    }
+
+    /**
+     * Change a span's signed length and direction
+     * @param {number} index - Span index
+     * @param {number} length - Signed length (negative travels toward lower rows/columns)
+     * @param {string} direction - Direction.COLUMN or Direction.ROW
+     */
+    setSpan(index, length, direction) {
+        this.data.spans[index] = { length, direction };
+    }
+
+    /**
+     * Delete a span; the spans after it keep their lengths and shift back
+     * @param {number} index - Span index
+     */
+    removeSpan(index) {
+        this.data.spans.splice(index, 1);
+    }
+
+    /**
+     * Set a metadata field (an empty value removes it)
+     * @param {string} field - e.g. 'id', 'name', 'author', 'description'
+     * @param {string} value - New value
+     */
+    setMetadata(field, value) {
+        if (value) {
+            this.data.metadata[field] = value;
+        } else {
+            delete this.data.metadata[field];
+        }
+    }
+}
+
+/**
+ * The editor page: draws an EditorLevel with the game's renderer and edits it with the mouse
+ *
+ * Tools:
+ * - Islands: drag on empty grid to draw an island, drag an island to move it, or drag
+ *   near its far (top) corner to resize it
+ * - Spans: click to extend the course from its end towards the clicked point
+ * - Start: click to place the car's start
+ *
+ * Every edit re-validates the level, outlines the islands and spans with errors, and
+ * saves it so a reload (or the game's "play" link) picks it up.
+ */
+class LevelEditor {
+    /**
+     * @param {string} storageKey - localStorage key for the level being edited
+     */
+    constructor(storageKey = 'mountainHighway.editor.level') {
+        this.storageKey = storageKey;
+        this.level = EditorLevel.loadSaved(storageKey) || EditorLevel.createBlank();
+        this.validation = this.level.validate();
+
+        this.tool = 'island';
+        this.selectedIsland = null;
+        this.selectedSpan = null;
+        this.drag = null;             // {mode: 'draw'|'move'|'resize', ...} while the mouse is down
+
+        this.canvas = document.getElementById('editorCanvas');
+        this.viewport = this.createViewport();
+        this.renderer = new Renderer(this.canvas, this.viewport, () => this.render());
+        this.debug = new DebugRenderer(this.renderer);
+
+        this.toolButtons = document.querySelectorAll('[data-tool]');
+        this.metadataInputs = document.querySelectorAll('[data-metadata]');
+        this.islandDetails = document.getElementById('islandDetails');
+        this.islandInputs = document.querySelectorAll('[data-island]');
+        this.spanList = document.getElementById('spanList');
+        this.validationSummary = document.getElementById('validationSummary');
+        this.errorList = document.getElementById('errorList');
+        this.status = document.getElementById('editorStatus');
+
+        this.setupCanvas();
+        this.setupPanel();
+        this.refresh();
+    }
+
+    /**
+     * Re-validate, save, and redraw the canvas and panel after an edit
+     * @param {boolean} refit - Resize the canvas to fit the level (not while dragging)
+     */
+    refresh(refit = true) {
+        this.validation = this.level.validate();
+        this.level.save(this.storageKey);
+
+        if (refit) {
+            this.viewport = this.createViewport();
+            this.renderer.viewport = this.viewport;
+            this.canvas.width = this.viewport.canvasWidth;
+            this.canvas.height = this.viewport.canvasHeight;
+        }
+
+        this.render();
+        this.updatePanel();
+    }
+
+    /**
+     * Show a message under the toolbar
+     * @param {string} message - Message text
+     */
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+
+    /**
+     * Fit a viewport around the islands, the start and the course path
+     * @returns {Viewport}
+     */
+    createViewport() {
+        const data = this.level.data;
+        const rows = [data.start.row];
+        const cols = [data.start.col];
+
+        data.islands.forEach(island => {
+            rows.push(island.row, island.row + island.height);
+            cols.push(island.col, island.col + island.width);
+        });
+        this.level.getCourse().getSpanDetails().forEach(span => {
+            rows.push(span.endRow);
+            cols.push(span.endCol);
+        });
+
+        const margin = GameConfig.editor.margin;
+        return new Viewport(
+            Math.min(...rows) - margin, Math.max(...rows) + margin,
+            Math.min(...cols) - margin, Math.max(...cols) + margin,
+            GameConfig.grid.blockSize
+        );
+    }
+
+    /**
+     * Convert a mouse event to a (fractional) grid position
+     * @param {MouseEvent} e - Mouse event on the canvas
+     * @returns {{row: number, col: number}}
+     */
+    eventToGrid(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * this.canvas.width / rect.width;
+        const y = (e.clientY - rect.top) * this.canvas.height / rect.height;
+
+        // Inverse of Renderer.gameToScreen(): x = col - row, y = -(col + row) / 2
+        const offset = this.viewport.getOffset();
+        const screenX = (x - offset.x) / this.viewport.blockSize;
+        const screenY = (y - offset.y) / this.viewport.blockSize;
+        return {
+            row: (-2 * screenY - screenX) / 2,
+            col: (screenX - 2 * screenY) / 2
+        };
+    }
+
+    /**
+     * Mouse handling for the three tools
+     */
+    setupCanvas() {
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            const point = this.eventToGrid(e);
+
+            if (this.tool === 'span') {
+                const index = this.level.addSpanTo(Math.round(point.row), Math.round(point.col));
+                this.selectedSpan = index;
+                this.setStatus(index === null ? 'Click away from the end of the course to add a span' : `Added span ${index}`);
+                this.refresh();
+            } else if (this.tool === 'start') {
+                this.level.setStart(Math.round(point.row), Math.round(point.col));
+                this.refresh();
+            } else {
+                this.startIslandDrag(point);
+            }
+        });
+
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (!this.drag) return;
+            this.updateIslandDrag(this.eventToGrid(e));
+        });
+
+        window.addEventListener('mouseup', () => {
+            if (!this.drag) return;
+            this.finishIslandDrag();
+        });
+
+        window.addEventListener('keydown', (e) => {
+            const typing = e.target && e.target.closest && e.target.closest('input, select, textarea');
+            if ((e.code === 'Delete' || e.code === 'Backspace') && !typing && this.selectedIsland !== null) {
+                e.preventDefault();
+                this.deleteSelectedIsland();
+            }
+        });
+    }
+
+    /**
+     * Start moving or resizing the island under the mouse, or drawing a new one
+     * @param {{row: number, col: number}} point - Grid position of the mouse
+     */
+    startIslandDrag(point) {
+        const index = this.level.findIslandAt(point.row, point.col);
+        this.selectedIsland = index;
+
+        if (index === null) {
+            const row = Math.floor(point.row);
+            const col = Math.floor(point.col);
+            this.drag = { mode: 'draw', startRow: row, startCol: col, rect: { row, col, width: 1, height: 1 } };
+        } else {
+            const island = this.level.data.islands[index];
+            const farRow = island.row + island.height;
+            const farCol = island.col + island.width;
+            const nearFarCorner = Math.abs(point.row - farRow) + Math.abs(point.col - farCol) <= GameConfig.editor.cornerGrabDistance;
+
+            this.drag = nearFarCorner
+                ? { mode: 'resize', index }
+                : { mode: 'move', index, grabRow: point.row - island.row, grabCol: point.col - island.col };
+        }
+        this.render();
+        this.updatePanel();
+    }
+
+    /**
+     * Follow the mouse while dragging, snapping to whole grid units
+     * @param {{row: number, col: number}} point - Grid position of the mouse
+     */
+    updateIslandDrag(point) {
+        const drag = this.drag;
+
+        if (drag.mode === 'draw') {
+            const row = Math.floor(point.row);
+            const col = Math.floor(point.col);
+            drag.rect = {
+                row: Math.min(row, drag.startRow),
+                col: Math.min(col, drag.startCol),
+                width: Math.abs(col - drag.startCol) + 1,
+                height: Math.abs(row - drag.startRow) + 1
+            };
+            this.render();
+            return;
+        }
+
+        const island = this.level.data.islands[drag.index];
+        if (drag.mode === 'move') {
+            this.level.moveIsland(drag.index, Math.round(point.row - drag.grabRow), Math.round(point.col - drag.grabCol));
+        } else {
+            this.level.resizeIsland(drag.index, Math.round(point.col) - island.col, Math.round(point.row) - island.row);
+        }
+        this.refresh(false);
+    }
+
+    /**
+     * Finish a drag: add the drawn island, or keep the move or resize
+     */
+    finishIslandDrag() {
+        const drag = this.drag;
+        this.drag = null;
+
+        if (drag.mode === 'draw') {
+            const { row, col, width, height } = drag.rect;
+            this.selectedIsland = this.level.addIsland(row, col, width, height);
+            this.setStatus(`Added island ${this.selectedIsland}`);
+        }
+        this.refresh();
+    }
+
+    /**
+     * Delete the selected island
+     */
+    deleteSelectedIsland() {
+        this.level.removeIsland(this.selectedIsland);
+        this.setStatus(`Deleted island ${this.selectedIsland}`);
+        this.selectedIsland = null;
+        this.refresh();
+    }
+
+    /**
+     * Hook up the toolbar, file buttons and property fields
+     */
+    setupPanel() {
+        this.toolButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.tool = button.dataset.tool;
+                this.updatePanel();
+            });
+        });
+
+        document.getElementById('newBtn').addEventListener('click', () => {
+            this.openLevel(EditorLevel.createBlank(), 'Started a new level');
+        });
+
+        const campaignSelect = document.getElementById('campaignSelect');
+        CampaignLevels.forEach((data, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `Level ${index + 1}: ${data.metadata.name}`;
+            campaignSelect.appendChild(option);
+        });
+        campaignSelect.addEventListener('change', () => {
+            if (campaignSelect.value === '') return;
+            const data = CampaignLevels[Number(campaignSelect.value)];
+            this.openLevel(new EditorLevel(data), `Opened ${data.metadata.name}`);
+            campaignSelect.value = '';
+        });
+
+        const growthSelect = document.querySelector('[data-metadata="growthProfile"]');
+        Object.entries(GameConfig.growthProfiles).forEach(([type, settings]) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = settings.name;
+            growthSelect.appendChild(option);
+        });
+
+        const importFile = document.getElementById('importFile');
+        document.getElementById('importBtn').addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', () => {
+            const file = importFile.files[0];
+            importFile.value = '';
+            if (file) {
+                file.text().then(text => this.importLevel(text, file.name));
+            }
+        });
+
+        document.getElementById('exportBtn').addEventListener('click', () => this.exportLevel());
+        document.getElementById('playBtn').addEventListener('click', () => this.playLevel());
+        document.getElementById('shareBtn').addEventListener('click', () => this.shareLevel());
+        document.getElementById('botTestBtn').addEventListener('click', () => this.testLevel());
+
+        this.metadataInputs.forEach(input => {
+            input.addEventListener('input', () => {
+                this.level.setMetadata(input.dataset.metadata, input.value.trim());
+                this.refresh(false);
+            });
+        });
+
+        this.islandInputs.forEach(input => {
+            input.addEventListener('change', () => this.applyIslandInput(input));
+        });
+        document.getElementById('islandEarlierBtn').addEventListener('click', () => this.reorderSelectedIsland(-1));
+        document.getElementById('islandLaterBtn').addEventListener('click', () => this.reorderSelectedIsland(1));
+        document.getElementById('islandDeleteBtn').addEventListener('click', () => this.deleteSelectedIsland());
+    }
+
+    /**
+     * Replace the level being edited
+     * @param {EditorLevel} level - The level to edit
+     * @param {string} message - Status message
+     */
+    openLevel(level, message) {
+        this.level = level;
+        this.selectedIsland = null;
+        this.selectedSpan = null;
+        this.setStatus(message);
+        this.refresh();
+    }
+
+    /**
+     * Open a level file chosen with the import button
+     * @param {string} text - File contents
+     * @param {string} fileName - File name (for messages)
+     */
+    importLevel(text, fileName) {
+        try {
+            this.openLevel(EditorLevel.fromJSON(text), `Imported ${fileName}`);
+        } catch (e) {
+            this.setStatus(e instanceof LevelLoadError ? e.toString() : `Could not import ${fileName}: ${e.message}`);
+        }
+    }
+
+    /**
+     * Download the level as a level file
+     * Unplayable levels can be exported too, but will not load in the game until fixed
+     */
+    exportLevel() {
+        const json = JSON.stringify(this.level, null, 4);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = `${this.level.data.metadata.id || 'level'}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+
+        this.setStatus(this.validation.valid
+            ? `Exported ${link.download}`
+            : `Exported ${link.download} - it will not load in the game until the problems are fixed`);
+    }
+
+    /**
+     * Open the game on this level (it reads the level the editor saved)
+     */
+    playLevel() {
+        if (!this.validation.valid) {
+            this.setStatus('Fix the problems listed before playing');
+            return;
+        }
+        window.location.href = 'index.html?level=editor';
+    }
+
+    /**
+     * Copy a link that opens the game on this level (see LevelCode)
+     */
+    shareLevel() {
+        if (!this.validation.valid) {
+            this.setStatus('Fix the problems listed before sharing');
+            return;
+        }
+
+        const link = new URL(`index.html${LevelCode.toHash(this.level)}`, window.location.href).href;
+        const copied = navigator.clipboard ? navigator.clipboard.writeText(link) : Promise.reject();
+        copied.then(
+            () => this.setStatus(`Copied share link:\n${link}`),
+            () => this.setStatus(`Share link:\n${link}`)
+        );
+    }
+
+    /**
+     * Play the level many times with the human-like bot and report how often it is finished
+     */
+    testLevel() {
+        if (!this.validation.valid) {
+            this.setStatus('Fix the problems listed before testing');
+            return;
+        }
+
+        const level = this.level.toLevel();
+        const solution = CourseSolver.solve(level);
+        const result = BotPlayer.estimateCompletion(level, 'human', GameConfig.bot.testRuns);
+
+        const lines = [`Bot finished ${result.completed} of ${result.runs} runs` +
+            (result.averageTime !== null ? `, averaging ${result.averageTime.toFixed(1)}s` : '') +
+            ` (best possible ${solution.bestTime.toFixed(1)}s)`];
+        const mostFalls = Math.max(...result.fallsByBridge);
+        if (mostFalls > 0) {
+            const bridge = result.fallsByBridge.indexOf(mostFalls);
+            lines.push(`Most falls: bridge ${bridge + 1} (${mostFalls} ${mostFalls === 1 ? 'run' : 'runs'})`);
+        }
+        lines.push(`Difficulty ${solution.difficulty.rating} of ${GameConfig.solver.ratingThresholds.length + 1}` +
+            (solution.bridges.length > 0 ? `, narrowest window ${solution.difficulty.narrowestWindowMs.toFixed(0)}ms` : ''));
+        this.setStatus(lines.join('\n'));
+    }
+
+    /**
+     * Apply a change to one of the selected island's fields
+     * @param {HTMLInputElement} input - The changed field
+     */
+    applyIslandInput(input) {
+        const index = this.selectedIsland;
+        if (index === null) return;
+
+        const island = this.level.data.islands[index];
+        const field = input.dataset.island;
+        if (field === 'name') {
+            this.level.renameIsland(index, input.value.trim());
+        } else {
+            const value = Number(input.value);
+            if (!Number.isFinite(value)) return;
+
+            if (field === 'row' || field === 'col') {
+                this.level.moveIsland(index, field === 'row' ? value : island.row, field === 'col' ? value : island.col);
+            } else {
+                this.level.resizeIsland(index, field === 'width' ? value : island.width, field === 'height' ? value : island.height);
+            }
+        }
+        this.refresh();
+    }
+
+    /**
+     * Move the selected island earlier or later in course-visit order
+     * @param {number} step - -1 for earlier, 1 for later
+     */
+    reorderSelectedIsland(step) {
+        if (this.selectedIsland === null) return;
+        this.selectedIsland = this.level.reorderIsland(this.selectedIsland, step);
+        this.refresh();
+    }
+
+    /**
+     * Show the level's fields, spans and validation errors in the side panel
+     */
+    updatePanel() {
+        const data = this.level.data;
+
+        this.toolButtons.forEach(button => button.classList.toggle('active', button.dataset.tool === this.tool));
+        this.canvas.dataset.tool = this.tool;
+
+        this.metadataInputs.forEach(input => {
+            if (document.activeElement !== input) {
+                input.value = data.metadata[input.dataset.metadata] || '';
+            }
+        });
+
+        // Selected island
+        const island = this.selectedIsland !== null ? data.islands[this.selectedIsland] : null;
+        this.islandDetails.classList.toggle('hidden', !island);
+        if (island) {
+            document.getElementById('islandTitle').textContent = `Island ${this.selectedIsland}`;
+            this.islandInputs.forEach(input => {
+                const value = island[input.dataset.island];
+                input.value = value !== undefined ? value : '';
+            });
+        }
+
+        this.updateSpanList();
+        this.updateErrorList();
+    }
+
+    /**
+     * List the spans with editable signed lengths and directions
+     */
+    updateSpanList() {
+        this.spanList.innerHTML = '';
+        const errorSpans = this.getErrorIndices('spanIndex');
+
+        this.level.data.spans.forEach((span, index) => {
+            const item = document.createElement('li');
+            item.classList.toggle('selected', index === this.selectedSpan);
+            item.classList.toggle('error', errorSpans.has(index));
+
+            const label = document.createElement('span');
+            label.textContent = `${index}`;
+            label.className = 'span-index';
+            item.appendChild(label);
+
+            const length = document.createElement('input');
+            length.type = 'number';
+            length.step = '1';
+            length.value = span.length;
+            length.setAttribute('aria-label', `Span ${index} length`);
+            item.appendChild(length);
+
+            const direction = document.createElement('select');
+            direction.setAttribute('aria-label', `Span ${index} direction`);
+            Object.values(Direction).forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                direction.appendChild(option);
+            });
+            direction.value = span.direction;
+            item.appendChild(direction);
+
+            const remove = document.createElement('button');
+            remove.textContent = '×';
+            remove.setAttribute('aria-label', `Delete span ${index}`);
+            item.appendChild(remove);
+
+            const apply = () => {
+                const value = Number(length.value);
+                if (!Number.isFinite(value) || value === 0) {
+                    this.setStatus('Span length must be a non-zero number');
+                    return;
+                }
+                this.selectedSpan = index;
+                this.level.setSpan(index, value, direction.value);
+                this.refresh();
+            };
+            length.addEventListener('change', apply);
+            direction.addEventListener('change', apply);
+            length.addEventListener('focus', () => {
+                this.selectedSpan = index;
+                this.render();
+            });
+            remove.addEventListener('click', () => {
+                this.level.removeSpan(index);
+                this.selectedSpan = null;
+                this.refresh();
+            });
+
+            this.spanList.appendChild(item);
+        });
+    }
+
+    /**
+     * List validation errors; clicking one selects the island or span it is about
+     */
+    updateErrorList() {
+        const errors = this.validation.errors;
+        this.validationSummary.textContent = this.validation.valid
+            ? 'Level is playable'
+            : `${errors.length} problem${errors.length === 1 ? '' : 's'} to fix`;
+        this.validationSummary.classList.toggle('valid', this.validation.valid);
+
+        this.errorList.innerHTML = '';
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error.toString();
+            item.addEventListener('click', () => {
+                if (error.islandIndex !== null) {
+                    this.selectedIsland = error.islandIndex;
+                } else if (error.spanIndex !== null) {
+                    this.selectedSpan = error.spanIndex;
+                }
+                this.render();
+                this.updatePanel();
+            });
+            this.errorList.appendChild(item);
+        });
+    }
+
+    /**
+     * Indices of the islands or spans that have validation errors
+     * @param {string} field - 'islandIndex' or 'spanIndex'
+     * @returns {Set<number>}
+     */
+    getErrorIndices(field) {
+        return new Set(this.validation.errors.map(error => error[field]).filter(index => index !== null));
+    }
+
+    /**
+     * Draw the level: grid, islands and roads, bridge zones, course path, start car and highlights
+     */
+    render() {
+        const ctx = this.renderer.ctx;
+        const blockSize = this.viewport.blockSize;
+        const course = this.level.getCourse();
+        const islands = this.level.getIslands();
+        const data = this.level.data;
+
+        this.renderer.clear();
+        ctx.save();
+        const offset = this.viewport.getOffset();
+        ctx.translate(offset.x, offset.y);
+
+        this.debug.drawGrid(this.viewport.minRow, this.viewport.maxRow, this.viewport.minCol, this.viewport.maxCol, blockSize);
+
+        // Islands back to front (higher row + col is farther away)
+        const order = islands.map((island, index) => index)
+            .sort((a, b) => (islands[b][0] + islands[b][1]) - (islands[a][0] + islands[a][1]));
+        order.forEach(index => {
+            const [row, col, width, height] = islands[index];
+            const corners = this.renderer.drawIslandColors(row, col, width, height, GameConfig.editor.wallHeight, blockSize);
+            const roadSegments = course.getRoadSegmentsForIsland(index, islands);
+            this.renderer.drawIslandRoadFromSpans(row, col, width, height, roadSegments, blockSize);
+            this.renderer.drawIslandOutlines(corners);
+        });
+
+        this.debug.drawBridgeZones(course, islands, blockSize);
+        this.drawCoursePath(course);
+
+        // Highlights: islands with errors, then the selected island on top
+        const errorIslands = this.getErrorIndices('islandIndex');
+        errorIslands.forEach(index => {
+            if (islands[index]) {
+                this.drawIslandHighlight(islands[index], GameConfig.editor.errorColor);
+            }
+        });
+        if (this.selectedIsland !== null && islands[this.selectedIsland]) {
+            this.drawIslandHighlight(islands[this.selectedIsland], GameConfig.editor.selectedColor);
+        }
+        if (this.drag && this.drag.mode === 'draw') {
+            const { row, col, width, height } = this.drag.rect;
+            this.drawIslandHighlight([row, col, width, height], GameConfig.editor.selectedColor);
+        }
+
+        // Car at the start, facing along the first span
+        const firstSpan = course.spans[0];
+        this.renderer.drawCar(data.start.row, data.start.col,
+            firstSpan ? firstSpan.direction : Direction.COLUMN, firstSpan ? firstSpan.sign : 1, blockSize);
+
+        islands.forEach(([row, col, width, height], index) => {
+            this.debug.drawIslandNumber(row, col, width, height, index, blockSize);
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw the course as a line through its junctions; spans with errors are drawn in the error color
+     * @param {Course} course - The course
+     */
+    drawCoursePath(course) {
+        const ctx = this.renderer.ctx;
+        const blockSize = this.viewport.blockSize;
+        const errorSpans = this.getErrorIndices('spanIndex');
+        const toCanvas = (row, col) => {
+            const point = this.renderer.gameToScreen(row, col, 0);
+            return { x: point.x * blockSize, y: point.y * blockSize };
+        };
+        const dot = (point, color) => {
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
+            ctx.fill();
+        };
+
+        dot(toCanvas(course.startRow, course.startCol), GameConfig.editor.courseColor);
+
+        course.getSpanDetails().forEach(span => {
+            const start = toCanvas(span.startRow, span.startCol);
+            const end = toCanvas(span.endRow, span.endCol);
+
+            let color = GameConfig.editor.courseColor;
+            let width = 2;
+            if (span.spanIndex === this.selectedSpan) {
+                color = GameConfig.editor.selectedColor;
+                width = GameConfig.editor.highlightWidth;
+            }
+            if (errorSpans.has(span.spanIndex)) {
+                color = GameConfig.editor.errorColor;
+                width = GameConfig.editor.highlightWidth;
+            }
+
+            ctx.strokeStyle = color;
+            ctx.lineWidth = width;
+            ctx.beginPath();
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+            ctx.stroke();
+            dot(end, color);
+        });
+    }
+
+    /**
+     * Outline the top of an island
+     * @param {Array} island - Island data [row, col, width, height]
+     * @param {string} color - Outline color
+     */
+    drawIslandHighlight([row, col, width, height], color) {
+        const ctx = this.renderer.ctx;
+        const blockSize = this.viewport.blockSize;
+        const corners = [[row, col], [row, col + width], [row + height, col + width], [row + height, col]]
+            .map(([r, c]) => this.renderer.gameToScreen(r, c, 0));
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = GameConfig.editor.highlightWidth;
+        ctx.beginPath();
+        corners.forEach((point, i) => {
+            if (i === 0) {
+                ctx.moveTo(point.x * blockSize, point.y * blockSize);
+            } else {
+                ctx.lineTo(point.x * blockSize, point.y * blockSize);
+            }
+        });
+        ctx.closePath();
+        ctx.stroke();
+    }
+}
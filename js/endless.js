@@ -0,0 +1,213 @@
+// Endless mode - streams generated islands ahead of the car and drops them behind
+
+/**
+ * An endless course built one bridge at a time by CourseGenerator
+ *
+ * Islands are numbered from the start of the run (island 0 is the start island).
+ * Only a sliding window of islands around the car is kept: getLevel() returns the
+ * window as an ordinary Level, so path segments, bridge data, course bounds and the
+ * viewport all work on the window exactly as they do for a fixed level.
+ *
+ * When the window does not begin at island 0, its course starts where the bridge
+ * onto its first island starts (on the island that has just been dropped). That
+ * bridge span becomes a plain drive onto the first island, which keeps the road on
+ * the first island drawn from its entry edge.
+ */
+class EndlessCourse {
+    /**
+     * @param {number|string} seed - Seed for the island generator
+     * @param {Object} settings - Overrides for GameConfig.endless
+     */
+    constructor(seed, settings = {}) {
+        this.seed = seed;
+        this.settings = { ...GameConfig.endless, ...settings };
+
+        this.generator = new CourseGenerator(seed, {
+            ...this.getDifficultyOptions(0),
+            spanCount: Infinity
+        });
+
+        // Spans in the window: { span, startRow, startCol } (spanOffset = run number of spans[0])
+        this.spans = [];
+        this.spanOffset = 0;
+        this.generatedSpanCount = 0;
+
+        // Islands in the window (islandOffset = run number of islands[0])
+        this.islands = [this.generator.islands[0]];
+        this.islandOffset = 0;
+
+        // Run number of the span that bridges onto each island in the window (null for island 0)
+        this.arrivalSpans = [null];
+
+        // Position where the next generated span starts
+        this.nextRow = this.generator.row;
+        this.nextCol = this.generator.col;
+
+        // Run number of the island the car is on
+        this.currentIsland = 0;
+
+        this.ensureLookahead();
+    }
+
+    /**
+     * Generator options for the next bridge, ramping up every settings.rampEvery bridges
+     * Gaps widen, islands shrink and backwards bridges become more common
+     * @param {number} bridgeNumber - Number of bridges generated so far
+     * @returns {Object} Options for CourseGenerator
+     */
+    getDifficultyOptions(bridgeNumber) {
+        const settings = this.settings;
+        const step = Math.floor(bridgeNumber / settings.rampEvery);
+        const [gapMin, gapMax] = settings.startGapRange;
+        const [sizeMin, sizeMax] = settings.startIslandSizeRange;
+
+        return {
+            gapRange: [
+                Math.min(settings.maxGap, gapMin + Math.floor(step / 2)),
+                Math.min(settings.maxGap, gapMax + step)
+            ],
+            islandSizeRange: [
+                Math.max(settings.minIslandSize, sizeMin - Math.floor(step / 2)),
+                Math.max(settings.minIslandSize, sizeMax - Math.floor(step / 3))
+            ],
+            negativeShare: Math.min(settings.maxNegativeShare, settings.negativeShareStep * step)
+        };
+    }
+
+    /**
+     * Run number of the newest generated island
+     * @returns {number}
+     */
+    getLastIslandNumber() {
+        return this.islandOffset + this.islands.length - 1;
+    }
+
+    /**
+     * Run number of the first island in the window
+     * @returns {number}
+     */
+    getFirstIslandNumber() {
+        return this.islandOffset;
+    }
+
+    /**
+     * Generate islands until the window reaches settings.lookaheadIslands past the car
+     */
+    ensureLookahead() {
+        while (this.getLastIslandNumber() - this.currentIsland < this.settings.lookaheadIslands) {
+            this.extend();
+        }
+    }
+
+    /**
+     * Generate one more bridge and island at the current difficulty
+     * @throws {Error} If the generator cannot place an island
+     */
+    extend() {
+        const generator = this.generator;
+        const options = this.getDifficultyOptions(this.getLastIslandNumber());
+
+        // Turn away from a backwards bridge rather than jogging and carrying on
+        const [lastSign] = this.getRecentBridgeSigns(1);
+        if (lastSign < 0) {
+            generator.jogBeforeNextBridge = false;
+        }
+        options.negativeShare = this.getNegativeShare(options.negativeShare);
+        generator.options = CourseGenerator.normalizeOptions({ ...generator.options, ...options });
+
+        let added = false;
+        for (let attempt = 0; attempt < this.settings.bridgeAttempts * 2 && !added; attempt++) {
+            if (attempt === this.settings.bridgeAttempts) {
+                // Boxed in going the planned way - let the bridge head either way
+                generator.options.negativeShare = 0.5;
+            }
+            added = generator.addBridge();
+        }
+        if (!added) {
+            throw new Error(`Endless course ${this.seed} is boxed in after island ${this.getLastIslandNumber()}`);
+        }
+
+        // Copy the new spans (an optional jog, then the bridge) into the window
+        const generated = generator.course.spans;
+        while (this.generatedSpanCount < generated.length) {
+            const span = generated[this.generatedSpanCount];
+            this.spans.push({ span, startRow: this.nextRow, startCol: this.nextCol });
+
+            const end = generator.course.calculateSpanEnd(this.nextRow, this.nextCol, span);
+            this.nextRow = end.row;
+            this.nextCol = end.col;
+            this.generatedSpanCount++;
+        }
+
+        this.islands.push(generator.islands[generator.islands.length - 1]);
+        this.arrivalSpans.push(this.generatedSpanCount - 1);
+
+        generator.trimHistory(this.settings.collisionMemory);
+    }
+
+    /**
+     * Chance that the next bridge travels in the negative direction
+     * Backwards bridges are kept at least two bridges apart and never continued by a
+     * jog, so the course cannot spiral back into itself
+     * @param {number} share - Chance at the current difficulty
+     * @returns {number}
+     */
+    getNegativeShare(share) {
+        if (this.generator.jogBeforeNextBridge || this.getRecentBridgeSigns(2).some(sign => sign < 0)) {
+            return 0;
+        }
+        return share;
+    }
+
+    /**
+     * Get the signs of the most recent bridges, newest first
+     * @param {number} count - Number of bridges to look back
+     * @returns {number[]} +1 or -1 for each bridge (fewer at the start of the run)
+     */
+    getRecentBridgeSigns(count) {
+        return this.arrivalSpans.slice(-count)
+            .filter(spanNumber => spanNumber !== null)
+            .map(spanNumber => this.spans[spanNumber - this.spanOffset].span.sign)
+            .reverse();
+    }
+
+    /**
+     * Move the car onto the next island: generate ahead and drop islands behind
+     */
+    advance() {
+        this.currentIsland++;
+        this.ensureLookahead();
+
+        const firstKept = Math.max(0, this.currentIsland - this.settings.keepBehindIslands);
+        const dropIslands = firstKept - this.islandOffset;
+        if (dropIslands <= 0) return;
+
+        this.islands.splice(0, dropIslands);
+        this.arrivalSpans.splice(0, dropIslands);
+        this.islandOffset = firstKept;
+
+        // Keep spans from the bridge onto the first island onwards
+        const dropSpans = this.arrivalSpans[0] - this.spanOffset;
+        this.spans.splice(0, dropSpans);
+        this.spanOffset = this.arrivalSpans[0];
+    }
+
+    /**
+     * Build the current window as a Level
+     * @returns {Level}
+     */
+    getLevel() {
+        const course = new Course();
+
+        // The window's spans always end with the bridge onto the newest island
+        course.startRow = this.spans[0].startRow;
+        course.startCol = this.spans[0].startCol;
+        this.spans.forEach(({ span }) => course.addSpan(span.signedLength, span.direction));
+
+        return new Level(course, this.islands.slice(), {
+            id: `endless-${this.seed}`,
+            name: 'Endless',
+            seed: this.seed
+        });
+    }
+}
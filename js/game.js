@@ -1,21 +1,5 @@
 // Main game loop and initialization
 
-// Game state constants
-const GameState = {
-    START_SCREEN: 'start_screen',
-    COUNTDOWN: 'countdown',
-    DRIVING: 'driving',
-    TURNING: 'turning',
-    BRIDGE_GROWING: 'bridge_growing',
-    BRIDGE_SLAMMING: 'bridge_slamming',
-    DOOMED: 'doomed',
-    FALLING: 'falling',
-    SEGMENT_DONE: 'segment_done',
-    DONE: 'done',
-    FINISH: 'finish',
-    GAME_OVER: 'game_over'
-};
-
 /**
  * RenderContext bundles all game state needed for rendering
  * This keeps the Game/Renderer boundary clean
@@ -60,11 +44,18 @@ class RenderContext {
             bridgeTooShort: options.bridgeTooShort
         };
 
+        // Ghost car racing the personal best - a RenderContext for the ghost's run, or null
+        this.ghost = options.ghost || null;
+
         // Canvas-rendered UI elements (countdown and timer)
         this.canvasUI = {
             countdownValue: options.countdownValue || null,
             timer: options.timer || null,
-            progress: options.progress || 0,
+            progress: options.progress !== undefined ? options.progress : 0, // null hides the progress bar
+            minimap: options.minimap || null, // { finishIsland } shows the minimap instead of the progress bar
+            ghostDelta: options.ghostDelta !== undefined ? options.ghostDelta : null, // Seconds behind (+) or ahead (-) of the ghost
+            lives: options.lives || null, // { left, count } hearts in lives mode
+            timingFeedback: options.timingFeedback || null, // { text, color } judging the last release
             safeAreaInsets: options.safeAreaInsets || { top: 0, right: 0, bottom: 0, left: 0 }
         };
     }
@@ -84,84 +75,183 @@ class Game {
             this.updateViewport();
 
             // Re-render if on start screen (no animation loop running)
-            if (this.gameState === GameState.START_SCREEN && this.renderer) {
+            if (this.simulation.gameState === GameState.START_SCREEN && this.renderer) {
                 this.render();
             }
         });
 
-        // Viewport will be updated each frame based on car position
+        // Viewport will be updated each frame based on the camera, which follows the car
+        // (zoomed in a little on portrait screens, where the course would be drawn small)
+        this.camera = new Camera();
+        if (this.canvas.height > this.canvas.width) {
+            this.camera.setZoom(GameConfig.camera.portraitZoom);
+        }
         this.viewport = null;
         this.renderer = null;
         this.debug = null;
 
-        // Load the level (course + islands)
-        this.level = createExampleLevel();
-        this.course = this.level.course;
-        this.islands = this.level.islands;
-
-        // Car state
-        this.carRow = 1;
-        this.carCol = 1;
-        this.carDirection = 'column'; // Direction car is facing
+        // Campaign of levels - the current level is loaded by loadLevel() below
+        this.campaign = new CampaignManager();
+        this.levelIndex = 0;
+        this.customLevel = null;      // Level from the level editor, while playing one
 
-        // Path segments - calculated from course
-        this.pathSegments = this.course.getPathSegments(this.islands);
-        this.currentSegmentIndex = 0;
-        this.currentSegment = null;
+        // Player settings from the settings screen - applied by applySettings() once the UI exists
+        // (they include the difficulty, the minimap and the volumes, once saved under keys of their own)
+        this.settings = new Settings('mountainHighway.settings', LEGACY_SETTING_KEYS);
+        this.timingFeedback = null;   // { result, releasedAt, text, color } for the latest release
 
-        // Distance tracking for progress bar
-        this.totalPathLength = this.calculateTotalPathLength();
-        this.distanceTraveled = 0;
+        // Difficulty - the saved preset is applied to GameConfig before anything is played
+        Difficulty.apply(this.settings.get('difficulty'));
 
-        // Bridge data - calculated from level
-        this.bridgeSequence = this.level.getBridgeAnimationData();
-        this.bridgePositions = this.level.getBridgePositions();
+        // Lives mode - falls respawn the car at the bridge for a time penalty (fixed levels only)
+        this.livesMode = this.loadLivesMode();
 
-        // Player input state
-        this.mousePressed = false;
-        this.pressStartTime = 0;      // Timestamp when press began (for dead zone)
+        // Gameplay state lives in the simulation; Game feeds it time and input
+        this.simulation = new Simulation();
 
-        this.bridgeLength = 0;
-        this.bridgeRotation = 0; // 0 = vertical, Math.PI/2 = horizontal
+        // Player input (mouse, touch, keyboard and gamepads) - created in init()
+        this.input = null;
 
-        // Game state machine
-        this.gameState = GameState.START_SCREEN;
-        this.stateProgress = 0;
+        // Animation loop
         this.lastTime = 0;
-
-        // Countdown state
-        this.countdownValue = 3;      // Current countdown number (3, 2, 1)
-        this.countdownTimer = 0;      // Time elapsed in current countdown number
-
-        // Falling state
-        this.fallPoint = null;        // Position where car runs out of bridge
-        this.carZOffset = 0;          // Vertical offset when falling (negative = down)
-        this.carFallVelocity = 0;     // Current falling velocity
-        this.carTumbleRotation = 0;   // Rotation angle while tumbling
-        this.tumbleDirection = 1;     // +1 for right, -1 for left (row+ or col-)
-        this.sourceIslandIndex = -1;  // Island where the bridge starts (for rendering)
-        this.targetIslandIndex = -1;  // Island where the bridge ends (for rendering)
-        this.carInFrontOfTarget = true; // Whether falling car renders in front of target island
-        this.bridgeTooShort = false;  // Whether the doomed bridge was too short (vs too long)
-        this.fallTimer = 0;           // Time elapsed since car started falling
-
-        // Timer state
-        this.gameTimer = 0;           // Total time elapsed during gameplay (seconds)
-        this.finishTime = 0;          // Time when player finished (for display)
+        this.loopId = 0;              // Incremented to stop the running loop
 
         // Detect touch device and create UI manager
         this.isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
         this.ui = new UIManager(this.isTouchDevice, this.canvas.parentElement);
 
-        // Set up back button callback
-        this.ui.onBackPressed = () => this.goToStartScreen();
+        // Set up back button callback - during a run it pauses instead (Quit is on the pause menu)
+        this.ui.onBackPressed = () => {
+            if (this.isRunInProgress()) {
+                this.pauseGame();
+            } else {
+                this.goToStartScreen();
+            }
+        };
+
+        // Pausing - the simulation and its timer stand still until the resume countdown ends
+        this.paused = false;
+        this.resumeCountdown = null;  // Seconds left before play resumes (null while the pause menu is open)
+        this.heldOverPause = false;   // The button was held when the run paused - it stays held until pressed again
+        this.ui.onPausePressed = () => this.pauseGame();
+        this.ui.onResume = () => this.resumeGame();
+        this.ui.onPauseRestart = () => this.restartGame();
+        this.ui.onPauseQuit = () => this.goToStartScreen();
+
+        // Leaving the tab or window pauses the run, so it is not lost while away
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pauseGame();
+            }
+        });
+        window.addEventListener('blur', () => this.pauseGame());
+
+        // High score manager (one per level and difficulty, replaced by applyPlaySettings())
+        this.highScoreManager = null;
+        this.endRank = null;          // Rank of the run that just ended (to redraw its end screen)
+        this.personalBestView = false; // Whether the end screens show only the current player's entries
+
+        // Player profiles - who is playing, credited with the high scores they set
+        this.profiles = new ProfileManager();
+        this.ui.setPlayer(this.profiles.getCurrent());
+        this.ui.onPlayersPressed = () => this.showPlayers();
+        this.ui.onPlayerSelected = (id) => this.switchPlayer(id);
+        this.ui.onPlayerCreated = (name) => this.createPlayer(name);
+        this.ui.onPlayerRenamed = (name) => this.renamePlayer(name);
+
+        // Score files - the current player's scores and replays, checked by replaying them on import
+        this.scoreArchive = new ScoreArchive(this.profiles, this.campaign);
+        this.ui.onPlayerExport = () => this.exportScores();
+        this.ui.onPlayerImport = (text, fileName) => this.importScores(text, fileName);
+        this.ui.onLeaderboardViewToggled = () => this.toggleLeaderboardView();
+
+        // Online leaderboard - scores are sent to a leaderboard server as well as kept on this device,
+        // and queued while it cannot be reached (see getLeaderboardServerUrl())
+        const serverUrl = this.getLeaderboardServerUrl();
+        this.leaderboardBackend = serverUrl ? new RemoteLeaderboardBackend(serverUrl) : null;
+        this.endEntry = null;         // Entry submitted for the run that just ended (found in online tables by its hash)
+        this.onlineRequest = 0;       // Counts online table requests, so only the latest answer is shown
+        if (this.leaderboardBackend) {
+            this.leaderboardBackend.sync();
+            window.addEventListener('online', () => this.leaderboardBackend.sync());
+        }
+
+        // Replays - each run is recorded when it ends and can be watched from the end screens
+        this.replayStore = new ReplayStore();
+        this.lastReplay = null;
+        this.replayPlayer = null;     // ReplayPlayer while watching a replay
+        this.playSimulation = null;   // The player's simulation, set aside while watching
+
+        // Sound effects - follow whichever simulation is shown
+        this.audio = new AudioManager(this.settings);
+        this.ui.setMuted(this.audio.isMuted());
+        this.ui.onMutePressed = () => this.ui.setMuted(this.audio.toggleMute());
 
-        // High score manager
-        this.highScoreManager = new HighScoreManager();
+        // Ghost car - plays the personal best replay alongside the live run
+        // (personal bests are kept per difficulty and lives mode, as high scores are - see getBestReplays())
+        this.ghostPlayer = null;
+
+        // Attract-mode demo - a bot plays the level behind a start screen left alone
+        this.demo = null;             // { bot, endedAt } while the demo is running
+        this.demoTimer = null;
+
+        // Practice - one bridge at a time, with accuracy kept per bridge
+        this.practice = null;         // PracticeSession while practicing a bridge
+        this.practiceStats = new PracticeStats();
 
         // Set up clear scores callback
         this.ui.onClearScores = () => this.clearHighScores();
 
+        // Set up level select and next level callbacks
+        this.ui.onLevelsPressed = () => {
+            this.stopDemo();
+            this.ui.showLevelSelect(this.campaign.getLevelSummaries());
+        };
+        this.ui.onLevelSelected = (index) => this.selectLevel(index);
+        this.ui.onNextLevel = () => this.startNextLevel();
+        this.ui.onEndlessPressed = () => this.selectEndless();
+        this.ui.onDifficultyPressed = () => this.cycleDifficulty();
+        this.ui.onLivesPressed = () => this.toggleLivesMode();
+        this.ui.onSettingsPressed = () => this.showSettings();
+        this.ui.onSettingChanged = (name) => this.changeSetting(name);
+        this.applySettings();
+        this.ui.onPracticePressed = () => this.showPracticeSelect();
+        this.ui.onPracticeBridgeSelected = (index) => this.startPractice(index);
+        this.ui.onPracticeBridges = () => {
+            this.goToStartScreen();
+            this.showPracticeSelect();
+        };
+        this.ui.onPracticeExit = () => this.goToStartScreen();
+        this.ui.onEditorPressed = () => {
+            window.location.href = 'editor.html';
+        };
+
+        // Set up replay callbacks
+        this.ui.onReplayPressed = () => this.watchReplay();
+        this.ui.onReplayExit = () => this.exitReplay();
+        this.ui.onReplayPause = () => this.replayPlayer && this.replayPlayer.togglePause();
+        this.ui.onReplaySpeed = () => this.replayPlayer && this.replayPlayer.cycleSpeed();
+        this.ui.onReplayPrevious = () => this.replayPlayer && this.replayPlayer.previousBridge();
+        this.ui.onReplayNext = () => this.replayPlayer && this.replayPlayer.nextBridge();
+
+        // Play a level shared in the URL or sent by the level editor, or resume from the level the player was last playing
+        const customLevel = this.getSharedLevel() || this.getEditorLevel();
+        if (customLevel) {
+            this.loadCustomLevel(customLevel);
+        } else {
+            this.loadLevel(this.campaign.getCurrentIndex());
+        }
+
+        // Opening another level link in the same tab only changes the fragment
+        window.addEventListener('hashchange', () => {
+            this.stopDemo();
+            const sharedLevel = this.getSharedLevel();
+            if (sharedLevel) {
+                this.loadCustomLevel(sharedLevel);
+            }
+            this.goToStartScreen();
+        });
+
         // Safe area insets for iOS notch/Dynamic Island support
         this.safeAreaInsets = { top: 0, right: 0, bottom: 0, left: 0 };
         this.updateSafeAreaInsets();
@@ -170,6 +260,447 @@ class Game {
         this.init();
     }
 
+    /**
+     * Load a campaign level (course + islands) and reset the car to its start
+     * @param {number} index - Campaign index (0-based)
+     */
+    loadLevel(index) {
+        this.levelIndex = index;
+        this.customLevel = null;
+        this.campaign.setCurrentIndex(index);
+
+        this.simulation.loadLevel(this.campaign.getLevel(index));
+        this.applyPlaySettings();
+
+        this.ui.setLevelName(this.campaign.getLevelTitle(index));
+
+        // Course bounds changed - rebuild viewport (renderer exists once init() has run)
+        if (this.renderer) {
+            this.updateViewport();
+        }
+    }
+
+    /**
+     * Load a level from outside the campaign and reset the car to its start
+     * Best times and the ghost are kept per layout (and growth profile), so changing the level in the editor starts them afresh
+     * @param {Level} level - The level to play
+     */
+    loadCustomLevel(level) {
+        const { start, spans, islands } = level.toJSON();
+        const { growthProfile } = level.metadata;
+        const id = `custom-${SeededRandom.hashSeed(JSON.stringify({ start, spans, islands, growthProfile })).toString(16)}`;
+
+        this.customLevel = new Level(level.course, level.islands, { ...level.metadata, id }, level.islandNames);
+        this.simulation.loadLevel(this.customLevel);
+        this.applyPlaySettings();
+
+        this.ui.setLevelName(`Custom: ${level.metadata.name || 'Untitled'}`);
+
+        if (this.renderer) {
+            this.updateViewport();
+        }
+    }
+
+    /**
+     * Get the level shared in the URL fragment (index.html#level=...)
+     * A code that is damaged or fails validation is not played - its errors are shown on the start screen
+     * @returns {Level|null} null if there is no level code, or it cannot be played
+     */
+    getSharedLevel() {
+        this.ui.showLevelErrors(null);
+
+        const code = LevelCode.fromHash(window.location.hash);
+        if (code === null) return null;
+
+        try {
+            return Level.fromJSON(LevelCode.decode(code));
+        } catch (e) {
+            if (!(e instanceof LevelLoadError)) throw e;
+            this.ui.showLevelErrors(e);
+            return null;
+        }
+    }
+
+    /**
+     * Get the address of the online leaderboard server: index.html?leaderboard=<url>, otherwise
+     * GameConfig.leaderboard.serverUrl
+     * A link could otherwise send the player's name and replays anywhere, so the address in the page
+     * URL is only used if its origin is GameConfig.leaderboard.allowedServers or the configured server's
+     * @returns {string|null} null to keep scores on this device only
+     */
+    getLeaderboardServerUrl() {
+        const { serverUrl, allowedServers } = GameConfig.leaderboard;
+        const requested = new URLSearchParams(window.location.search).get('leaderboard');
+        if (!requested) return serverUrl;
+
+        const getOrigin = url => {
+            try {
+                return new URL(url).origin;
+            } catch (e) {
+                return null;
+            }
+        };
+        const origin = getOrigin(requested);
+        const allowed = allowedServers.concat(serverUrl ? [serverUrl] : []).map(getOrigin);
+        if (origin === null || origin === 'null' || !allowed.includes(origin)) {
+            console.warn(`Ignoring leaderboard server ${requested}: not in GameConfig.leaderboard.allowedServers`);
+            return serverUrl;
+        }
+        return requested;
+    }
+
+    /**
+     * Get the level to play when the level editor opened the game (index.html?level=editor)
+     * @returns {Level|null} null if the game was opened normally, or the editor's level is not playable
+     */
+    getEditorLevel() {
+        if (new URLSearchParams(window.location.search).get('level') !== 'editor') return null;
+
+        const saved = EditorLevel.loadSaved();
+        if (!saved) return null;
+
+        try {
+            return saved.toLevel();
+        } catch (e) {
+            console.warn('Failed to load the level from the editor:', e.toString());
+            return null;
+        }
+    }
+
+    /**
+     * Start a fresh endless course from a random seed and reset the car to its start
+     */
+    loadEndless() {
+        this.customLevel = null;
+        this.simulation.loadEndless(new EndlessCourse(Math.floor(Math.random() * 1e9)));
+        this.applyPlaySettings();
+
+        this.ui.setLevelName('Endless Mode');
+
+        if (this.renderer) {
+            this.updateViewport();
+        }
+    }
+
+    /**
+     * Set up the loaded level's lives, high score table and start screen options for the
+     * difficulty and lives mode settings
+     * Endless runs have no bridge to go back to, so they always end at the first fall
+     */
+    applyPlaySettings() {
+        const sim = this.simulation;
+        const lives = this.livesMode && !sim.endless;
+        sim.lives = lives ? GameConfig.lives.count : 0;
+
+        const suffix = HighScoreManager.getTableSuffix(lives);
+        const difficulty = Difficulty.getCurrent();
+        if (sim.endless) {
+            this.highScoreManager = new HighScoreManager(`${HIGH_SCORE_KEY_PREFIX}endless${suffix}`,
+                GameConfig.leaderboard.maxEntries, true, { level: 'endless', difficulty });
+        } else if (this.customLevel) {
+            const id = this.customLevel.metadata.id;
+            this.highScoreManager = new HighScoreManager(`${HIGH_SCORE_KEY_PREFIX}${id}${suffix}`,
+                GameConfig.leaderboard.maxEntries, false, { level: id, difficulty });
+        } else {
+            this.highScoreManager = this.campaign.getHighScoreManager(this.levelIndex, lives);
+        }
+        this.highScoreManager.backend = this.leaderboardBackend;
+
+        this.ui.setDifficulty(Difficulty.getDisplayName());
+        this.ui.setLivesMode(this.livesMode);
+        this.ui.setFixedLevel(!sim.endless);
+    }
+
+    /**
+     * Move to the next difficulty from the start screen, and remember the choice
+     */
+    cycleDifficulty() {
+        this.stopDemo();
+        const name = Difficulty.getNext();
+        Difficulty.apply(name);
+        this.settings.set('difficulty', name);
+        this.applyPlaySettings();
+    }
+
+    /**
+     * Turn lives mode on or off from the start screen, and remember the choice
+     */
+    toggleLivesMode() {
+        this.stopDemo();
+        this.livesMode = !this.livesMode;
+        this.saveLivesMode();
+        this.applyPlaySettings();
+    }
+
+    /**
+     * Read the saved lives mode setting
+     * @returns {boolean} Whether lives mode is on (off if never set)
+     */
+    loadLivesMode() {
+        try {
+            return localStorage.getItem('mountainHighway.lives') === 'true';
+        } catch (e) {
+            console.warn('Failed to read lives mode setting:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Save the lives mode setting
+     */
+    saveLivesMode() {
+        try {
+            localStorage.setItem('mountainHighway.lives', this.livesMode ? 'true' : 'false');
+        } catch (e) {
+            console.warn('Failed to save lives mode setting:', e);
+        }
+    }
+
+    /**
+     * Show or hide the minimap of the whole course (in place of the progress bar), and remember the choice
+     */
+    toggleMinimap() {
+        this.settings.set('minimap', !this.settings.get('minimap'));
+    }
+
+    /**
+     * Open the players screen from the start screen
+     */
+    showPlayers() {
+        this.stopDemo();
+        this.ui.showPlayers(this.profiles.getProfiles(), this.profiles.getCurrent().id);
+    }
+
+    /**
+     * Make another player the current player, from the players screen
+     * @param {string} id - Profile ID
+     */
+    switchPlayer(id) {
+        this.profiles.switchTo(id);
+        this.ui.setPlayer(this.profiles.getCurrent());
+        this.ui.hidePlayers();
+    }
+
+    /**
+     * Add a player and make them the current player, from the players screen
+     * @param {string} name - Name typed (a blank name gets "Player N")
+     */
+    createPlayer(name) {
+        this.profiles.create(name);
+        this.ui.setPlayer(this.profiles.getCurrent());
+        this.ui.hidePlayers();
+    }
+
+    /**
+     * Rename the current player, from the players screen
+     * A blank name is ignored
+     * @param {string} name - Name typed
+     */
+    renamePlayer(name) {
+        if (!ProfileManager.cleanName(name)) return;
+
+        const current = this.profiles.getCurrent();
+        this.profiles.rename(current.id, name);
+        this.ui.setPlayer(this.profiles.getCurrent());
+        this.ui.showPlayers(this.profiles.getProfiles(), current.id);
+    }
+
+    /**
+     * Download the current player's profile, scores and replays as a score file
+     */
+    exportScores() {
+        const profile = this.profiles.getCurrent();
+        const data = this.scoreArchive.export(profile.id);
+        const count = Object.values(data.tables).reduce((total, entries) => total + entries.length, 0);
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(data, null, 4)], { type: 'application/json' }));
+        link.download = `mountain-highway-${profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+
+        this.ui.setPlayerStatus(`Exported ${count} ${count === 1 ? 'score' : 'scores'} to ${link.download}`);
+    }
+
+    /**
+     * Import a score file chosen on the players screen, and say how it went
+     * @param {string} text - File contents
+     * @param {string} fileName - File name (for messages)
+     */
+    importScores(text, fileName) {
+        let summary;
+        try {
+            summary = this.scoreArchive.import(text);
+        } catch (e) {
+            this.ui.setPlayerStatus(`Could not import ${fileName}: ${e.message}`);
+            return;
+        }
+
+        this.ui.setPlayer(summary.profile);
+        this.ui.showPlayers(this.profiles.getProfiles(), summary.profile.id);
+
+        let message = `Imported ${summary.profile.name}: ${summary.added} new ${summary.added === 1 ? 'score' : 'scores'}`;
+        if (summary.duplicates > 0) {
+            message += `, ${summary.duplicates} already here`;
+        }
+        if (summary.unranked > 0) {
+            message += `, ${summary.unranked} not good enough for the tables`;
+        }
+        if (summary.rejected.length > 0) {
+            message += `, ${summary.rejected.length} rejected (${summary.rejected[0].reason})`;
+        }
+        this.ui.setPlayerStatus(message);
+    }
+
+    /**
+     * Switch the end screen's high score table between everyone's entries and the current player's
+     */
+    toggleLeaderboardView() {
+        this.personalBestView = !this.personalBestView;
+        this.showEndScreen(this.endRank);
+    }
+
+    /**
+     * Open the settings screen (from the start screen or the pause menu)
+     */
+    showSettings() {
+        this.stopDemo();
+        this.ui.showSettings(this.getSettingsValues());
+    }
+
+    /**
+     * Get every value shown on the settings screen
+     * The difficulty can only change between runs, so it is left out (null) during one
+     * @returns {Object} Values for UIManager.setSettings()
+     */
+    getSettingsValues() {
+        const settings = this.settings.values;
+        return {
+            ...settings,
+            volume: this.audio.getMasterVolume(),
+            sfxVolume: this.audio.getSfxVolume(),
+            sound: !this.audio.isMuted(),
+            difficulty: this.isRunInProgress() ? null : Difficulty.getDisplayName(),
+            theme: GameConfig.themes[settings.theme].name
+        };
+    }
+
+    /**
+     * Move a setting on to its next value from the settings screen, save it and apply it
+     * @param {string} name - Button name (see UIManager.setSettings())
+     */
+    changeSetting(name) {
+        if (name === 'volume') {
+            // Up one step at a time, then back to silent
+            this.audio.setMasterVolume(Settings.getNext('masterVolume', this.audio.getMasterVolume()));
+        } else if (name === 'sfxVolume') {
+            this.audio.setSfxVolume(Settings.getNext('sfxVolume', this.audio.getSfxVolume()));
+        } else if (name === 'sound') {
+            this.ui.setMuted(this.audio.toggleMute());
+        } else if (name === 'difficulty') {
+            if (this.isRunInProgress()) return;
+            this.cycleDifficulty();
+        } else if (name === 'minimap') {
+            this.toggleMinimap();
+        } else {
+            this.settings.set(name, Settings.getNext(name, this.settings.get(name)));
+            this.applySettings();
+        }
+        this.ui.setSettings(this.getSettingsValues());
+    }
+
+    /**
+     * Apply the player's settings to GameConfig, the renderer and the UI
+     */
+    applySettings() {
+        const settings = this.settings.values;
+        Settings.applyTheme(settings.theme);
+        GameConfig.debug.showGrid = settings.showGrid;
+        GameConfig.debug.showIslandNumbers = settings.showIslandNumbers;
+        GameConfig.debug.showBridgeZones = settings.showBridgeZones;
+
+        this.ui.setLeftHanded(settings.leftHanded);
+        this.ui.setReducedMotion(settings.reducedMotion);
+
+        // The renderer is created by the first updateViewport(), which applies them again
+        if (this.renderer) {
+            this.renderer.leftHanded = settings.leftHanded;
+            this.renderer.reducedMotion = settings.reducedMotion;
+            this.render();
+        }
+    }
+
+    /**
+     * Judge the latest release for the timing feedback under the timer, once, just after it
+     * is made (while the car is still at its bridge)
+     */
+    updateTimingFeedback() {
+        const sim = this.simulation;
+        const result = sim.bridgeResults[sim.bridgeResults.length - 1];
+        if (!result || (this.timingFeedback && this.timingFeedback.result === result)) return;
+
+        const solved = CourseSolver.solveBridge(sim.getCurrentBridge(), sim.islands, GrowthProfile.forLevel(sim.level));
+        const attempt = PracticeSession.evaluate(result, solved);
+        const settings = GameConfig.timingFeedback;
+
+        let text = attempt.outcome === 'short' ? 'Too short' : 'Too long';
+        if (attempt.outcome === 'safe') {
+            const error = Math.round(attempt.timingErrorMs);
+            text = Math.abs(error) <= settings.perfectMs ? 'Perfect' : `${Math.abs(error)} ms ${error < 0 ? 'early' : 'late'}`;
+        }
+        this.timingFeedback = {
+            result,
+            releasedAt: sim.time,
+            text,
+            color: attempt.outcome === 'safe' ? settings.goodColor : settings.badColor
+        };
+    }
+
+    /**
+     * Get the timing feedback to show under the timer, if the last release was a moment ago
+     * @param {Simulation} sim - The live run
+     * @returns {Object|null} { text, color }
+     */
+    getTimingFeedback(sim) {
+        const feedback = this.timingFeedback;
+        if (!feedback || !sim.bridgeResults.includes(feedback.result) ||
+            sim.time - feedback.releasedAt > GameConfig.timingFeedback.duration) {
+            return null;
+        }
+        return { text: feedback.text, color: feedback.color };
+    }
+
+    /**
+     * Switch to a level picked on the level select screen
+     * @param {number} index - Campaign index (0-based)
+     */
+    selectLevel(index) {
+        this.ui.hideLevelSelect();
+        this.ui.showLevelErrors(null);
+        this.loadLevel(index);
+        this.goToStartScreen();
+    }
+
+    /**
+     * Switch to endless mode from the start screen
+     */
+    selectEndless() {
+        this.stopDemo();
+        this.ui.showLevelErrors(null);
+        this.loadEndless();
+        this.goToStartScreen();
+    }
+
+    /**
+     * Continue to the next campaign level from the finish screen
+     */
+    startNextLevel() {
+        if (!this.hasNextLevel()) return;
+
+        this.loadLevel(this.levelIndex + 1);
+        this.restartGame();
+    }
+
     /**
      * Update safe area insets from CSS environment variables
      * These account for iOS notch, Dynamic Island, and home indicator
@@ -236,7 +767,7 @@ class Game {
         let minRow = Infinity, maxRow = -Infinity;
         let minCol = Infinity, maxCol = -Infinity;
 
-        this.islands.forEach(island => {
+        this.simulation.islands.forEach(island => {
             const [row, col, width, height] = island;
             minRow = Math.min(minRow, row);
             maxRow = Math.max(maxRow, row + height);
@@ -254,58 +785,11 @@ class Game {
     }
 
     /**
-     * Calculate total path length from all drive segments
-     * @returns {number} Total distance the car will travel
-     */
-    calculateTotalPathLength() {
-        let total = 0;
-        for (const segment of this.pathSegments) {
-            if (segment.type === 'drive') {
-                // Calculate distance for this drive segment
-                const rowDist = Math.abs(segment.endRow - segment.startRow);
-                const colDist = Math.abs(segment.endCol - segment.startCol);
-                total += rowDist + colDist; // One will be 0 since we move in one direction
-            }
-        }
-        return total;
-    }
-
-    /**
-     * Calculate distance traveled based on completed segments and current position
-     * @returns {number} Distance traveled so far
-     */
-    calculateDistanceTraveled() {
-        let distance = 0;
-
-        // Add distance from completed segments
-        for (let i = 0; i < this.currentSegmentIndex - 1; i++) {
-            const segment = this.pathSegments[i];
-            if (segment.type === 'drive') {
-                const rowDist = Math.abs(segment.endRow - segment.startRow);
-                const colDist = Math.abs(segment.endCol - segment.startCol);
-                distance += rowDist + colDist;
-            }
-        }
-
-        // Add distance within current segment (if it's a drive segment)
-        if (this.currentSegment && this.currentSegment.type === 'drive') {
-            if (this.currentSegment.direction === 'column') {
-                distance += Math.abs(this.carCol - this.currentSegment.startCol);
-            } else {
-                distance += Math.abs(this.carRow - this.currentSegment.startRow);
-            }
-        }
-
-        return distance;
-    }
-
-    /**
-     * Create a viewport that follows the car vertically while staying within course bounds
-     * Car is positioned halfway up the viewport
-     * Horizontal view is centered on (0,0) and does not scroll
+     * Create a viewport centered on the camera focus while staying within course bounds
+     * The camera's zoom scales the block size
      */
     createViewportForCanvas(canvasWidth, canvasHeight) {
-        const blockSize = GameConfig.grid.blockSize;
+        const blockSize = GameConfig.grid.blockSize * this.camera.zoom;
 
         // Calculate full course bounds
         const courseBounds = this.calculateCourseBounds();
@@ -319,8 +803,8 @@ class Game {
         const viewportHeightInRows = GameConfig.viewport.heightInRows;
         const scrollMargin = GameConfig.viewport.scrollMargin;
 
-        // Position viewport to center car vertically
-        const carCenterRow = this.carRow;
+        // Position viewport to center the camera focus vertically
+        const carCenterRow = this.camera.row;
         const desiredMinRow = carCenterRow - viewportHeightInRows / 2 - scrollMargin;
         const desiredMaxRow = carCenterRow + viewportHeightInRows / 2 + scrollMargin;
 
@@ -343,58 +827,66 @@ class Game {
             minRow = courseBounds.minRow;
         }
 
-        return new Viewport(minRow, maxRow, minCol, maxCol, blockSize, canvasWidth, canvasHeight, courseBounds, this.safeAreaInsets);
+        // Endless courses wander sideways, so the camera follows the car horizontally too
+        const followHorizontally = this.simulation.endless !== null;
+
+        const focus = { row: this.camera.row, col: this.camera.col };
+        return new Viewport(minRow, maxRow, minCol, maxCol, blockSize, canvasWidth, canvasHeight, courseBounds, this.safeAreaInsets, followHorizontally, focus);
     }
 
     init() {
+        const course = this.simulation.course;
+
         // Log course details for verification
-        console.log('Course start:', this.course.startRow, this.course.startCol);
-        console.log('Course end:', this.course.getEndLocation());
-        console.log('Span details:', this.course.getSpanDetails());
+        console.log('Course start:', course.startRow, course.startCol);
+        console.log('Course end:', course.getEndLocation());
+        console.log('Span details:', course.getSpanDetails());
 
         // Validate level configuration
-        const validationResult = this.level.validate();
+        const validationResult = this.simulation.level.validate();
         CourseValidator.printResults(validationResult, 'Course Validation');
 
         // Initialize viewport and renderer
         this.updateViewport();
 
         // Log path segments for debugging
-        console.log('Path segments:', this.pathSegments);
+        console.log('Path segments:', this.simulation.pathSegments);
 
         // Set up input handlers
-        this.setupInputHandlers();
-        this.setupStartScreen();
+        this.setupInput();
 
         // Render the start screen (but don't start animation loop yet)
         this.render();
+        this.scheduleDemo();
     }
 
     /**
      * Start the game (called when player clicks Start button)
      */
     startGame() {
+        clearTimeout(this.demoTimer);
+
         // Transition to countdown state
-        this.gameState = GameState.COUNTDOWN;
-        this.countdownValue = 3;
-        this.countdownTimer = 0;
+        this.simulation.startCountdown();
+        this.loadGhost();
 
-        // Show back button (visible throughout gameplay and end screens)
+        // Show back button (visible throughout gameplay and end screens) and the pause button
         this.ui.showBackButton();
+        this.ui.showPauseButton();
 
         // Update overlay to show countdown
         this.updateCountdownDisplay();
 
         // Start animation loop
-        requestAnimationFrame((time) => this.animate(time));
+        this.startAnimationLoop();
     }
 
     /**
      * Update the overlay to show countdown number
      */
     updateCountdownDisplay() {
-        if (this.gameState === GameState.COUNTDOWN) {
-            this.ui.showCountdown(this.countdownValue);
+        if (this.simulation.gameState === GameState.COUNTDOWN) {
+            this.ui.showCountdown(this.simulation.countdownValue);
         }
     }
 
@@ -409,66 +901,230 @@ class Game {
      * Show the finish screen when player completes the course
      */
     showFinishScreen() {
-        // Submit score and get result
-        const result = this.highScoreManager.submitScore(this.finishTime);
-        this.ui.showFinishScreen(this.finishTime, result.rank, result.scores);
+        // Submit score and get result - lives mode scores note how many lives the run cost, and
+        // a paused run is not ranked
+        const sim = this.simulation;
+        const result = this.highScoreManager.submitScore(sim.finishTime, this.getScoreDetails(sim));
+        this.endEntry = result.entry;
+        if (!this.customLevel) {
+            this.campaign.completeLevel(this.levelIndex);
+        }
+        this.showEndScreen(result.rank);
     }
 
     /**
      * Show the game over screen when player crashes
      */
     showGameOverScreen() {
-        const highScores = this.highScoreManager.getScores();
-        this.ui.showGameOverScreen(highScores);
+        const sim = this.simulation;
+        let rank = null;
+        this.endEntry = null;
+
+        // Endless runs always end in a crash - that is when the score is submitted
+        if (sim.endless && sim.bridgesCrossed > 0) {
+            const result = this.highScoreManager.submitScore(sim.bridgesCrossed, this.getScoreDetails(sim));
+            rank = result.rank;
+            this.endEntry = result.entry;
+        }
+        this.showEndScreen(rank);
+    }
+
+    /**
+     * Get the facts kept with a run's high score: who set it, the split times and the replay
+     * (which lets the score be checked when it is imported elsewhere), how many lives a lives
+     * mode run cost, and whether the run was paused
+     * @param {Simulation} sim - The run that just ended (already recorded by recordReplay())
+     * @returns {Object} { player, splits, replay } and { livesUsed, paused } as they apply
+     */
+    getScoreDetails(sim) {
+        const details = {
+            player: this.profiles.getEntryPlayer(),
+            splits: sim.gameState === GameState.FINISH ? sim.splits : null,
+            replay: this.lastReplay.toJSON()
+        };
+        if (sim.lives > 0) {
+            details.livesUsed = sim.livesUsed;
+        }
+        if (sim.pauses > 0) {
+            details.paused = true;
+        }
+        return details;
+    }
+
+    /**
+     * Show the finish or game over screen for the run that just ended, without submitting a score
+     * With an online leaderboard, the table on this device is shown first and then swapped for
+     * the online one once the server answers (see showOnlineScores())
+     * @param {number|null} rank - The run's rank in the high score table, or null
+     * @param {Array|null} onlineRows - { rank, entry } rows from the online leaderboard, or null for this device's table
+     */
+    showEndScreen(rank = null, onlineRows = null) {
+        const sim = this.simulation;
+        const current = this.profiles.getCurrent();
+        const online = onlineRows !== null;
+        const highScores = online
+            ? onlineRows
+            : this.highScoreManager.getRankedScores(this.personalBestView ? current.id : null);
+        this.ui.setLeaderboardView(this.personalBestView ? current.name : null, online);
+        this.ui.setRunPaused(sim.pauses > 0);
+        const hasReplay = this.lastReplay !== null;
+        this.endRank = rank;
+
+        // The run's rank online is not its rank on this device - online rows are matched by hash
+        if (online) {
+            const row = this.endEntry ? onlineRows.find(({ entry }) => entry.hash === this.endEntry.hash) : null;
+            rank = row ? row.rank : null;
+        } else {
+            this.showOnlineScores();
+        }
+
+        if (sim.gameState === GameState.FINISH) {
+            // Splits are compared with the personal best the run was racing
+            const breakdown = {
+                splits: sim.splits,
+                bridgeResults: sim.bridgeResults,
+                bestSplits: this.ghostPlayer ? this.ghostPlayer.splits : null,
+                lives: sim.lives > 0 ? { count: sim.lives, falls: sim.falls } : null
+            };
+            this.ui.showFinishScreen(sim.finishTime, rank, highScores, this.hasNextLevel(), hasReplay, breakdown);
+        } else if (sim.endless) {
+            this.ui.showEndlessGameOverScreen(sim.bridgesCrossed, sim.getEndlessDistance(), rank, highScores, hasReplay);
+        } else {
+            this.ui.showGameOverScreen(highScores, hasReplay);
+        }
+    }
+
+    /**
+     * Fetch the online table for the end screen: the top entries, then the current player's best
+     * with the entries around it if it is further down. The table on this device stays up if the
+     * server cannot be reached, or if the end screen has gone by the time it answers.
+     */
+    showOnlineScores() {
+        const request = ++this.onlineRequest;
+        if (!this.leaderboardBackend || this.personalBestView) return;
+
+        const rank = this.endRank;
+        const table = this.highScoreManager;
+        Promise.all([
+            table.fetchTopScores(),
+            table.fetchScoresAroundPlayer(this.profiles.getCurrent().id)
+        ]).then(([top, around]) => {
+            const gameState = this.simulation.gameState;
+            const shown = (gameState === GameState.FINISH || gameState === GameState.GAME_OVER) && !this.replayPlayer;
+            if (request !== this.onlineRequest || !shown || top.offline || around.offline) return;
+
+            const ranks = new Set(top.rows.map(row => row.rank));
+            this.showEndScreen(rank, top.rows.concat(around.rows.filter(row => !ranks.has(row.rank))));
+        }, e => console.warn('Failed to fetch the online leaderboard:', e));
+    }
+
+    /**
+     * Check if there is a campaign level after the one being played (never for custom levels)
+     * @returns {boolean}
+     */
+    hasNextLevel() {
+        return !this.customLevel && this.campaign.hasNextLevel(this.levelIndex);
     }
 
     /**
      * Clear all high scores and refresh the display
      */
     clearHighScores() {
+        this.stopDemo();
         this.highScoreManager.clearScores();
 
         // Refresh the current screen to show empty state
-        if (this.gameState === GameState.FINISH) {
-            this.ui.showFinishScreen(this.finishTime, null, []);
-        } else if (this.gameState === GameState.GAME_OVER) {
-            this.ui.showGameOverScreen([]);
+        const gameState = this.simulation.gameState;
+        if (gameState === GameState.FINISH || gameState === GameState.GAME_OVER) {
+            this.showEndScreen(null);
         }
     }
 
+    /**
+     * Record the run that just ended so it can be watched back
+     */
+    recordReplay() {
+        this.lastReplay = Replay.fromSimulation(this.simulation);
+        this.replayStore.save(this.lastReplay);
+
+        // Finished level runs faster than the personal best become the new ghost
+        if (!this.simulation.endless) {
+            this.getBestReplays(this.simulation).saveIfBest(this.lastReplay);
+        }
+    }
+
+    /**
+     * Set up the ghost car for a new run from the personal best replay for the level
+     * Endless courses differ every run, so they have no ghost
+     */
+    loadGhost() {
+        const sim = this.simulation;
+        const best = sim.endless ? null : this.getBestReplays(sim).load(sim.level.metadata.id);
+        this.ghostPlayer = best ? new ReplayPlayer(best, sim.level) : null;
+    }
+
+    /**
+     * Get the personal best replays a run is compared with
+     * @param {Simulation} sim - The run
+     * @returns {ReplayStore} The store for the current difficulty, and for lives mode if the run has lives
+     */
+    getBestReplays(sim) {
+        return new ReplayStore(`mountainHighway.replays.best${HighScoreManager.getTableSuffix(sim.lives > 0)}`);
+    }
+
+    /**
+     * Watch the run that just ended, from the finish or game over screen
+     * The player's simulation is set aside and restored by exitReplay()
+     */
+    watchReplay() {
+        if (!this.lastReplay || this.replayPlayer) return;
+
+        const level = this.lastReplay.seed !== null ? null : this.simulation.level;
+        this.replayPlayer = new ReplayPlayer(this.lastReplay, level);
+        this.playSimulation = this.simulation;
+        this.simulation = this.replayPlayer.simulation;
+
+        this.ui.hide();
+        this.ui.showReplayControls();
+        this.ui.updateReplayControls(this.replayPlayer.getStatus());
+    }
+
+    /**
+     * Stop watching a replay and go back to the finish or game over screen
+     */
+    exitReplay() {
+        if (!this.replayPlayer) return;
+
+        this.leaveReplay();
+        this.updateViewport();
+        this.showEndScreen(this.endRank);
+    }
+
+    /**
+     * Put the player's simulation back after watching a replay
+     */
+    leaveReplay() {
+        this.simulation = this.playSimulation;
+        this.playSimulation = null;
+        this.replayPlayer = null;
+        this.ui.hideReplayControls();
+    }
+
     /**
      * Restart the game
      */
     restartGame() {
-        // Reset game state
-        this.gameState = GameState.COUNTDOWN;
-        this.countdownValue = 3;
-        this.countdownTimer = 0;
-
-        // Reset car position
-        this.carRow = this.course.startRow;
-        this.carCol = this.course.startCol;
-        this.carDirection = this.pathSegments[0].direction;
-
-        // Reset segment tracking
-        this.currentSegmentIndex = 0;
-        this.currentSegment = null;
-
-        // Reset bridge state
-        this.bridgeLength = 0;
-        this.bridgeRotation = 0;
-
-        // Reset falling state
-        this.carZOffset = 0;
-        this.carFallVelocity = 0;
-        this.carTumbleRotation = 0;
-        this.tumbleDirection = 1;
-        this.fallPoint = null;
-        this.fallTimer = 0;
-
-        // Reset timer state
-        this.gameTimer = 0;
-        this.finishTime = 0;
+        this.clearPause();
+        this.ui.showPauseButton();
+
+        // Each endless run gets a new course
+        if (this.simulation.endless) {
+            this.loadEndless();
+        }
+
+        // Reset car, bridges and timer, and count down again
+        this.simulation.startCountdown();
+        this.loadGhost();
 
         // Update overlay to show countdown
         this.updateCountdownDisplay();
@@ -478,154 +1134,385 @@ class Game {
      * Go back to start screen (from gameplay)
      */
     goToStartScreen() {
-        // Reset game state
-        this.gameState = GameState.START_SCREEN;
-
-        // Reset car position
-        this.carRow = this.course.startRow;
-        this.carCol = this.course.startCol;
-        this.carDirection = this.pathSegments[0].direction;
-
-        // Reset segment tracking
-        this.currentSegmentIndex = 0;
-        this.currentSegment = null;
-
-        // Reset bridge state
-        this.bridgeLength = 0;
-        this.bridgeRotation = 0;
-
-        // Reset falling state
-        this.carZOffset = 0;
-        this.carFallVelocity = 0;
-        this.carTumbleRotation = 0;
-        this.tumbleDirection = 1;
-        this.fallPoint = null;
-        this.fallTimer = 0;
-
-        // Reset timer state
-        this.gameTimer = 0;
-        this.finishTime = 0;
-        this.lastTime = 0;
+        this.stopDemo();
+        if (this.replayPlayer) {
+            this.leaveReplay();
+        }
+        if (this.practice) {
+            this.leavePractice();
+        }
+
+        // Each endless run gets a new course
+        if (this.simulation.endless) {
+            this.loadEndless();
+        }
+
+        // Reset car, bridges and timer, and stop the animation loop
+        this.clearPause();
+        this.simulation.reset();
+        this.ghostPlayer = null;
+        this.loopId++;
+        this.audio.silence();
 
         // Show start screen UI
         this.ui.showStartScreen();
         this.ui.hideBackButton();
+        this.ui.hidePauseButton();
 
         // Update viewport and render
         this.updateViewport();
         this.render();
+        this.scheduleDemo();
     }
 
     /**
-     * Set up start screen - click anywhere to start or restart
+     * (Re)start the wait before the attract-mode demo
      */
-    setupStartScreen() {
-        const startHandler = (e) => {
-            // For mouse events, only respond to left button (button 0)
-            if (e.type === 'mousedown' && e.button !== 0) {
-                return;
-            }
+    scheduleDemo() {
+        clearTimeout(this.demoTimer);
+        this.demoTimer = setTimeout(() => this.startDemo(), GameConfig.bot.demoDelay * 1000);
+    }
 
-            if (this.gameState === GameState.START_SCREEN) {
-                this.startGame();
-            } else if (this.gameState === GameState.FINISH || this.gameState === GameState.GAME_OVER) {
-                this.restartGame();
-            }
-        };
+    /**
+     * Let a bot play the current level behind the start screen
+     * The player's simulation is set aside and restored by stopDemo()
+     */
+    startDemo() {
+        if (this.demo || this.replayPlayer || this.simulation.gameState !== GameState.START_SCREEN) return;
 
-        // Mouse click to start/restart
-        this.canvas.addEventListener('mousedown', startHandler);
+        // Picking a level or a bridge, or changing settings - try again later
+        if (this.ui.isLevelSelectVisible() || this.ui.isPracticeSelectVisible() || this.ui.isSettingsVisible() ||
+            this.ui.isPlayersVisible()) {
+            this.scheduleDemo();
+            return;
+        }
 
-        // Touch to start/restart
-        this.canvas.addEventListener('touchstart', startHandler);
+        this.playSimulation = this.simulation;
+        this.simulation = new Simulation({ logging: false });
+        this.demo = { bot: new BotPlayer(GameConfig.bot.demoSkill, Date.now()), endedAt: null };
+        this.restartDemo();
+        this.startAnimationLoop();
     }
 
     /**
-     * Set up mouse/touch input handlers for bridge building
+     * Start the demo run again from the beginning (a new course in endless mode)
      */
-    setupInputHandlers() {
-        // Mouse down - start growing bridge
-        this.canvas.addEventListener('mousedown', (e) => {
-            // Only respond to left button (button 0)
-            if (e.button !== 0) return;
+    restartDemo() {
+        const sim = this.simulation;
+        if (this.playSimulation.endless) {
+            sim.loadEndless(new EndlessCourse(Date.now()));
+        } else {
+            sim.loadLevel(this.playSimulation.level);
+        }
 
-            if (this.gameState === GameState.BRIDGE_GROWING) {
-                this.mousePressed = true;
-                this.pressStartTime = performance.now();
-                console.log('Mouse pressed - bridge growing');
-            }
-        });
+        // Skip the countdown - the start screen stays up over the demo
+        sim.startCountdown();
+        while (sim.gameState === GameState.COUNTDOWN) {
+            sim.step(sim.timestep);
+        }
 
-        // Mouse up - stop growing and slam bridge
-        this.canvas.addEventListener('mouseup', (e) => {
-            // Only respond to left button (button 0)
-            if (e.button !== 0) return;
-
-            if (this.gameState === GameState.BRIDGE_GROWING && this.mousePressed) {
-                // Check if we're past the input dead zone
-                const pressDuration = (performance.now() - this.pressStartTime) / 1000;
-                if (pressDuration >= GameConfig.bridge.inputDeadZone) {
-                    this.mousePressed = false;
-                    this.slamBridge();
-                    console.log('Mouse released - bridge slamming at length:', this.bridgeLength);
-                } else {
-                    // Released before dead zone - ignore (accidental touch)
-                    this.mousePressed = false;
-                    console.log('Mouse released before dead zone - ignored');
-                }
-            }
-        });
+        this.demo.bot.reset();
+        this.demo.endedAt = null;
+    }
 
-        // Touch support
-        this.canvas.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            if (this.gameState === GameState.BRIDGE_GROWING) {
-                this.mousePressed = true;
-                this.pressStartTime = performance.now();
-                console.log('Touch start - bridge growing');
+    /**
+     * Advance the demo, going again a moment after each run ends
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    updateDemo(deltaTime) {
+        const sim = this.simulation;
+        sim.update(deltaTime, this.demo.bot.getInputs(sim));
+
+        if (sim.gameState === GameState.FINISH || sim.gameState === GameState.GAME_OVER) {
+            if (this.demo.endedAt === null) {
+                this.demo.endedAt = sim.time;
+            } else if (sim.time - this.demo.endedAt >= GameConfig.bot.demoPause) {
+                this.restartDemo();
             }
-        });
+        }
+    }
 
-        this.canvas.addEventListener('touchend', (e) => {
-            e.preventDefault();
-            if (this.gameState === GameState.BRIDGE_GROWING && this.mousePressed) {
-                // Check if we're past the input dead zone
-                const pressDuration = (performance.now() - this.pressStartTime) / 1000;
-                if (pressDuration >= GameConfig.bridge.inputDeadZone) {
-                    this.mousePressed = false;
-                    this.slamBridge();
-                    console.log('Touch end - bridge slamming at length:', this.bridgeLength);
-                } else {
-                    // Released before dead zone - ignore (accidental touch)
-                    this.mousePressed = false;
-                    console.log('Touch end before dead zone - ignored');
-                }
+    /**
+     * End the demo and put the player's simulation back on the start screen
+     */
+    stopDemo() {
+        if (!this.demo) return;
+
+        this.simulation = this.playSimulation;
+        this.playSimulation = null;
+        this.demo = null;
+        this.loopId++;
+
+        this.updateViewport();
+        this.render();
+        this.scheduleDemo();
+    }
+
+    /**
+     * List the current level's bridges to practice, with the accuracy of each so far
+     */
+    showPracticeSelect() {
+        this.stopDemo();
+
+        const level = this.simulation.level;
+        const solved = CourseSolver.solve(level).bridges;
+        const stats = this.practiceStats.getLevelStats(level.metadata.id, solved.length);
+        const bridges = level.getBridges().map((bridge, index) => ({
+            title: `Bridge ${index + 1}`,
+            isTurn: bridge.junctionType === JunctionType.TURN,
+            windowMs: solved[index].windowMs,
+            stats: stats[index]
+        }));
+        this.ui.showPracticeSelect(bridges);
+    }
+
+    /**
+     * Practice one bridge of the current level, picked from the practice overlay
+     * The player's simulation is set aside and restored by leavePractice()
+     * @param {number} index - Bridge index
+     */
+    startPractice(index) {
+        clearTimeout(this.demoTimer);
+        this.ui.hidePracticeSelect();
+
+        this.practice = new PracticeSession(this.simulation.level, index, this.practiceStats);
+        this.playSimulation = this.simulation;
+        this.simulation = this.practice.simulation;
+
+        this.ui.hide();
+        this.ui.showPracticeControls();
+        this.updatePracticeControls();
+        this.updateViewport();
+        this.startAnimationLoop();
+    }
+
+    /**
+     * Show the last practice release and the bridge's accuracy on the practice controls
+     */
+    updatePracticeControls() {
+        const { level, bridgeIndex, lastAttempt } = this.practice;
+        const stats = this.practiceStats.getLevelStats(level.metadata.id, level.getBridges().length)[bridgeIndex];
+        this.ui.updatePracticeControls(`Bridge ${bridgeIndex + 1}`, lastAttempt, stats);
+    }
+
+    /**
+     * Put the player's simulation back after practicing
+     */
+    leavePractice() {
+        this.simulation = this.playSimulation;
+        this.playSimulation = null;
+        this.practice = null;
+        this.ui.hidePracticeControls();
+    }
+
+    /**
+     * Set up input from every device: the bridge button, starting and restarting from
+     * the overlays, going back, and moving between menu buttons without a mouse
+     */
+    setupInput() {
+        // The simulation reads the button state each step: a press grows the bridge
+        // and a release slams it
+        this.input = new InputManager(this.canvas);
+        this.input.onPress = () => this.handlePress();
+        this.input.onBack = () => this.handleBack();
+        this.input.onNavigate = (step) => this.ui.moveFocus(step);
+        this.input.onActivate = () => this.ui.activateFocusedButton();
+        this.input.onZoom = (factor) => this.zoomCamera(factor);
+        this.input.onPause = () => this.togglePause();
+    }
+
+    /**
+     * Zoom the camera in or out (mouse wheel or pinch), and redraw screens without an animation loop
+     * @param {number} factor - Above 1 zooms in, below 1 zooms out
+     */
+    zoomCamera(factor) {
+        this.camera.zoomBy(factor);
+
+        // No time has passed, so the camera zooms where it is
+        this.updateViewport(0);
+        this.render();
+    }
+
+    /**
+     * Start or restart from an overlay when the button is pressed
+     */
+    handlePress() {
+        // Presses while watching a replay or picking a level, bridge or player are ignored (those screens
+        // use buttons), and practice reads the button itself
+        // (as is the pause menu)
+        if (this.replayPlayer || this.practice || this.paused || this.ui.isLevelSelectVisible() || this.ui.isPracticeSelectVisible() ||
+            this.ui.isSettingsVisible() || this.ui.isPlayersVisible()) return;
+
+        // A press during the demo starts a run, as it would on the start screen
+        this.stopDemo();
+
+        const gameState = this.simulation.gameState;
+        if (gameState === GameState.START_SCREEN) {
+            this.startGame();
+        } else if (gameState === GameState.FINISH || gameState === GameState.GAME_OVER) {
+            this.restartGame();
+        }
+    }
+
+    /**
+     * Go back one screen (Escape or the gamepad back button)
+     */
+    handleBack() {
+        if (this.demo) {
+            this.stopDemo();
+        } else if (this.ui.isLevelSelectVisible()) {
+            this.ui.hideLevelSelect();
+        } else if (this.ui.isPracticeSelectVisible()) {
+            this.ui.hidePracticeSelect();
+        } else if (this.replayPlayer) {
+            this.exitReplay();
+        } else if (this.ui.isSettingsVisible()) {
+            this.ui.hideSettings();
+        } else if (this.ui.isPlayersVisible()) {
+            this.ui.hidePlayers();
+        } else if (this.isRunInProgress()) {
+            this.togglePause();
+        } else if (this.simulation.gameState !== GameState.START_SCREEN) {
+            this.goToStartScreen();
+        }
+    }
+
+    /**
+     * Check if the player is in the middle of a run (counting down or playing), which can be paused
+     * Replays, the demo and practice have their own controls
+     * @returns {boolean}
+     */
+    isRunInProgress() {
+        const gameState = this.simulation.gameState;
+        return !this.replayPlayer && !this.demo && !this.practice &&
+            gameState !== GameState.START_SCREEN && gameState !== GameState.FINISH && gameState !== GameState.GAME_OVER;
+    }
+
+    /**
+     * Pause the run and open the pause menu (or stop a resume countdown and reopen it)
+     * Pauses after the countdown are counted in the simulation, which flags the run's
+     * high score and replay
+     */
+    pauseGame() {
+        if (!this.isRunInProgress() || (this.paused && this.resumeCountdown === null)) return;
+
+        if (!this.paused) {
+            if (this.simulation.gameState !== GameState.COUNTDOWN) {
+                this.simulation.pauses++;
             }
-        });
+            // The press is let go below, as its release may never arrive (the window lost focus, or the
+            // pause menu took it), but a bridge held when the run paused is still held when it resumes
+            this.heldOverPause = this.input.isPressed();
+        }
+        this.paused = true;
+        this.resumeCountdown = null;
+
+        this.input.releaseAll();
+        this.audio.silence();
+        this.ui.hidePauseButton();
+        this.ui.showPauseMenu();
+    }
+
+    /**
+     * Close the pause menu and count down to resuming the run
+     */
+    resumeGame() {
+        if (!this.paused || this.resumeCountdown !== null) return;
+
+        const { resumeCountdown, resumeStep } = GameConfig.pause;
+        this.resumeCountdown = resumeCountdown * resumeStep;
+        this.ui.hideSettings();
+        this.ui.hidePauseMenu();
+        this.ui.clearFocus();
+    }
+
+    /**
+     * Pause, or resume from the pause menu (Escape and the gamepad start button)
+     */
+    togglePause() {
+        if (this.paused && this.resumeCountdown === null) {
+            this.resumeGame();
+        } else {
+            this.pauseGame();
+        }
+    }
+
+    /**
+     * Leave the paused state without resuming (restarting or quitting from the pause menu)
+     */
+    clearPause() {
+        this.paused = false;
+        this.resumeCountdown = null;
+        this.heldOverPause = false;
+        this.ui.hideSettings();
+        this.ui.hidePauseMenu();
+    }
+
+    /**
+     * Count down to resuming the run, and resume when the countdown ends
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    updateResumeCountdown(deltaTime) {
+        if (this.resumeCountdown === null) return;
+
+        this.resumeCountdown -= deltaTime;
+        if (this.resumeCountdown <= 0) {
+            this.paused = false;
+            this.resumeCountdown = null;
+            this.ui.showPauseButton();
+        }
+    }
+
+    /**
+     * Check whether the button is held for the live run
+     * A press held when the run paused counts as held until the player presses again, so the
+     * bridge is let go by their next release rather than by the pause
+     * @returns {boolean}
+     */
+    isPressed() {
+        if (this.heldOverPause && (this.input.isPressed() || !this.isRunInProgress())) {
+            this.heldOverPause = false;
+        }
+        return this.heldOverPause || this.input.isPressed();
     }
 
     /**
      * Update viewport based on current car position
+     * @param {number|null} elapsed - Seconds since the last frame, to ease the camera toward the car
+     *   (null moves it straight there, e.g. after loading a level or restarting)
      */
-    updateViewport() {
+    updateViewport(elapsed = null) {
+        const sim = this.simulation;
+        // With reduced motion the camera keeps up with the car instead of easing after it
+        const smoothed = this.settings.get('reducedMotion') ? null : elapsed;
+        this.camera.update(Camera.getTarget(sim.carRow, sim.carCol, sim.currentSegment), smoothed);
         this.viewport = this.createViewportForCanvas(this.canvas.width, this.canvas.height);
 
         // Create or update renderer with new viewport
         if (this.renderer === null) {
             this.renderer = new Renderer(this.canvas, this.viewport, () => {
                 // Re-render once sprites are loaded
-                if (this.gameState === GameState.START_SCREEN) {
+                if (this.simulation.gameState === GameState.START_SCREEN) {
                     this.render();
                 }
             });
             this.debug = new DebugRenderer(this.renderer);
+            this.applySettings();
         } else {
             // Update existing renderer's viewport
             this.renderer.viewport = this.viewport;
         }
     }
 
-    animate(currentTime) {
+    /**
+     * Animation loop - feeds elapsed time and input to the simulation, reacts to its
+     * events, then renders
+     * @param {number} loopId - Loop token; a stale loop stops when a new one starts
+     * @param {number} currentTime - requestAnimationFrame timestamp (ms)
+     */
+    animate(loopId, currentTime) {
+        if (loopId !== this.loopId) return;
+
         if (this.lastTime === 0) {
             this.lastTime = currentTime;
         }
@@ -633,463 +1520,173 @@ class Game {
         const deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
         this.lastTime = currentTime;
 
-        if (this.gameState === GameState.GAME_OVER) {
-            // Game over (crashed) - keep rendering and continue falling animation
-            // Continue falling physics so car disappears off screen
-            this.carFallVelocity += GameConfig.physics.gravity * deltaTime;
-            this.carZOffset += this.carFallVelocity * deltaTime;
-            this.carTumbleRotation += GameConfig.physics.tumbleRate * this.tumbleDirection * deltaTime;
-
-            this.updateViewport();
-            this.render();
-            requestAnimationFrame((time) => this.animate(time));
-            return;
-        }
-
-        if (this.gameState === GameState.FINISH) {
-            // Player finished successfully - keep rendering but don't update
-            this.updateViewport();
-            this.render();
-            requestAnimationFrame((time) => this.animate(time));
-            return;
-        }
-
-        // Handle countdown state
-        if (this.gameState === GameState.COUNTDOWN) {
-            this.countdownTimer += deltaTime;
-
-            // Each number shows for 1 second
-            if (this.countdownTimer >= 1.0) {
-                this.countdownValue--;
-                this.countdownTimer = 0;
-
-                if (this.countdownValue <= 0) {
-                    // Countdown finished - start the game!
-                    this.hideStartScreen();
-                    this.gameTimer = 0;  // Reset timer when gameplay starts
-                    this.gameState = GameState.DRIVING;
-                    this.startNextSegment();
-                } else {
-                    // Update display to show next number
-                    this.updateCountdownDisplay();
-                }
+        if (this.paused) {
+            // Paused - nothing moves and the timer stands still, until the resume countdown ends
+            this.updateResumeCountdown(deltaTime);
+        } else if (this.replayPlayer) {
+            // Watching a replay - recorded inputs drive it, and its events are not scored
+            this.replayPlayer.update(deltaTime);
+            this.ui.updateReplayControls(this.replayPlayer.getStatus());
+        } else if (this.demo) {
+            // Attract-mode demo - the bot drives it, and its events are not shown or scored
+            this.updateDemo(deltaTime);
+        } else if (this.practice) {
+            // Practicing a bridge - the session retries by itself, and only releases are reported
+            if (this.practice.update(deltaTime, { pressed: this.input.isPressed() })) {
+                this.updatePracticeControls();
             }
+        } else {
+            const events = this.simulation.update(deltaTime, { pressed: this.isPressed() });
+            events.forEach(event => this.handleSimulationEvent(event));
+            this.updateTimingFeedback();
 
-            // Continue rendering during countdown
-            this.render();
-            requestAnimationFrame((time) => this.animate(time));
-            return;
-        }
-
-        // Update game timer during active gameplay
-        if (this.gameState !== GameState.FINISH &&
-            this.gameState !== GameState.GAME_OVER &&
-            this.gameState !== GameState.FALLING) {
-            this.gameTimer += deltaTime;
-        }
-
-        // State machine for coordinating car movement and bridge animations
-        if (this.gameState === GameState.DRIVING) {
-            // Move car toward target position
-            if (this.carDirection === 'column') {
-                // Check if we're moving forward or backward
-                if (this.targetPosition >= this.carCol) {
-                    // Moving forward (positive direction)
-                    this.carCol += GameConfig.car.speed * deltaTime;
-                    if (this.carCol >= this.targetPosition) {
-                        this.carCol = this.targetPosition;
-                        this.gameState = GameState.SEGMENT_DONE;
-                    }
-                } else {
-                    // Moving backward (negative direction)
-                    this.carCol -= GameConfig.car.speed * deltaTime;
-                    if (this.carCol <= this.targetPosition) {
-                        this.carCol = this.targetPosition;
-                        this.gameState = GameState.SEGMENT_DONE;
-                    }
-                }
-            } else {
-                // Check if we're moving forward or backward
-                if (this.targetPosition >= this.carRow) {
-                    // Moving forward (positive direction)
-                    this.carRow += GameConfig.car.speed * deltaTime;
-                    if (this.carRow >= this.targetPosition) {
-                        this.carRow = this.targetPosition;
-                        this.gameState = GameState.SEGMENT_DONE;
-                    }
-                } else {
-                    // Moving backward (negative direction)
-                    this.carRow -= GameConfig.car.speed * deltaTime;
-                    if (this.carRow <= this.targetPosition) {
-                        this.carRow = this.targetPosition;
-                        this.gameState = GameState.SEGMENT_DONE;
-                    }
-                }
-            }
-        } else if (this.gameState === GameState.DOOMED) {
-            // Car drives to fall point (same logic as DRIVING but transitions to FALLING)
-            if (this.carDirection === 'column') {
-                // Check if we're moving forward or backward
-                if (this.targetPosition >= this.carCol) {
-                    // Moving forward (positive direction)
-                    this.carCol += GameConfig.car.speed * deltaTime;
-                    if (this.carCol >= this.targetPosition) {
-                        this.carRow = this.fallPoint.row;
-                        this.carCol = this.fallPoint.col;
-                        this.gameState = GameState.FALLING;
-                        this.carFallVelocity = 0;
-                        this.fallTimer = 0;
-                    }
-                } else {
-                    // Moving backward (negative direction)
-                    this.carCol -= GameConfig.car.speed * deltaTime;
-                    if (this.carCol <= this.targetPosition) {
-                        this.carRow = this.fallPoint.row;
-                        this.carCol = this.fallPoint.col;
-                        this.gameState = GameState.FALLING;
-                        this.carFallVelocity = 0;
-                        this.fallTimer = 0;
-                    }
-                }
-            } else {
-                // Check if we're moving forward or backward
-                if (this.targetPosition >= this.carRow) {
-                    // Moving forward (positive direction)
-                    this.carRow += GameConfig.car.speed * deltaTime;
-                    if (this.carRow >= this.targetPosition) {
-                        this.carRow = this.fallPoint.row;
-                        this.carCol = this.fallPoint.col;
-                        this.gameState = GameState.FALLING;
-                        this.carFallVelocity = 0;
-                        this.fallTimer = 0;
-                    }
-                } else {
-                    // Moving backward (negative direction)
-                    this.carRow -= GameConfig.car.speed * deltaTime;
-                    if (this.carRow <= this.targetPosition) {
-                        this.carRow = this.fallPoint.row;
-                        this.carCol = this.fallPoint.col;
-                        this.gameState = GameState.FALLING;
-                        this.carFallVelocity = 0;
-                        this.fallTimer = 0;
-                    }
-                }
-            }
-        } else if (this.gameState === GameState.TURNING) {
-            // Instant turn, advance to next segment
-            this.startNextSegment();
-        } else if (this.gameState === GameState.BRIDGE_GROWING) {
-            // Only grow bridge while mouse is pressed and past dead zone
-            if (this.mousePressed) {
-                // Check if we're past the input dead zone
-                const pressDuration = (performance.now() - this.pressStartTime) / 1000;
-                if (pressDuration >= GameConfig.bridge.inputDeadZone) {
-                    const bridgeIndex = this.currentSegment.bridgeIndex;
-                    const bridges = this.level.getBridges();
-                    const currentBridge = bridges[bridgeIndex];
-                    const safeRange = currentBridge.calculateRange(this.islands);
-
-                    // Maximum bridge length: gap + 1.75 units
-                    const maxBridgeLength = safeRange.minSafe + 1.75;
-
-                    this.bridgeLength += GameConfig.bridge.growthRate * deltaTime;
-
-                    // Cap bridge length at maximum (but don't slam until released)
-                    if (this.bridgeLength > maxBridgeLength) {
-                        this.bridgeLength = maxBridgeLength;
-                    }
-                }
+            // Keep the ghost on the same tick as the live run
+            if (this.ghostPlayer) {
+                this.ghostPlayer.seek(this.simulation.tick);
             }
-            // Bridge stays at current length while waiting for player input
-        } else if (this.gameState === GameState.BRIDGE_SLAMMING) {
-            this.stateProgress += deltaTime;
-            const pos = this.bridgePositions[this.currentSegment.bridgeIndex];
-
-            if (this.stateProgress >= GameConfig.bridge.slamDuration) {
-                // Final rotation depends on bridge direction
-                this.bridgeRotation = pos.isPositive ? (Math.PI / 2) : (-Math.PI / 2);
+        }
 
-                // Evaluate bridge outcome
-                this.evaluateBridgeOutcome();
-            } else {
-                const t = this.stateProgress / GameConfig.bridge.slamDuration;
-                // Rotate in opposite direction for negative bridges
-                this.bridgeRotation = pos.isPositive ? (Math.PI / 2) * t : (-Math.PI / 2) * t;
-            }
-        } else if (this.gameState === GameState.FALLING) {
-            // Apply gravity and tumble rotation
-            this.carFallVelocity += GameConfig.physics.gravity * deltaTime;
-            this.carZOffset += this.carFallVelocity * deltaTime;
-            this.carTumbleRotation += GameConfig.physics.tumbleRate * this.tumbleDirection * deltaTime;
-
-            // Track how long car has been falling
-            this.fallTimer += deltaTime;
-
-            // Show game over screen after 1 second of falling
-            if (this.fallTimer >= 1.0) {
-                console.log('Game Over - Car crashed');
-                this.gameState = GameState.GAME_OVER;
-                this.showGameOverScreen();
-            }
-        } else if (this.gameState === GameState.SEGMENT_DONE) {
-            // Start next segment
-            this.startNextSegment();
+        // The demo plays silently behind the start screen, and a paused run is silent
+        if (!this.demo && !this.paused) {
+            this.audio.update(this.simulation, deltaTime);
         }
 
         // Update viewport based on new car position (after all state updates)
-        this.updateViewport();
+        this.updateViewport(deltaTime);
 
         // Continue animation
         this.render();
-        requestAnimationFrame((time) => this.animate(time));
+        requestAnimationFrame((time) => this.animate(loopId, time));
     }
 
     /**
-     * Start the next path segment
+     * Start the animation loop, stopping any loop already running
      */
-    startNextSegment() {
-        // Check if we've completed all segments
-        if (this.currentSegmentIndex >= this.pathSegments.length) {
-            this.finishTime = this.gameTimer;  // Capture final time
-            this.gameState = GameState.FINISH;
-            this.showFinishScreen();
-            return;
-        }
-
-        // Get next segment
-        this.currentSegment = this.pathSegments[this.currentSegmentIndex];
-        this.currentSegmentIndex++;
-
-        console.log('Starting segment', this.currentSegmentIndex - 1, ':', this.currentSegment);
-
-        if (this.currentSegment.type === 'drive') {
-            // Set direction and target position for driving
-            this.carDirection = this.currentSegment.direction;
-
-            if (this.currentSegment.direction === 'column') {
-                this.targetPosition = this.currentSegment.endCol;
-            } else {
-                this.targetPosition = this.currentSegment.endRow;
-            }
-            this.gameState = GameState.DRIVING;
-
-        } else if (this.currentSegment.type === 'bridge') {
-            // Start bridge animation
-            this.bridgeLength = 0;
-            this.bridgeRotation = 0;
-            this.gameState = GameState.BRIDGE_GROWING;
-
-        } else if (this.currentSegment.type === 'turn') {
-            // Change direction and continue to next segment
-            this.carDirection = this.currentSegment.toDirection;
-            this.gameState = GameState.TURNING;
-        }
+    startAnimationLoop() {
+        this.loopId++;
+        this.lastTime = 0;
+        const loopId = this.loopId;
+        requestAnimationFrame((time) => this.animate(loopId, time));
     }
 
     /**
-     * Called when player releases mouse - slam bridge and apply forgiveness if needed
+     * Update the UI for something that happened in the simulation
+     * @param {string} event - A SimulationEvent
      */
-    slamBridge() {
-        const bridgeIndex = this.currentSegment.bridgeIndex;
-        const bridges = this.level.getBridges();
-        const currentBridge = bridges[bridgeIndex];
-        const safeRange = currentBridge.calculateRange(this.islands);
-
-        // Apply forgiveness for slightly short bridges BEFORE slam animation
-        const leeway = GameConfig.bridge.leeway;
-
-        if (this.bridgeLength >= safeRange.minSafe - leeway && this.bridgeLength < safeRange.minSafe) {
-            console.log('Bridge slightly short - applying forgiveness (extending to minimum)');
-            this.bridgeLength = safeRange.minSafe;
+    handleSimulationEvent(event) {
+        if (event === SimulationEvent.COUNTDOWN) {
+            // Update display to show next number
+            this.updateCountdownDisplay();
+        } else if (event === SimulationEvent.START) {
+            this.hideStartScreen();
+        } else if (event === SimulationEvent.FINISH) {
+            this.ui.hidePauseButton();
+            this.recordReplay();
+            this.showFinishScreen();
+        } else if (event === SimulationEvent.GAME_OVER) {
+            this.ui.hidePauseButton();
+            this.recordReplay();
+            this.showGameOverScreen();
         }
-
-        // Note: targetLength is set in evaluateBridgeOutcome() after slam completes
-
-        // Start slam animation
-        this.gameState = GameState.BRIDGE_SLAMMING;
-        this.stateProgress = 0;
     }
 
     /**
-     * Evaluate bridge outcome after slam completes
-     * Determines if bridge is safe, too short (with/without leeway), or too long
+     * Render the game scene
      */
-    evaluateBridgeOutcome() {
-        const bridgeIndex = this.currentSegment.bridgeIndex;
-        const bridges = this.level.getBridges();
-        const currentBridge = bridges[bridgeIndex];
-        const safeRange = currentBridge.calculateRange(this.islands);
+    render() {
+        const sim = this.simulation;
 
-        // Note: Forgiveness is already applied during BRIDGE_GROWING state
-        // Check if bridge is too short
-        if (this.bridgeLength < safeRange.minSafe) {
-            // Bridge is too short - car is doomed
-            console.log('Bridge too short! Length:', this.bridgeLength, 'Min:', safeRange.minSafe);
+        // Determine canvas UI elements (countdown and timer)
+        let countdownValue = null;
+        let timerValue = null;
 
-            // Calculate fall point: bridge start + bridge length + leeway
-            const pos = this.bridgePositions[bridgeIndex];
-            const sign = pos.isPositive ? 1 : -1;
-            const fallDistance = this.bridgeLength + GameConfig.bridge.leeway;
+        if (this.resumeCountdown !== null) {
+            countdownValue = Math.ceil(this.resumeCountdown / GameConfig.pause.resumeStep);
+        } else if (sim.gameState === GameState.COUNTDOWN) {
+            countdownValue = sim.countdownValue;
+        } else if (!this.practice && (  // Practice attempts are not timed
+                   sim.gameState === GameState.DRIVING ||
+                   sim.gameState === GameState.TURNING ||
+                   sim.gameState === GameState.BRIDGE_GROWING ||
+                   sim.gameState === GameState.BRIDGE_SLAMMING ||
+                   sim.gameState === GameState.DOOMED ||
+                   sim.gameState === GameState.SEGMENT_DONE ||
+                   (sim.gameState === GameState.FALLING && sim.livesLeft > 0))) {
+            timerValue = sim.endless
+                ? `${sim.bridgesCrossed} ${sim.bridgesCrossed === 1 ? 'bridge' : 'bridges'}`
+                : Math.floor(sim.gameTimer) + 's';
+        }
 
-            if (pos.direction === 'column') {
-                const bridgeStart = pos.edgeCol;
-                this.fallPoint = { row: pos.baseRow, col: bridgeStart + (sign * fallDistance) };
-                this.targetPosition = this.fallPoint.col;
-            } else {
-                const bridgeStart = pos.edgeRow;
-                this.fallPoint = { row: bridgeStart + (sign * fallDistance), col: pos.baseCol };
-                this.targetPosition = this.fallPoint.row;
-            }
+        // Calculate progress (0 to 1) - endless runs have no end, so no progress bar
+        // (the minimap, if shown, replaces it; in endless mode it shows the streamed islands
+        // and has no finish)
+        const progress = sim.endless ? null : sim.getProgress();
 
-            this.sourceIslandIndex = currentBridge.startIsland;
-            this.targetIslandIndex = currentBridge.endIsland;
-            this.carInFrontOfTarget = pos.isPositive;
-            this.bridgeTooShort = true;
-            // Tumble direction: -1 when travelling left (row+ or col-)
-            const travellingLeft = (pos.direction === 'row' && sign > 0) || (pos.direction === 'column' && sign < 0);
-            this.tumbleDirection = travellingLeft ? -1 : 1;
-            // Set rendered length: actual length + baseOffset (only at start)
-            this.bridgeSequence[bridgeIndex].targetLength = this.bridgeLength + GameConfig.bridge.baseOffset;
-            this.gameState = GameState.DOOMED;
-
-        } else if (this.bridgeLength <= safeRange.maxSafe) {
-            // Bridge is safe - continue normal gameplay
-            console.log('Bridge safe! Length:', this.bridgeLength, 'Range:', safeRange.minSafe, '-', safeRange.maxSafe);
-            // Set rendered length: gap + baseOffset at each end (covers edge lines)
-            this.bridgeSequence[bridgeIndex].targetLength = safeRange.minSafe + 2 * GameConfig.bridge.baseOffset;
-            this.startNextSegment();
+        // Ghost car following the personal best (not while watching a replay)
+        const ghost = this.ghostPlayer && !this.replayPlayer
+            ? this.createRenderContext(this.ghostPlayer.simulation)
+            : null;
 
-        } else {
-            // Bridge is too long
-            console.log('Bridge too long. Junction type:', currentBridge.junctionType);
-            // Check if this causes the car to miss a turn
-            if (currentBridge.junctionType === null || currentBridge.junctionType !== 'turn') {
-                // No turn to miss - car continues safely (just costs time)
-                console.log('Bridge too long but no turn to miss - safe');
-                // Set rendered length: gap + baseOffset at each end (covers edge lines)
-                this.bridgeSequence[bridgeIndex].targetLength = safeRange.minSafe + 2 * GameConfig.bridge.baseOffset;
-                this.startNextSegment();
-            } else {
-                // Turn junction - check if car misses the turn
-                // Note: maxSafe already includes 0.5 extension past junction for turns
-                const overshoot = this.bridgeLength - safeRange.maxSafe;
-                console.log('Turn junction: bridgeLength =', this.bridgeLength, 'maxSafe =', safeRange.maxSafe, 'overshoot =', overshoot);
-
-                if (overshoot > 0) {
-                    // Car misses the turn, drives off opposite edge
-                    console.log('Bridge too long! Car misses turn. Length:', this.bridgeLength, 'Max safe:', safeRange.maxSafe);
-
-                    const pos = this.bridgePositions[bridgeIndex];
-                    const sign = pos.isPositive ? 1 : -1;
-                    const targetIsland = this.islands[currentBridge.endIsland];
-                    const [islandRow, islandCol, islandWidth, islandHeight] = targetIsland;
-
-                    // Calculate opposite edge and fall point
-                    // Entry edge is where minSafe reaches (edge of island)
-                    // Opposite edge is entry edge + island dimension in travel direction
-                    if (pos.direction === 'column') {
-                        // Entry edge is where the bridge reaches
-                        const entryEdge = sign > 0 ? islandCol : (islandCol + islandWidth);
-                        const oppositeEdge = sign > 0 ? (islandCol + islandWidth) : islandCol;
-                        const fallCol = oppositeEdge + (sign * GameConfig.bridge.leeway);
-                        this.fallPoint = { row: pos.baseRow, col: fallCol };
-                        this.targetPosition = this.fallPoint.col;
-                    } else {
-                        const entryEdge = sign > 0 ? islandRow : (islandRow + islandHeight);
-                        const oppositeEdge = sign > 0 ? (islandRow + islandHeight) : islandRow;
-                        const fallRow = oppositeEdge + (sign * GameConfig.bridge.leeway);
-                        this.fallPoint = { row: fallRow, col: pos.baseCol };
-                        this.targetPosition = this.fallPoint.row;
-                    }
-
-                    this.sourceIslandIndex = currentBridge.startIsland;
-                    this.targetIslandIndex = currentBridge.endIsland;
-                    // Car falls off far side of target island, so it's behind the target
-                    this.carInFrontOfTarget = !pos.isPositive;
-                    this.bridgeTooShort = false;
-                    // Tumble direction: -1 when travelling left (row+ or col-)
-                    const travellingLeft = (pos.direction === 'row' && sign > 0) || (pos.direction === 'column' && sign < 0);
-                    this.tumbleDirection = travellingLeft ? -1 : 1;
-                    // Set rendered length: actual length + baseOffset (only at start)
-                    this.bridgeSequence[bridgeIndex].targetLength = this.bridgeLength + GameConfig.bridge.baseOffset;
-                    this.gameState = GameState.DOOMED;
-                } else {
-                    // Bridge extends past junction but not enough to miss turn
-                    console.log('Bridge slightly too long but car makes the turn');
-                    // Set rendered length: gap + baseOffset at each end (covers edge lines)
-                    this.bridgeSequence[bridgeIndex].targetLength = safeRange.minSafe + 2 * GameConfig.bridge.baseOffset;
-                    this.startNextSegment();
-                }
-            }
-        }
+        // Create rendering context with all game state
+        const context = this.createRenderContext(sim, {
+            countdownValue: countdownValue,
+            timer: timerValue,
+            progress: progress,
+            minimap: this.settings.get('minimap') ? { finishIsland: sim.endless ? null : sim.islands.length - 1 } : null,
+            ghost: ghost,
+            ghostDelta: ghost && timerValue !== null ? this.ghostPlayer.getDelta(sim) : null,
+            lives: sim.lives > 0 && timerValue !== null ? { left: sim.livesLeft, count: sim.lives } : null,
+            timingFeedback: this.settings.get('timingFeedback') && timerValue !== null && !this.replayPlayer && !this.demo
+                ? this.getTimingFeedback(sim) : null,
+            safeAreaInsets: this.safeAreaInsets
+        });
+
+        // Delegate all rendering to the renderer
+        this.renderer.renderScene(context, this.viewport, this.debug);
     }
 
     /**
-     * Render the game scene
+     * Bundle a simulation's state for the renderer
+     * @param {Simulation} sim - The simulation to draw (the live run or the ghost)
+     * @param {Object} options - Extra RenderContext options (canvas UI values)
+     * @returns {RenderContext}
      */
-    render() {
+    createRenderContext(sim, options = {}) {
         // Determine car rendering state
         // Car is falling if in FALLING or GAME_OVER state (game over continues falling animation)
-        const isFalling = (this.gameState === GameState.FALLING || this.gameState === GameState.GAME_OVER);
+        const isFalling = (sim.gameState === GameState.FALLING || sim.gameState === GameState.GAME_OVER);
         // Don't render car if it has fallen too far off screen
-        const shouldRenderCar = !(isFalling && this.carZOffset > 100);
+        const shouldRenderCar = !(isFalling && sim.carZOffset > 100);
 
         // Determine car travel direction sign (positive or negative)
         // Use the sign stored in the current segment (reliable and works even when car is stopped)
-        let carSign = (this.currentSegment && this.currentSegment.sign) ? this.currentSegment.sign : 1;
+        let carSign = (sim.currentSegment && sim.currentSegment.sign) ? sim.currentSegment.sign : 1;
 
-        // Determine canvas UI elements (countdown and timer)
-        let countdownValue = null;
-        let timerValue = null;
-
-        if (this.gameState === GameState.COUNTDOWN) {
-            countdownValue = this.countdownValue;
-        } else if (this.gameState === GameState.DRIVING ||
-                   this.gameState === GameState.TURNING ||
-                   this.gameState === GameState.BRIDGE_GROWING ||
-                   this.gameState === GameState.BRIDGE_SLAMMING ||
-                   this.gameState === GameState.DOOMED ||
-                   this.gameState === GameState.SEGMENT_DONE) {
-            timerValue = Math.floor(this.gameTimer) + 's';
-        }
-
-        // Calculate progress (0 to 1)
-        const progress = this.totalPathLength > 0
-            ? this.calculateDistanceTraveled() / this.totalPathLength
-            : 0;
-
-        // Create rendering context with all game state
-        const context = new RenderContext({
-            gameState: this.gameState,
-            carRow: this.carRow,
-            carCol: this.carCol,
-            carDirection: this.carDirection,
+        return new RenderContext({
+            gameState: sim.gameState,
+            carRow: sim.carRow,
+            carCol: sim.carCol,
+            carDirection: sim.carDirection,
             carSign: carSign,
             isFalling: isFalling,
             shouldRenderCar: shouldRenderCar,
-            carZOffset: this.carZOffset,
-            carTumbleRotation: this.carTumbleRotation,
-            bridgeLength: this.bridgeLength,
-            bridgeRotation: this.bridgeRotation,
-            currentSegment: this.currentSegment,
-            currentSegmentIndex: this.currentSegmentIndex,
-            course: this.course,
-            islands: this.islands,
-            pathSegments: this.pathSegments,
-            bridgePositions: this.bridgePositions,
-            bridgeSequence: this.bridgeSequence,
-            sourceIslandIndex: this.sourceIslandIndex,
-            targetIslandIndex: this.targetIslandIndex,
-            carInFrontOfTarget: this.carInFrontOfTarget,
-            bridgeTooShort: this.bridgeTooShort,
-            countdownValue: countdownValue,
-            timer: timerValue,
-            progress: progress,
-            safeAreaInsets: this.safeAreaInsets
+            carZOffset: sim.carZOffset,
+            carTumbleRotation: sim.carTumbleRotation,
+            bridgeLength: sim.bridgeLength,
+            bridgeRotation: sim.bridgeRotation,
+            currentSegment: sim.currentSegment,
+            currentSegmentIndex: sim.currentSegmentIndex,
+            course: sim.course,
+            islands: sim.islands,
+            pathSegments: sim.pathSegments,
+            bridgePositions: sim.bridgePositions,
+            bridgeSequence: sim.bridgeSequence,
+            sourceIslandIndex: sim.sourceIslandIndex,
+            targetIslandIndex: sim.targetIslandIndex,
+            carInFrontOfTarget: sim.carInFrontOfTarget,
+            bridgeTooShort: sim.bridgeTooShort,
+            ...options
         });
-
-        // Delegate all rendering to the renderer
-        this.renderer.renderScene(context, this.viewport, this.debug);
     }
 }
 
@@ -0,0 +1,481 @@
+// Procedural course generator - seeded, always produces courses that pass CourseValidator
+
+/**
+ * Small deterministic pseudo-random number generator (mulberry32)
+ * The same seed always produces the same sequence, on every browser
+ */
+class SeededRandom {
+    /**
+     * @param {number|string} seed - Any number or string
+     */
+    constructor(seed) {
+        this.state = SeededRandom.hashSeed(seed);
+    }
+
+    /**
+     * Convert a number or string seed into a 32-bit integer state (FNV-1a hash)
+     * @param {number|string} seed - The seed
+     * @returns {number} Unsigned 32-bit integer
+     */
+    static hashSeed(seed) {
+        const text = String(seed);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Next random number
+     * @returns {number} Float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random integer in an inclusive range
+     * @param {number} min - Lowest value
+     * @param {number} max - Highest value
+     * @returns {number}
+     */
+    nextInt(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Random true/false with the given probability of true
+     * @param {number} probability - Chance of returning true (0 to 1)
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Random number from the standard normal distribution (Box-Muller transform)
+     * @returns {number} Mean 0, standard deviation 1
+     */
+    nextGaussian() {
+        const u = 1 - this.next(); // (0, 1] so the log is finite
+        const v = this.next();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Pick a random element of an array
+     * @param {Array} items - Non-empty array
+     * @returns {*}
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+}
+
+/**
+ * Builds a course one bridge at a time from a seed
+ *
+ * Every bridge ends in an immediate corner: the junction sits 1 unit past the
+ * entry edge of the next island and the course turns there. This gives each
+ * bridge a safe range of gap + 1.5 units (Normal's corner overshoot, which levels
+ * are validated with), so the 1-unit tolerance and
+ * max-bridge-lands-on-island checks always hold. Consecutive bridges on the same
+ * axis are joined by a short jog across the island between them.
+ */
+class CourseGenerator {
+    /**
+     * @param {number|string} seed - Seed for the random number generator
+     * @param {Object} options - Overrides for GameConfig.generator
+     */
+    constructor(seed, options = {}) {
+        this.seed = seed;
+        this.options = CourseGenerator.normalizeOptions(options);
+        this.random = new SeededRandom(seed);
+
+        this.course = new Course();
+        this.islands = [];
+
+        // Road rectangles [row, col, width, height] for every span so far
+        this.roads = [];
+
+        // Current car position along the course (last junction)
+        this.row = this.course.startRow;
+        this.col = this.course.startCol;
+
+        // Axis of the most recent bridge (null before the first bridge)
+        this.lastBridgeDirection = null;
+
+        // Whether the next bridge keeps the same axis (needs a jog across the current island)
+        this.jogBeforeNextBridge = false;
+
+        this.createStartIsland();
+    }
+
+    /**
+     * Generate a complete course that passes CourseValidator
+     * Retries from a derived seed if a layout gets boxed in, or its difficulty score is
+     * outside difficultyRange, so the result for a given seed and options is always the same
+     *
+     * @param {number|string} seed - Seed for the random number generator
+     * @param {Object} options - Overrides for GameConfig.generator
+     * @returns {{course: Course, islands: Array, seed: (number|string), attempts: number}}
+     * @throws {Error} If no valid course is found within maxAttempts
+     */
+    static generate(seed, options = {}) {
+        const settings = CourseGenerator.normalizeOptions(options);
+
+        for (let attempt = 0; attempt < settings.maxAttempts; attempt++) {
+            const attemptSeed = attempt === 0 ? seed : `${seed}/${attempt}`;
+            const generator = new CourseGenerator(attemptSeed, settings);
+
+            if (!generator.build()) continue;
+
+            // Belt and braces: never hand out a layout the validator rejects
+            const result = CourseValidator.validate(generator.course, generator.islands);
+            if (result.valid && CourseGenerator.isInDifficultyRange(generator, settings.difficultyRange)) {
+                return {
+                    course: generator.course,
+                    islands: generator.islands,
+                    seed: seed,
+                    attempts: attempt + 1
+                };
+            }
+        }
+
+        throw new Error(`Could not generate a valid course for seed ${seed} after ${settings.maxAttempts} attempts`);
+    }
+
+    /**
+     * Check a finished course against the difficultyRange option (see CourseSolver.rate())
+     * @param {CourseGenerator} generator - Generator that has built its course
+     * @param {Array|null} range - [min, max] difficulty score, or null for any
+     * @returns {boolean}
+     */
+    static isInDifficultyRange(generator, range) {
+        if (!range) return true;
+
+        const { score } = CourseSolver.solve(new Level(generator.course, generator.islands)).difficulty;
+        return score >= range[0] && score <= range[1];
+    }
+
+    /**
+     * Generate a complete level (course + islands) with metadata recording how it was made
+     * @param {number|string} seed - Seed for the random number generator
+     * @param {Object} options - Overrides for GameConfig.generator
+     * @returns {Level}
+     */
+    static generateLevel(seed, options = {}) {
+        const { course, islands } = CourseGenerator.generate(seed, options);
+
+        return new Level(course, islands, {
+            id: `generated-${seed}`,
+            name: `Generated #${seed}`,
+            seed: seed,
+            generator: { ...options }
+        });
+    }
+
+    /**
+     * Merge options with defaults and clamp them to values the validator can accept
+     * @param {Object} options - Overrides for GameConfig.generator
+     * @returns {Object} Complete option set
+     */
+    static normalizeOptions(options) {
+        const settings = { ...GameConfig.generator, ...options };
+
+        // Gaps must be at least 1 unit, islands at least 2x2
+        const gapMin = Math.max(1, Math.round(settings.gapRange[0]));
+        const sizeMin = Math.max(2, Math.round(settings.islandSizeRange[0]));
+
+        return {
+            ...settings,
+            spanCount: Math.max(2, settings.spanCount),
+            gapRange: [gapMin, Math.max(gapMin, Math.round(settings.gapRange[1]))],
+            islandSizeRange: [sizeMin, Math.max(sizeMin, Math.round(settings.islandSizeRange[1]))]
+        };
+    }
+
+    /**
+     * Add bridges until the span budget is used, then the finish span
+     * @returns {boolean} True if the course was completed
+     */
+    build() {
+        while (this.getRemainingSpans() > 1) {
+            if (!this.addBridge()) {
+                return false;
+            }
+        }
+        return this.addFinish();
+    }
+
+    /**
+     * Number of spans still to add (including the finish span)
+     * @returns {number}
+     */
+    getRemainingSpans() {
+        return this.options.spanCount - this.course.spans.length;
+    }
+
+    /**
+     * Forget all but the most recent islands and roads when checking new placements
+     * Used when streaming an endless course: layout far behind the car no longer
+     * needs to be avoided because it is never drawn again
+     * @param {number} keepIslands - Number of recent islands to keep (including the current one)
+     */
+    trimHistory(keepIslands) {
+        if (this.islands.length > keepIslands) {
+            this.islands = this.islands.slice(-keepIslands);
+        }
+
+        // Each island is reached by at most two spans (jog + bridge)
+        const keepRoads = keepIslands * 2;
+        if (this.roads.length > keepRoads) {
+            this.roads = this.roads.slice(-keepRoads);
+        }
+    }
+
+    /**
+     * Create island 0 around the course start position
+     */
+    createStartIsland() {
+        const [sizeMin, sizeMax] = this.options.islandSizeRange;
+        const width = this.random.nextInt(sizeMin, sizeMax);
+        const height = this.random.nextInt(sizeMin, sizeMax);
+
+        // Start position is 1 unit in from the near corner (always interior)
+        this.islands.push([this.row - 1, this.col - 1, width, height]);
+    }
+
+    /**
+     * Add one bridge (with a jog first if the previous bridge's axis continues)
+     * Tries several random placements and keeps the first that fits
+     * @returns {boolean} True if a bridge was added, false if the layout is boxed in
+     */
+    addBridge() {
+        const options = this.options;
+        const jog = this.jogBeforeNextBridge;
+
+        let direction;
+        if (this.lastBridgeDirection === null) {
+            direction = this.random.pick([Direction.COLUMN, Direction.ROW]);
+        } else if (jog) {
+            direction = this.lastBridgeDirection;
+        } else {
+            direction = CourseGenerator.otherAxis(this.lastBridgeDirection);
+        }
+
+        // Plan what happens on the new island so it can be sized to fit
+        const remainingAfter = this.getRemainingSpans() - (jog ? 2 : 1);
+        const nextJogs = remainingAfter >= 3 && !this.random.chance(options.turnFrequency);
+        const needsRoom = nextJogs || remainingAfter === 1;
+
+        for (let attempt = 0; attempt < options.candidateAttempts; attempt++) {
+            const candidate = this.createCandidate(direction, jog, needsRoom);
+            if (candidate && this.fits(candidate)) {
+                this.applyCandidate(candidate);
+                this.jogBeforeNextBridge = nextJogs;
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Add the final span: a turn off the last bridge that stays on the last island
+     * @returns {boolean} True if the finish span was added
+     */
+    addFinish() {
+        if (this.lastBridgeDirection === null) return false;
+
+        const axis = CourseGenerator.otherAxis(this.lastBridgeDirection);
+        const target = this.pickInteriorPosition(axis);
+        if (target === null) return false;
+
+        this.addSpanTo(axis, target);
+        return true;
+    }
+
+    /**
+     * Randomly place the next island for a bridge along an axis
+     * @param {string} direction - Bridge axis (Direction.COLUMN or Direction.ROW)
+     * @param {boolean} jog - Whether to jog across the current island first
+     * @param {boolean} needsRoom - Whether the new island must be at least 3 units across (for a later jog or the finish)
+     * @returns {Object|null} Candidate placement, or null if a jog is impossible
+     */
+    createCandidate(direction, jog, needsRoom) {
+        const options = this.options;
+        const perpAxis = CourseGenerator.otherAxis(direction);
+        const current = this.islands[this.islands.length - 1];
+
+        // Jog across the current island to a new lane before the bridge
+        let lane = CourseGenerator.getCoordinate(this.row, this.col, perpAxis);
+        let jogLength = 0;
+        if (jog) {
+            const target = this.pickInteriorPosition(perpAxis);
+            if (target === null) return null;
+            jogLength = target - lane;
+            lane = target;
+        }
+
+        const sign = this.random.chance(options.negativeShare) ? -1 : 1;
+        const gap = this.random.nextInt(options.gapRange[0], options.gapRange[1]);
+        const [sizeMin, sizeMax] = options.islandSizeRange;
+        const length = this.random.nextInt(sizeMin, sizeMax);
+        const perpMin = needsRoom ? Math.max(3, sizeMin) : sizeMin;
+        const breadth = this.random.nextInt(perpMin, Math.max(perpMin, sizeMax));
+        const laneOffset = this.random.nextInt(1, breadth - 1);
+
+        // Exit edge of the current island, entry edge of the next, junction 1 unit past entry
+        const [currentStart, currentSize] = CourseGenerator.getExtent(current, direction);
+        const exitEdge = sign > 0 ? currentStart + currentSize : currentStart;
+        const entryEdge = exitEdge + sign * gap;
+        const junction = entryEdge + sign;
+
+        const islandStart = sign > 0 ? entryEdge : entryEdge - length;
+        const perpStart = lane - laneOffset;
+        const island = direction === Direction.COLUMN
+            ? [perpStart, islandStart, length, breadth]
+            : [islandStart, perpStart, breadth, length];
+
+        // Road corridor across the gap (must not pass over any other island)
+        const corridorMin = Math.min(exitEdge, entryEdge);
+        const corridorMax = Math.max(exitEdge, entryEdge);
+        const halfWidth = GameConfig.road.halfWidth;
+        const corridor = direction === Direction.COLUMN
+            ? [lane - halfWidth, corridorMin, corridorMax - corridorMin, 2 * halfWidth]
+            : [corridorMin, lane - halfWidth, 2 * halfWidth, corridorMax - corridorMin];
+
+        return { direction, perpAxis, jogLength, lane, junction, island, corridor };
+    }
+
+    /**
+     * Check a candidate against the existing layout
+     * Islands must keep at least a 1 unit gap, the bridge corridor may only touch the
+     * current island, and neither may run over road that has already been laid
+     * @param {Object} candidate - From createCandidate()
+     * @returns {boolean}
+     */
+    fits(candidate) {
+        const currentIndex = this.islands.length - 1;
+
+        const clearOfIslands = this.islands.every((island, index) => {
+            if (CourseGenerator.rectanglesOverlap(candidate.island, island, 1)) {
+                return false;
+            }
+            if (index !== currentIndex && CourseGenerator.rectanglesOverlap(candidate.corridor, island, 0)) {
+                return false;
+            }
+            return true;
+        });
+
+        return clearOfIslands && this.roads.every(road =>
+            !CourseGenerator.rectanglesOverlap(candidate.island, road, 0) &&
+            !CourseGenerator.rectanglesOverlap(candidate.corridor, road, 0)
+        );
+    }
+
+    /**
+     * Add a candidate's spans and island to the course
+     * @param {Object} candidate - From createCandidate()
+     */
+    applyCandidate(candidate) {
+        if (candidate.jogLength !== 0) {
+            this.addSpanTo(candidate.perpAxis, candidate.lane);
+        }
+
+        this.addSpanTo(candidate.direction, candidate.junction);
+
+        this.islands.push(candidate.island);
+        this.lastBridgeDirection = candidate.direction;
+    }
+
+    /**
+     * Pick an interior grid position on the current island along an axis, other than the current one
+     * @param {string} axis - Direction.COLUMN or Direction.ROW
+     * @returns {number|null} Coordinate, or null if the island is too narrow
+     */
+    pickInteriorPosition(axis) {
+        const current = this.islands[this.islands.length - 1];
+        const [start, size] = CourseGenerator.getExtent(current, axis);
+        const position = CourseGenerator.getCoordinate(this.row, this.col, axis);
+
+        const choices = [];
+        for (let value = start + 1; value < start + size; value++) {
+            if (value !== position) {
+                choices.push(value);
+            }
+        }
+        return choices.length > 0 ? this.random.pick(choices) : null;
+    }
+
+    /**
+     * Add a span from the current position to a coordinate along an axis, and record its road
+     * @param {string} axis - Direction.COLUMN or Direction.ROW
+     * @param {number} value - Coordinate on that axis where the span ends
+     */
+    addSpanTo(axis, value) {
+        const position = CourseGenerator.getCoordinate(this.row, this.col, axis);
+        const low = Math.min(position, value);
+        const halfWidth = GameConfig.road.halfWidth;
+
+        this.course.addSpan(value - position, axis);
+
+        if (axis === Direction.COLUMN) {
+            this.roads.push([this.row - halfWidth, low, Math.abs(value - position), 2 * halfWidth]);
+            this.col = value;
+        } else {
+            this.roads.push([low, this.col - halfWidth, 2 * halfWidth, Math.abs(value - position)]);
+            this.row = value;
+        }
+    }
+
+    /**
+     * Get the other axis
+     * @param {string} axis - Direction.COLUMN or Direction.ROW
+     * @returns {string}
+     */
+    static otherAxis(axis) {
+        return axis === Direction.COLUMN ? Direction.ROW : Direction.COLUMN;
+    }
+
+    /**
+     * Get the coordinate of a position along an axis
+     * @returns {number} col for Direction.COLUMN, row for Direction.ROW
+     */
+    static getCoordinate(row, col, axis) {
+        return axis === Direction.COLUMN ? col : row;
+    }
+
+    /**
+     * Get an island's start and size along an axis
+     * @param {Array} island - Island data [row, col, width, height]
+     * @param {string} axis - Direction.COLUMN or Direction.ROW
+     * @returns {Array} [start, size]
+     */
+    static getExtent(island, axis) {
+        const [row, col, width, height] = island;
+        return axis === Direction.COLUMN ? [col, width] : [row, height];
+    }
+
+    /**
+     * Check if two [row, col, width, height] rectangles overlap, with a required clearance
+     * @param {Array} a - First rectangle
+     * @param {Array} b - Second rectangle
+     * @param {number} clearance - Minimum gap that must separate them
+     * @returns {boolean} True if they overlap or are closer than the clearance
+     */
+    static rectanglesOverlap(a, b, clearance) {
+        const [aRow, aCol, aWidth, aHeight] = a;
+        const [bRow, bCol, bWidth, bHeight] = b;
+
+        return aRow < bRow + bHeight + clearance && bRow < aRow + aHeight + clearance &&
+               aCol < bCol + bWidth + clearance && bCol < aCol + aWidth + clearance;
+    }
+}
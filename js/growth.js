@@ -0,0 +1,138 @@
+// Bridge growth profiles - how long the bridge is after the button has been held a while
+
+/**
+ * A way for the bridge to grow while the button is held
+ *
+ * Times are "growing time": seconds since the bridge started growing, which is the
+ * hold time minus GameConfig.bridge.inputDeadZone. Lengths are capped at maxLength
+ * (the gap + GameConfig.bridge.maxExtension). Speeds scale with
+ * GameConfig.bridge.growthRate, so difficulties change every profile alike.
+ *
+ * The simulation, CourseSolver and Level.getBridgeAnimationData() all go through the
+ * same profile, so solved hold times always match what the simulation builds.
+ *
+ * Profiles (settings in GameConfig.growthProfiles):
+ *   linear      - growthRate units per second until maxLength, then holds there
+ *   easeIn      - starts slow and speeds up: growthRate * rampTime * (t / rampTime)^power
+ *   oscillating - grows to maxLength and shrinks back to nothing, over and over, like a
+ *                 power meter - holding too long is never safe
+ *   stepped     - linear, but only shows whole steps of stepLength units
+ */
+class GrowthProfile {
+    /**
+     * @param {string} type - Key of GameConfig.growthProfiles
+     * @throws {Error} If there is no such profile
+     */
+    constructor(type) {
+        this.settings = GameConfig.growthProfiles[type];
+        if (!this.settings) {
+            throw new Error(`Unknown growth profile: ${type}`);
+        }
+        this.type = type;
+    }
+
+    /**
+     * Get the profile a level is played with
+     * @param {Level|null} level - The level (its metadata.growthProfile, if set, overrides the difficulty's)
+     * @returns {GrowthProfile}
+     */
+    static forLevel(level) {
+        const type = (level && level.metadata && level.metadata.growthProfile) || GameConfig.bridge.growthProfile;
+        return new GrowthProfile(type);
+    }
+
+    /**
+     * Whether the bridge never gets shorter while the button is held
+     * @returns {boolean}
+     */
+    isMonotonic() {
+        return this.type !== 'oscillating';
+    }
+
+    /**
+     * Bridge length after growing for a while
+     * @param {number} time - Growing time (seconds)
+     * @param {number} maxLength - Longest the bridge can be
+     * @returns {number}
+     */
+    lengthAt(time, maxLength) {
+        const rate = GameConfig.bridge.growthRate;
+
+        switch (this.type) {
+            case 'easeIn': {
+                const { rampTime, power } = this.settings;
+                return Math.min(rate * rampTime * Math.pow(time / rampTime, power), maxLength);
+            }
+            case 'oscillating': {
+                const phase = (rate * time) % (2 * maxLength);
+                return phase <= maxLength ? phase : 2 * maxLength - phase;
+            }
+            case 'stepped': {
+                const { stepLength } = this.settings;
+                // The small allowance stops accumulated float error from losing a step
+                return Math.min(Math.floor(rate * time / stepLength + 1e-9) * stepLength, maxLength);
+            }
+            default:
+                return Math.min(rate * time, maxLength);
+        }
+    }
+
+    /**
+     * Earliest growing time at which the bridge is at least a length
+     * @param {number} length - Length to reach
+     * @param {number} maxLength - Longest the bridge can be
+     * @returns {number} Seconds (Infinity if the bridge never gets that long)
+     */
+    timeToReach(length, maxLength) {
+        if (length > maxLength) return Infinity;
+        if (length <= 0) return 0;
+
+        const rate = GameConfig.bridge.growthRate;
+
+        switch (this.type) {
+            case 'easeIn': {
+                const { rampTime, power } = this.settings;
+                return rampTime * Math.pow(length / (rate * rampTime), 1 / power);
+            }
+            case 'stepped': {
+                const { stepLength } = this.settings;
+                return Math.ceil(length / stepLength - 1e-9) * stepLength / rate;
+            }
+            default:
+                return length / rate;
+        }
+    }
+
+    /**
+     * The first stretch of growing time in which releasing builds a safe bridge
+     * @param {number} shortest - Shortest safe length (minSafe - leeway)
+     * @param {number} longest - Longest safe length (Infinity if any length past shortest is safe)
+     * @param {number} maxLength - Longest the bridge can be
+     * @returns {Object} {start, end, overholdSafe}
+     *   start, end: growing times the window opens and closes (seconds)
+     *   overholdSafe: whether the bridge stays safe after it stops growing, so end is when it stops
+     */
+    getSafeWindow(shortest, longest, maxLength) {
+        const start = this.timeToReach(shortest, maxLength);
+
+        if (!this.isMonotonic()) {
+            // Oscillating: safe until the bridge grows past longest, or shrinks back below shortest
+            const rate = GameConfig.bridge.growthRate;
+            const end = longest < maxLength ? longest / rate : (2 * maxLength - shortest) / rate;
+            return { start, end, overholdSafe: false };
+        }
+
+        if (longest >= maxLength) {
+            return { start, end: this.timeToReach(maxLength, maxLength), overholdSafe: true };
+        }
+
+        if (this.type === 'stepped') {
+            // Safe until the first step past longest appears
+            const { stepLength } = this.settings;
+            const end = (Math.floor(longest / stepLength + 1e-9) + 1) * stepLength / GameConfig.bridge.growthRate;
+            return { start, end, overholdSafe: false };
+        }
+
+        return { start, end: this.timeToReach(longest, maxLength), overholdSafe: false };
+    }
+}
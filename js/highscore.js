@@ -1,14 +1,110 @@
-// High Score Manager - handles saving and retrieving top times from localStorage
+// High Score Manager - handles saving and retrieving leaderboards from localStorage
 
+// Storage keys of the leaderboard tables all start with this
+const HIGH_SCORE_KEY_PREFIX = 'mountainHighway.highScores.';
+
+// The one table saved before levels had their own - times on the original course, before the campaign
+const LEGACY_HIGH_SCORE_KEY = 'mountainHighway.highScores';
+
+/**
+ * One leaderboard table, kept best first under its own localStorage key
+ *
+ * Entries are { time, player, date, level, difficulty, splits, ...details }:
+ *   time: finish time in seconds - tables where higher is better (e.g. bridges crossed)
+ *     keep the score in `score` instead
+ *   player: { id, name, color } from ProfileManager.getEntryPlayer(), or null if not known
+ *   date: when the run was played (ms timestamp, null if not known)
+ *   level, difficulty: the table's level ID and difficulty preset
+ *   splits: the run's split times (Simulation.splits), or null
+ *   details: extra facts about the run, e.g. livesUsed and paused
+ *   replay, hash: the run's Replay data, and getRecordHash() of the entry - kept so the time
+ *     can be checked by playing the replay again when it is moved to another device (see ScoreArchive)
+ * Tables saved by earlier versions held plain numbers, or { score, ...details }. They are
+ * moved into this form the first time they are read (see migrateEntry()).
+ *
+ * With a backend (see js/leaderboard.js), entries are also sent to an online leaderboard as
+ * they are set, and fetchTopScores() and fetchScoresAroundPlayer() read the online table.
+ */
 class HighScoreManager {
-    constructor(storageKey = 'mountainHighway.highScores', maxScores = 3) {
+    /**
+     * @param {string} storageKey - localStorage key for this leaderboard
+     * @param {number} maxScores - Number of entries kept
+     * @param {boolean} higherIsBetter - Rank larger scores first (e.g. bridges crossed) instead of fastest times
+     * @param {Object} table - { level, difficulty } recorded on every entry in the table
+     */
+    constructor(storageKey = LEGACY_HIGH_SCORE_KEY, maxScores = GameConfig.leaderboard.maxEntries,
+                higherIsBetter = false, table = {}) {
         this.storageKey = storageKey;
         this.maxScores = maxScores;
+        this.higherIsBetter = higherIsBetter;
+        this.level = table.level || null;
+        this.difficulty = table.difficulty || null;
+        this.backend = null;          // Online leaderboard entries are also sent to, or null to keep them on this device
+    }
+
+    /**
+     * Open a leaderboard table by its ID
+     * @param {string} tableId - Table ID (see getTableId())
+     * @returns {HighScoreManager}
+     */
+    static forTable(tableId) {
+        const endless = tableId === 'endless' || tableId.startsWith('endless.');
+        return new HighScoreManager(`${HIGH_SCORE_KEY_PREFIX}${tableId}`, GameConfig.leaderboard.maxEntries, endless);
+    }
+
+    /**
+     * Get the ID an online leaderboard knows this table by: its storage key without the common prefix
+     * @returns {string} e.g. 'level-1', 'level-1.hard.lives' or 'endless'
+     */
+    getTableId() {
+        return this.storageKey.startsWith(HIGH_SCORE_KEY_PREFIX)
+            ? this.storageKey.slice(HIGH_SCORE_KEY_PREFIX.length)
+            : this.storageKey;
+    }
+
+    /**
+     * Get the score of a high score entry
+     * @param {number|Object} entry - Entry from getScores(), or a plain number
+     * @returns {number}
+     */
+    static getValue(entry) {
+        if (typeof entry === 'number') {
+            return entry;
+        }
+        return entry.time !== undefined ? entry.time : entry.score;
+    }
+
+    /**
+     * Hash a score record: its level and difficulty, the gameplay settings, the score, whether
+     * the run was paused and the replay's inputs
+     * A record edited by hand no longer matches its hash; a record forged with a matching hash
+     * is caught when its replay is played again (see ScoreArchive.verifyEntry())
+     * @param {Object} entry - Entry with a replay
+     * @returns {string} 8-digit hex hash
+     */
+    static getRecordHash(entry) {
+        const { seed, lives, configHash, inputs, endTick } = entry.replay;
+        const record = {
+            level: entry.level, difficulty: entry.difficulty, configHash, value: HighScoreManager.getValue(entry),
+            paused: !!entry.paused, seed, lives, inputs, endTick
+        };
+        return SeededRandom.hashSeed(JSON.stringify(record)).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Get the storage key suffix that keeps a way of playing in its own tables
+     * Normal difficulty has none, so times saved before difficulties existed stay in place
+     * @param {boolean} lives - Lives mode table
+     * @param {string} difficulty - Difficulty preset name (see GameConfig.difficulty)
+     * @returns {string} e.g. '', '.lives', '.hard' or '.hard.lives'
+     */
+    static getTableSuffix(lives = false, difficulty = GameConfig.difficulty.current) {
+        return (difficulty !== 'normal' ? `.${difficulty}` : '') + (lives ? '.lives' : '');
     }
 
     /**
-     * Get current high scores from localStorage
-     * @returns {number[]} Array of times in seconds, sorted ascending (fastest first)
+     * Get current high scores from localStorage, moving entries saved by earlier versions into the current form
+     * @returns {Object[]} Entries, best first (fastest time, or highest if higherIsBetter)
      */
     getScores() {
         try {
@@ -16,7 +112,11 @@ class HighScoreManager {
             if (stored) {
                 const scores = JSON.parse(stored);
                 if (Array.isArray(scores)) {
-                    return scores.slice(0, this.maxScores);
+                    const entries = scores.slice(0, this.maxScores).map(entry => this.migrateEntry(entry));
+                    if (entries.some((entry, index) => entry !== scores[index])) {
+                        this.saveScores(entries);
+                    }
+                    return entries;
                 }
             }
         } catch (e) {
@@ -25,9 +125,143 @@ class HighScoreManager {
         return [];
     }
 
+    /**
+     * Bring an entry saved by an earlier version into the current form
+     * Who set it, and when, were never saved, so they are null
+     * @param {number|Object} entry - A plain number, { score, ...details }, or an entry in the current form
+     * @returns {Object} The entry itself if it is already in the current form, otherwise a new one
+     */
+    migrateEntry(entry) {
+        if (typeof entry === 'object' && entry !== null && 'date' in entry) {
+            return entry;
+        }
+
+        const { score, ...details } = typeof entry === 'number' ? { score: entry } : entry;
+        return this.createEntry(score, { player: null, date: null, ...details });
+    }
+
+    /**
+     * Move the entries of a table saved under another key into this one, then delete that key
+     * Entries are migrated (see migrateEntry()) as entries of this table, and ranked in with its own
+     * @param {string} oldKey - localStorage key of the old table
+     * @returns {number} How many entries were moved (0 if there was no old table)
+     */
+    adoptTable(oldKey) {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(oldKey);
+        } catch (e) {
+            console.warn('Failed to read high scores:', e);
+        }
+        if (stored === null) {
+            return 0;
+        }
+
+        const old = new HighScoreManager(oldKey, this.maxScores, this.higherIsBetter,
+            { level: this.level, difficulty: this.difficulty });
+        const entries = old.getScores();
+        entries.forEach(entry => this.addEntry(entry));
+        old.clearScores();
+        return entries.length;
+    }
+
+    /**
+     * Build an entry for this table
+     * @param {number} value - The finish time in seconds (or the score if higherIsBetter)
+     * @param {Object|null} details - { player, splits, replay, ...facts about the run }
+     * @returns {Object} Entry (see the class comment), with its hash if it has a replay
+     */
+    createEntry(value, details = null) {
+        const entry = {
+            [this.higherIsBetter ? 'score' : 'time']: value,
+            player: null,
+            date: Date.now(),
+            level: this.level,
+            difficulty: this.difficulty,
+            splits: null,
+            ...details
+        };
+        if (entry.replay) {
+            entry.hash = HighScoreManager.getRecordHash(entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Get the table with each entry's rank, optionally only one player's entries
+     * @param {string|null} playerId - Profile ID to keep the entries of, or null for the whole table
+     * @returns {Array<{rank: number, entry: Object}>} Best first; rank is 1-indexed within the whole table
+     */
+    getRankedScores(playerId = null) {
+        return this.getScores()
+            .map((entry, index) => ({ rank: index + 1, entry }))
+            .filter(row => playerId === null || (row.entry.player && row.entry.player.id === playerId));
+    }
+
+    /**
+     * Get the best entries in the table
+     * @param {number} count - Most entries to return
+     * @returns {{total: number, rows: Array<{rank: number, entry: Object}>}} Best first
+     */
+    getTopScores(count = this.maxScores) {
+        const rows = this.getRankedScores();
+        return { total: rows.length, rows: rows.slice(0, count) };
+    }
+
+    /**
+     * Get a player's best entry in the table, with the entries just above and below it
+     * @param {string} playerId - Profile ID
+     * @param {number} count - Entries either side
+     * @returns {{total: number, rows: Array<{rank: number, entry: Object}>}} rows is empty if the player has no entry
+     */
+    getScoresAroundPlayer(playerId, count = GameConfig.leaderboard.aroundCount) {
+        const rows = this.getRankedScores();
+        const index = rows.findIndex(row => row.entry.player && row.entry.player.id === playerId);
+        return {
+            total: rows.length,
+            rows: index === -1 ? [] : rows.slice(Math.max(0, index - count), index + count + 1)
+        };
+    }
+
+    /**
+     * Fetch the best entries from the online leaderboard (this device's table if there is no backend)
+     * @param {number} count - Most entries to return
+     * @returns {Promise<Object>} { total, rows }, with offline: true if the server could not be reached
+     */
+    fetchTopScores(count = this.maxScores) {
+        if (!this.backend) {
+            return Promise.resolve(this.getTopScores(count));
+        }
+        return this.backend.getTopScores(this.getTableId(), count);
+    }
+
+    /**
+     * Fetch a player's best entry and the entries around it from the online leaderboard
+     * (this device's table if there is no backend)
+     * @param {string} playerId - Profile ID
+     * @param {number} count - Entries either side
+     * @returns {Promise<Object>} { total, rows }, with offline: true if the server could not be reached
+     */
+    fetchScoresAroundPlayer(playerId, count = GameConfig.leaderboard.aroundCount) {
+        if (!this.backend) {
+            return Promise.resolve(this.getScoresAroundPlayer(playerId, count));
+        }
+        return this.backend.getScoresAroundPlayer(this.getTableId(), playerId, count);
+    }
+
+    /**
+     * Get a player's best entry in the table
+     * @param {string} playerId - Profile ID
+     * @returns {Object|null} Their entry, or null if they have none in the table
+     */
+    getPersonalBest(playerId) {
+        const rows = this.getRankedScores(playerId);
+        return rows.length > 0 ? rows[0].entry : null;
+    }
+
     /**
      * Save scores to localStorage
-     * @param {number[]} scores - Array of times to save
+     * @param {Array} scores - Array of entries to save
      */
     saveScores(scores) {
         try {
@@ -39,16 +273,44 @@ class HighScoreManager {
 
     /**
      * Submit a new time and check if it made the high score list
-     * @param {number} time - The finish time in seconds
-     * @returns {{rank: number|null, scores: number[]}} rank is 1-3 if made list, null otherwise
+     * With a backend, an entry with a player and a replay is also sent to the online leaderboard
+     * (whether or not it made this device's list); that happens in the background
+     * A paused run is not ranked - the course could be studied with the clock stopped - so it is
+     * neither added to the list nor sent online
+     * @param {number} time - The finish time in seconds (or the score if higherIsBetter)
+     * @param {Object|null} details - Who set it and extra facts about the run (e.g. { player, splits, replay, livesUsed })
+     * @returns {{rank: number|null, scores: Array, entry: Object}} rank is 1-maxScores if made list, null otherwise
+     */
+    submitScore(time, details = null) {
+        const entry = this.createEntry(time, details);
+        if (entry.paused) {
+            return { rank: null, scores: this.getScores(), entry };
+        }
+        const result = this.addEntry(entry);
+
+        if (this.backend && entry.player && entry.replay) {
+            this.backend.submitScore(this.getTableId(), entry).catch(e => {
+                console.warn('Failed to submit score to the online leaderboard:', e);
+            });
+        }
+        return { ...result, entry };
+    }
+
+    /**
+     * Add an entry to the table if it is good enough to make the list
+     * @param {Object} entry - Entry for this table (from createEntry(), or imported)
+     * @returns {{rank: number|null, scores: Array}} rank is 1-maxScores if made list, null otherwise
      */
-    submitScore(time) {
+    addEntry(entry) {
         const scores = this.getScores();
+        const value = HighScoreManager.getValue(entry);
 
-        // Find where this score should be inserted (sorted ascending - fastest first)
+        // Find where this score should be inserted (best first - ties keep the older score ahead)
         let insertIndex = scores.length;
         for (let i = 0; i < scores.length; i++) {
-            if (time < scores[i]) {
+            const score = HighScoreManager.getValue(scores[i]);
+            const isBetter = this.higherIsBetter ? value > score : value < score;
+            if (isBetter) {
                 insertIndex = i;
                 break;
             }
@@ -57,7 +319,7 @@ class HighScoreManager {
         // Check if it made the list
         if (insertIndex < this.maxScores) {
             // Insert the new score
-            scores.splice(insertIndex, 0, time);
+            scores.splice(insertIndex, 0, entry);
             // Trim to max scores
             const trimmedScores = scores.slice(0, this.maxScores);
             this.saveScores(trimmedScores);
@@ -0,0 +1,272 @@
+// Input - mouse, touch, keyboard and gamepads all feed the one bridge button
+
+// Keys that act as the bridge button (KeyboardEvent.code)
+const ACTION_KEYS = ['Space', 'Enter', 'NumpadEnter'];
+
+// Standard gamepad mapping (https://w3c.github.io/gamepad/#remapping)
+const GamepadButton = {
+    FACE: [0, 1, 2, 3],       // A/B/X/Y (or cross/circle/square/triangle) - all grow the bridge
+    BACK: 8,                  // Back/Select/Share
+    START: 9,                 // Start/Options - pauses and resumes
+    DPAD: { 12: -1, 13: 1, 14: -1, 15: 1 } // Up/down/left/right - previous or next menu button
+};
+
+/**
+ * Combines every input device into a single button for the simulation
+ *
+ * Each device keeps its own held state and the button is down while any of them is
+ * held. The simulation turns button changes into presses and releases (with the
+ * dead zone), so every device grows and slams bridges the same way.
+ *
+ * Callbacks let Game drive the overlays without a mouse:
+ * - onPress(device) - the button went down (start or restart from an overlay)
+ * - onBack() - Escape or the gamepad back button
+ * - onNavigate(step) - gamepad d-pad, -1 for the previous menu button and 1 for the next
+ * - onActivate() - a gamepad face button, checked first; return true if it pressed a
+ *   focused menu button instead of the bridge button
+ * - onZoom(factor) - mouse wheel or pinch, above 1 to zoom in and below 1 to zoom out
+ * - onPause() - the gamepad start button
+ */
+class InputManager {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas that receives mouse and touch input
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+
+        // Held state per device
+        this.held = { pointer: false, keyboard: false, gamepad: false };
+        this.heldKeys = new Set();
+        this.gamepadButtons = {};     // Buttons down on the last poll, by gamepad index
+        this.menuPresses = new Set(); // 'gamepad:button' face buttons held after pressing a menu button
+        this.pollingGamepads = false;
+        this.pinchDistance = null;    // Distance between two fingers during a pinch
+
+        this.onPress = null;
+        this.onBack = null;
+        this.onNavigate = null;
+        this.onActivate = null;
+        this.onZoom = null;
+        this.onPause = null;
+
+        this.setupPointer();
+        this.setupKeyboard();
+        this.setupGamepads();
+    }
+
+    /**
+     * Whether the bridge button is down on any device
+     * @returns {boolean}
+     */
+    isPressed() {
+        return this.held.pointer || this.held.keyboard || this.held.gamepad;
+    }
+
+    /**
+     * Update one device's held state, reporting a press when the button goes down
+     * @param {string} device - 'pointer', 'keyboard' or 'gamepad'
+     * @param {boolean} held - Whether the device is holding the button
+     */
+    setHeld(device, held) {
+        const wasPressed = this.isPressed();
+        this.held[device] = held;
+
+        if (held && !wasPressed && this.onPress) {
+            this.onPress(device);
+        }
+    }
+
+    /**
+     * Release every device (when the window loses focus, so the button is not stuck down)
+     */
+    releaseAll() {
+        this.heldKeys.clear();
+        this.held.pointer = false;
+        this.held.keyboard = false;
+        this.held.gamepad = false;
+    }
+
+    /**
+     * Mouse button 0 and touches on the canvas, plus wheel and pinch zoom
+     */
+    setupPointer() {
+        this.canvas.addEventListener('mousedown', (e) => {
+            // Only respond to left button (button 0)
+            if (e.button !== 0) return;
+            this.setHeld('pointer', true);
+        });
+
+        this.canvas.addEventListener('mouseup', (e) => {
+            if (e.button !== 0) return;
+            this.setHeld('pointer', false);
+        });
+
+        this.canvas.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            this.setHeld('pointer', true);
+
+            // A second finger starts a pinch
+            if (e.touches.length === 2) {
+                this.pinchDistance = InputManager.getTouchDistance(e.touches);
+            }
+        });
+
+        this.canvas.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            if (e.touches.length !== 2 || !this.pinchDistance) return;
+
+            const distance = InputManager.getTouchDistance(e.touches);
+            if (distance > 0 && this.onZoom) {
+                this.onZoom(distance / this.pinchDistance);
+            }
+            this.pinchDistance = distance;
+        });
+
+        // The button stays down until the last finger lifts
+        this.canvas.addEventListener('touchend', (e) => {
+            e.preventDefault();
+            if (e.touches.length < 2) {
+                this.pinchDistance = null;
+            }
+            if (e.touches.length === 0) {
+                this.setHeld('pointer', false);
+            }
+        });
+
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            if (e.deltaY !== 0 && this.onZoom) {
+                const step = GameConfig.camera.wheelStep;
+                this.onZoom(e.deltaY < 0 ? step : 1 / step);
+            }
+        }, { passive: false });
+
+        window.addEventListener('blur', () => this.releaseAll());
+    }
+
+    /**
+     * Distance between the first two touches of a touch event
+     * @param {TouchList} touches - The event's touches
+     * @returns {number} CSS pixels
+     */
+    static getTouchDistance(touches) {
+        return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+    }
+
+    /**
+     * Space and Enter hold the button, Escape goes back
+     * Keys typed on a focused button are left to the browser, which clicks the button
+     */
+    setupKeyboard() {
+        window.addEventListener('keydown', (e) => {
+            if (e.code === 'Escape') {
+                if (this.onBack) {
+                    this.onBack();
+                }
+                return;
+            }
+
+            if (!ACTION_KEYS.includes(e.code) || this.isOnButton(e.target)) return;
+
+            // Stop Space scrolling the page
+            e.preventDefault();
+            if (e.repeat) return;
+
+            this.heldKeys.add(e.code);
+            this.setHeld('keyboard', true);
+        });
+
+        window.addEventListener('keyup', (e) => {
+            if (!this.heldKeys.delete(e.code)) return;
+            this.setHeld('keyboard', this.heldKeys.size > 0);
+        });
+    }
+
+    /**
+     * Check if an event target is a button (or inside one)
+     * @param {EventTarget} target - The event target
+     * @returns {boolean}
+     */
+    isOnButton(target) {
+        return !!(target && target.closest && target.closest('button'));
+    }
+
+    /**
+     * Poll gamepads each animation frame while any are connected
+     * The Gamepad API has no button events, so presses are found by comparing polls
+     */
+    setupGamepads() {
+        window.addEventListener('gamepadconnected', () => {
+            if (this.pollingGamepads) return;
+
+            this.pollingGamepads = true;
+            const poll = () => {
+                if (!this.pollGamepads()) {
+                    this.pollingGamepads = false;
+                    return;
+                }
+                requestAnimationFrame(poll);
+            };
+            requestAnimationFrame(poll);
+        });
+    }
+
+    /**
+     * Get the gamepad slots from the browser
+     * @returns {Array<Gamepad|null>}
+     */
+    getGamepads() {
+        return navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+    }
+
+    /**
+     * Read every connected gamepad and update the button
+     * @returns {boolean} False once no gamepads are connected
+     */
+    pollGamepads() {
+        const connected = this.getGamepads().filter(gamepad => gamepad && gamepad.connected);
+
+        let faceHeld = false;
+        connected.forEach(gamepad => {
+            const previous = this.gamepadButtons[gamepad.index] || [];
+            const current = gamepad.buttons.map(button => button.pressed);
+            const justPressed = index => current[index] && !previous[index];
+            this.gamepadButtons[gamepad.index] = current;
+
+            if (justPressed(GamepadButton.BACK) && this.onBack) {
+                this.onBack();
+            }
+
+            if (justPressed(GamepadButton.START) && this.onPause) {
+                this.onPause();
+            }
+
+            Object.entries(GamepadButton.DPAD).forEach(([index, step]) => {
+                if (justPressed(Number(index)) && this.onNavigate) {
+                    this.onNavigate(step);
+                }
+            });
+
+            GamepadButton.FACE.forEach(index => {
+                const key = `${gamepad.index}:${index}`;
+                if (!current[index]) {
+                    this.menuPresses.delete(key);
+                    return;
+                }
+
+                // A face button that pressed a focused menu button does not also hold the bridge button
+                if (justPressed(index) && !this.held.gamepad && this.onActivate && this.onActivate()) {
+                    this.menuPresses.add(key);
+                }
+                if (!this.menuPresses.has(key)) {
+                    faceHeld = true;
+                }
+            });
+        });
+
+        if (faceHeld !== this.held.gamepad) {
+            this.setHeld('gamepad', faceHeld);
+        }
+        return connected.length > 0;
+    }
+}
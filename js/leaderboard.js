@@ -0,0 +1,282 @@
+// Leaderboard backends - where HighScoreManager sends its scores and reads tables from
+
+/**
+ * Error from a leaderboard backend
+ * status is the HTTP status the server answered with, or null if it could not be reached
+ */
+class LeaderboardError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {number|null} status - HTTP status, or null if the server could not be reached
+     */
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'LeaderboardError';
+        this.status = status;
+    }
+
+    /**
+     * Whether the request never got an answer (offline, server down, or too slow)
+     * @returns {boolean}
+     */
+    get unreachable() {
+        return this.status === null;
+    }
+}
+
+/**
+ * Answers leaderboard requests from the tables in localStorage
+ *
+ * Every backend has the same three methods, each returning a Promise:
+ *   submitScore(tableId, entry) -> { rank, total, duplicate }: rank is null if it did not make the table
+ *   getTopScores(tableId, count) -> { total, rows: [{ rank, entry }] } best first
+ *   getScoresAroundPlayer(tableId, playerId, count) -> { total, rows }: the player's best entry
+ *     with up to count entries either side (rows is empty if they have none)
+ * Table IDs are HighScoreManager.getTableId(). This backend is also what RemoteLeaderboardBackend
+ * answers from when its server cannot be reached.
+ */
+class LocalLeaderboardBackend {
+    /**
+     * Add an entry to its table on this device, unless it is already there (the same hash)
+     * @param {string} tableId - Table ID
+     * @param {Object} entry - Entry with its replay and hash
+     * @returns {Promise<Object>} { rank, total, duplicate }
+     */
+    submitScore(tableId, entry) {
+        const table = HighScoreManager.forTable(tableId);
+        const scores = table.getScores();
+        const existing = scores.findIndex(other => other.hash === entry.hash);
+        if (existing !== -1) {
+            return Promise.resolve({ rank: existing + 1, total: scores.length, duplicate: true });
+        }
+
+        const result = table.addEntry(entry);
+        return Promise.resolve({ rank: result.rank, total: result.scores.length, duplicate: false });
+    }
+
+    /**
+     * Get the best entries in a table on this device
+     * @param {string} tableId - Table ID
+     * @param {number} count - Most entries to return
+     * @returns {Promise<Object>} { total, rows }
+     */
+    getTopScores(tableId, count) {
+        return Promise.resolve(HighScoreManager.forTable(tableId).getTopScores(count));
+    }
+
+    /**
+     * Get a player's best entry in a table on this device, with the entries around it
+     * @param {string} tableId - Table ID
+     * @param {string} playerId - Profile ID
+     * @param {number} count - Entries either side
+     * @returns {Promise<Object>} { total, rows }
+     */
+    getScoresAroundPlayer(tableId, playerId, count) {
+        return Promise.resolve(HighScoreManager.forTable(tableId).getScoresAroundPlayer(playerId, count));
+    }
+}
+
+/**
+ * Talks to a leaderboard server (see server/leaderboard-store.js for the protocol)
+ *
+ * Has the same methods as LocalLeaderboardBackend. When the server cannot be reached, reads are
+ * answered from this device's tables (with offline: true in the result) and submitted entries
+ * are queued in localStorage, to be sent by sync() once the server answers again. The queue is
+ * always sent before a new entry, so entries reach the server in the order they were set.
+ * Requests go one at a time, in the order they were made.
+ */
+class RemoteLeaderboardBackend {
+    /**
+     * @param {string} url - Server address, e.g. 'http://localhost:8787'
+     * @param {Object} options - { fetch, local, queueKey }: the function requests are made with
+     *   (defaults to the browser's fetch), the backend to fall back to, and the localStorage key of the queue
+     */
+    constructor(url, options = {}) {
+        this.url = url.replace(/\/+$/, '');
+        this.fetch = options.fetch || ((resource, init) => fetch(resource, init));
+        this.local = options.local || new LocalLeaderboardBackend();
+        this.queueKey = options.queueKey || 'mountainHighway.leaderboardQueue';
+        this.pending = Promise.resolve(); // The last task started - each waits for the one before
+    }
+
+    /**
+     * Run a task once every task before it has finished
+     * @param {Function} task - Returns a Promise
+     * @returns {Promise} The task's result
+     */
+    enqueueTask(task) {
+        const result = this.pending.then(task);
+        this.pending = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Send one request to the server
+     * @param {string} method - 'GET' or 'POST'
+     * @param {string} path - Path and query string, e.g. '/tables/level-1/scores?limit=10'
+     * @param {Object|null} body - Request body (POST only)
+     * @returns {Promise<Object>} The server's answer
+     *   (rejects with a LeaderboardError - unreachable if there was no answer in GameConfig.leaderboard.requestTimeout)
+     */
+    request(method, path, body = null) {
+        const init = { method };
+        if (body !== null) {
+            init.headers = { 'Content-Type': 'application/json' };
+            init.body = JSON.stringify(body);
+        }
+
+        let timer = null;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('No answer in time')), GameConfig.leaderboard.requestTimeout);
+        });
+
+        return Promise.race([this.fetch(`${this.url}${path}`, init), timeout]).then(response => {
+            clearTimeout(timer);
+            return response.json().catch(() => ({})).then(data => {
+                if (!response.ok) {
+                    throw new LeaderboardError(data.error || `The server answered ${response.status}`, response.status);
+                }
+                return data;
+            });
+        }, error => {
+            clearTimeout(timer);
+            throw new LeaderboardError(`Could not reach the leaderboard server: ${error.message}`);
+        });
+    }
+
+    /**
+     * Get the path of a table's scores
+     * @param {string} tableId - Table ID
+     * @returns {string}
+     */
+    getTablePath(tableId) {
+        return `/tables/${encodeURIComponent(tableId)}`;
+    }
+
+    /**
+     * Submit an entry, or queue it if the server cannot be reached
+     * @param {string} tableId - Table ID
+     * @param {Object} entry - Entry with its replay and hash
+     * @returns {Promise<Object>} { rank, total, duplicate } from the server; when queued, this
+     *   device's answer with queued: true (rejects with a LeaderboardError if the server refuses the entry)
+     */
+    submitScore(tableId, entry) {
+        return this.enqueueTask(() => this.sendQueue().then(remaining => {
+            if (remaining > 0) {
+                throw new LeaderboardError('Earlier scores are still waiting to be sent');
+            }
+            return this.request('POST', `${this.getTablePath(tableId)}/scores`, entry);
+        }).catch(error => {
+            if (!error.unreachable) {
+                throw error;
+            }
+            this.saveQueue(this.loadQueue().concat([{ tableId, entry }]));
+            return this.local.submitScore(tableId, entry).then(result => ({ ...result, queued: true }));
+        }));
+    }
+
+    /**
+     * Get the best entries in a table
+     * @param {string} tableId - Table ID
+     * @param {number} count - Most entries to return
+     * @returns {Promise<Object>} { total, rows }, or this device's with offline: true
+     */
+    getTopScores(tableId, count) {
+        return this.enqueueTask(() => this.request('GET', `${this.getTablePath(tableId)}/scores?limit=${count}`))
+            .catch(error => this.fallBack(error, () => this.local.getTopScores(tableId, count)));
+    }
+
+    /**
+     * Get a player's best entry in a table, with the entries around it
+     * @param {string} tableId - Table ID
+     * @param {string} playerId - Profile ID
+     * @param {number} count - Entries either side
+     * @returns {Promise<Object>} { total, rows }, or this device's with offline: true
+     */
+    getScoresAroundPlayer(tableId, playerId, count) {
+        const path = `${this.getTablePath(tableId)}/players/${encodeURIComponent(playerId)}/around?count=${count}`;
+        return this.enqueueTask(() => this.request('GET', path))
+            .catch(error => this.fallBack(error, () => this.local.getScoresAroundPlayer(tableId, playerId, count)));
+    }
+
+    /**
+     * Answer a read from this device's tables if the server could not be reached
+     * @param {LeaderboardError} error - Why the request failed
+     * @param {Function} read - Reads the local backend
+     * @returns {Promise<Object>} The local answer, with offline: true
+     */
+    fallBack(error, read) {
+        if (!error.unreachable) {
+            throw error;
+        }
+        return read().then(result => ({ ...result, offline: true }));
+    }
+
+    /**
+     * Send the entries queued while the server could not be reached
+     * @returns {Promise<number>} How many are still queued (the server is still unreachable)
+     */
+    sync() {
+        return this.enqueueTask(() => this.sendQueue());
+    }
+
+    /**
+     * Send queued entries oldest first, stopping at the first the server does not answer
+     * An entry the server refuses is dropped, as sending it again would be refused too;
+     * one it already has (sent by an earlier sync) is answered as a duplicate
+     * @returns {Promise<number>} How many are still queued
+     */
+    sendQueue() {
+        const queue = this.loadQueue();
+        if (queue.length === 0) {
+            return Promise.resolve(0);
+        }
+
+        const { tableId, entry } = queue[0];
+        return this.request('POST', `${this.getTablePath(tableId)}/scores`, entry).then(() => true, error => {
+            if (error.unreachable) {
+                return false;
+            }
+            console.warn('The leaderboard server refused a queued score:', error);
+            return true;
+        }).then(done => {
+            if (!done) {
+                return queue.length;
+            }
+            // Entries queued meanwhile only ever go on the end, so the first is still this one
+            this.saveQueue(this.loadQueue().slice(1));
+            return this.sendQueue();
+        });
+    }
+
+    /**
+     * Read the queue of entries waiting to be sent
+     * @returns {Array<{tableId: string, entry: Object}>} Oldest first
+     */
+    loadQueue() {
+        try {
+            const stored = localStorage.getItem(this.queueKey);
+            if (stored) {
+                const queue = JSON.parse(stored);
+                if (Array.isArray(queue)) {
+                    return queue;
+                }
+            }
+        } catch (e) {
+            console.warn('Failed to read queued leaderboard scores:', e);
+        }
+        return [];
+    }
+
+    /**
+     * Save the queue of entries waiting to be sent
+     * @param {Array<{tableId: string, entry: Object}>} queue - Oldest first
+     */
+    saveQueue(queue) {
+        try {
+            localStorage.setItem(this.queueKey, JSON.stringify(queue));
+        } catch (e) {
+            console.warn('Failed to save queued leaderboard scores:', e);
+        }
+    }
+}
@@ -1,5 +1,29 @@
 // Level management - combines course and island configuration
 
+// Current version of the JSON level file format (see LEVEL_FORMAT.md)
+const LEVEL_FORMAT_VERSION = 1;
+
+/**
+ * Error thrown when a level file cannot be loaded
+ * Carries the individual problems as ValidationErrors so span/island indices are preserved
+ */
+class LevelLoadError extends Error {
+    /**
+     * @param {string} message - Summary of the failure
+     * @param {Array<ValidationError>} errors - Individual problems found in the level file
+     */
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'LevelLoadError';
+        this.errors = errors;
+    }
+
+    toString() {
+        const details = this.errors.map(error => `  - ${error.toString()}`);
+        return [`${this.name}: ${this.message}`, ...details].join('\n');
+    }
+}
+
 /**
  * A level represents a complete game configuration with course and islands
  */
@@ -7,10 +31,14 @@ class Level {
     /**
      * @param {Course} course - The course definition
      * @param {Array} islands - Array of island data [row, col, width, height]
+     * @param {Object} metadata - Optional level metadata {id, name, author, description, ...}
+     * @param {Array<string|null>} islandNames - Optional names for each island (course-order)
      */
-    constructor(course, islands) {
+    constructor(course, islands, metadata = {}, islandNames = []) {
         this.course = course;
         this.islands = islands;
+        this.metadata = metadata;
+        this.islandNames = islandNames;
     }
 
     /**
@@ -30,6 +58,7 @@ class Level {
      */
     getBridgeAnimationData() {
         const bridges = this.getBridges();
+        const profile = GrowthProfile.forLevel(this);
 
         return bridges.map(bridge => {
             const range = bridge.calculateRange(this.islands);
@@ -37,8 +66,8 @@ class Level {
             // Perfect bridge length: gap distance + 0.5 units (extends onto next island)
             const targetLength = range.minSafe + 0.5;
 
-            // Hold time: how long to hold the button (length / growth rate)
-            const holdTime = targetLength / GameConfig.bridge.growthRate;
+            // Hold time: how long the bridge takes to grow that long (after the dead zone)
+            const holdTime = profile.timeToReach(targetLength, range.minSafe + GameConfig.bridge.maxExtension);
 
             return {
                 holdTime: holdTime,
@@ -91,4 +120,147 @@ class Level {
     validate() {
         return CourseValidator.validate(this.course, this.islands);
     }
+
+    /**
+     * Serialize this level to the JSON level file format
+     * Called automatically by JSON.stringify()
+     * @returns {Object} Plain object in level file format
+     */
+    toJSON() {
+        return {
+            version: LEVEL_FORMAT_VERSION,
+            metadata: { ...this.metadata },
+            start: { row: this.course.startRow, col: this.course.startCol },
+            spans: this.course.spans.map(span => ({
+                length: span.signedLength,
+                direction: span.direction
+            })),
+            islands: this.islands.map(([row, col, width, height], index) => {
+                const island = {};
+                const name = this.islandNames[index];
+                if (name !== undefined && name !== null) {
+                    island.name = name;
+                }
+                island.row = row;
+                island.col = col;
+                island.width = width;
+                island.height = height;
+                return island;
+            })
+        };
+    }
+
+    /**
+     * Load a level from the JSON level file format
+     * The file is checked for structural problems first, then the resulting
+     * course is run through CourseValidator so unplayable levels are rejected
+     *
+     * @param {Object|string} data - Parsed level object or JSON text
+     * @returns {Level} The loaded level
+     * @throws {LevelLoadError} If the file is malformed or the level fails validation
+     */
+    static fromJSON(data) {
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                throw new LevelLoadError(`Level file is not valid JSON: ${e.message}`);
+            }
+        }
+
+        const formatErrors = Level.checkFormat(data);
+        if (formatErrors.length > 0) {
+            throw new LevelLoadError('Level file is malformed', formatErrors);
+        }
+
+        const course = new Course();
+        course.startRow = data.start.row;
+        course.startCol = data.start.col;
+        data.spans.forEach(span => course.addSpan(span.length, span.direction));
+
+        const islands = data.islands.map(island => [island.row, island.col, island.width, island.height]);
+        const islandNames = data.islands.map(island => island.name !== undefined ? island.name : null);
+
+        const level = new Level(course, islands, { ...(data.metadata || {}) }, islandNames);
+
+        const result = level.validate();
+        if (!result.valid) {
+            const label = level.metadata.name || level.metadata.id || 'Level';
+            throw new LevelLoadError(`${label} failed validation`, result.errors);
+        }
+
+        return level;
+    }
+
+    /**
+     * Check the structure of a parsed level file
+     * @param {Object} data - Parsed level object
+     * @returns {Array<ValidationError>} Problems found (empty if well-formed)
+     */
+    static checkFormat(data) {
+        const errors = [];
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            errors.push(new ValidationError('Level file must be a JSON object'));
+            return errors;
+        }
+
+        if (data.version !== LEVEL_FORMAT_VERSION) {
+            errors.push(new ValidationError(
+                `Unsupported level format version ${data.version} (expected ${LEVEL_FORMAT_VERSION})`
+            ));
+        }
+
+        if (data.metadata !== undefined && (data.metadata === null || typeof data.metadata !== 'object')) {
+            errors.push(new ValidationError('Level metadata must be an object'));
+        } else if (data.metadata && data.metadata.growthProfile !== undefined) {
+            const profiles = Object.keys(GameConfig.growthProfiles);
+            if (!profiles.includes(data.metadata.growthProfile)) {
+                errors.push(new ValidationError(`Growth profile must be one of: ${profiles.join(', ')}`));
+            }
+        }
+
+        if (!data.start || !isNumber(data.start.row) || !isNumber(data.start.col)) {
+            errors.push(new ValidationError('Start position must have numeric row and col'));
+        }
+
+        if (!Array.isArray(data.spans) || data.spans.length === 0) {
+            errors.push(new ValidationError('Level must have at least one span'));
+        } else {
+            const directions = Object.values(Direction);
+            data.spans.forEach((span, index) => {
+                if (!span || !isNumber(span.length) || span.length === 0) {
+                    errors.push(new ValidationError('Span length must be a non-zero number', index));
+                }
+                if (!span || !directions.includes(span.direction)) {
+                    errors.push(new ValidationError(
+                        `Span direction must be one of: ${directions.join(', ')}`,
+                        index
+                    ));
+                }
+            });
+        }
+
+        if (!Array.isArray(data.islands) || data.islands.length === 0) {
+            errors.push(new ValidationError('Level must have at least one island'));
+        } else {
+            data.islands.forEach((island, index) => {
+                if (!island || typeof island !== 'object') {
+                    errors.push(new ValidationError('Island must be an object', null, index));
+                    return;
+                }
+                ['row', 'col', 'width', 'height'].forEach(field => {
+                    if (!isNumber(island[field])) {
+                        errors.push(new ValidationError(`Island ${field} must be a number`, null, index));
+                    }
+                });
+                if (island.name !== undefined && typeof island.name !== 'string') {
+                    errors.push(new ValidationError('Island name must be a string', null, index));
+                }
+            });
+        }
+
+        return errors;
+    }
 }
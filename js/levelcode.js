@@ -0,0 +1,295 @@
+// Level codes - levels packed into short URL-safe strings for sharing as index.html#level=...
+
+// Current version of the level code format (first byte of every code)
+// Version 2 added the growth profile; version 1 codes still decode, with none
+const LEVEL_CODE_VERSION = 2;
+
+// Longest code decode() accepts, in characters - far longer than any level the editor makes,
+// so a pasted or crafted link cannot tie up the page
+const LEVEL_CODE_MAX_LENGTH = 65536;
+
+/**
+ * Encodes a level's start, spans, islands, name and growth profile as a URL-safe string, and back
+ *
+ * Layout (every number a varint; signed numbers zigzag-encoded):
+ *   version, start row, start col,
+ *   span count, then per span: (zigzag(length) << 1) | (1 for row direction, 0 for column),
+ *   island count, then per island: row, col, width, height,
+ *   name length and UTF-8 bytes (0 for no name),
+ *   growth profile length and UTF-8 bytes (0 for none - the difficulty's profile is used),
+ *   4-byte checksum of everything before it
+ * The bytes are written as base64url without padding.
+ *
+ * Only the layout, name and growth profile are kept - island names and the rest of the
+ * metadata are not part of a code.
+ */
+class LevelCode {
+    /**
+     * Encode a level
+     * @param {Level|Object} level - Level, or data in the JSON level file format
+     * @returns {string} Level code
+     * @throws {LevelLoadError} If a position, size or length is not a whole number
+     */
+    static encode(level) {
+        const data = typeof level.toJSON === 'function' ? level.toJSON() : level;
+        const bytes = [];
+        const write = value => LevelCode.writeVarint(bytes, value);
+        const writeSigned = value => write(LevelCode.zigzag(LevelCode.checkInteger(value)));
+
+        write(LEVEL_CODE_VERSION);
+        writeSigned(data.start.row);
+        writeSigned(data.start.col);
+
+        write(data.spans.length);
+        data.spans.forEach(span => {
+            const zigzagLength = LevelCode.zigzag(LevelCode.checkInteger(span.length));
+            write(zigzagLength * 2 + (span.direction === Direction.ROW ? 1 : 0));
+        });
+
+        write(data.islands.length);
+        data.islands.forEach(island => {
+            writeSigned(island.row);
+            writeSigned(island.col);
+            write(LevelCode.checkInteger(island.width));
+            write(LevelCode.checkInteger(island.height));
+        });
+
+        const metadata = data.metadata || {};
+        LevelCode.writeText(bytes, metadata.name || '');
+        LevelCode.writeText(bytes, metadata.growthProfile || '');
+
+        bytes.push(...LevelCode.checksum(bytes));
+        return LevelCode.toBase64Url(bytes);
+    }
+
+    /**
+     * Decode a level code into level file data
+     * The data still has to be loaded with Level.fromJSON(), which validates the course
+     *
+     * @param {string} code - Level code
+     * @returns {Object} Level data in the JSON level file format
+     * @throws {LevelLoadError} If the code is damaged, incomplete or from another version
+     */
+    static decode(code) {
+        const bytes = LevelCode.fromBase64Url(code);
+        if (bytes.length < 5) {
+            throw new LevelLoadError('Level code is incomplete');
+        }
+
+        const payload = bytes.slice(0, -4);
+        const expected = LevelCode.checksum(payload);
+        if (expected.some((byte, i) => byte !== bytes[payload.length + i])) {
+            throw new LevelLoadError('Level code is damaged (checksum does not match)');
+        }
+
+        let position = 0;
+        const read = () => {
+            const result = LevelCode.readVarint(payload, position);
+            position = result.position;
+            return result.value;
+        };
+        const readSigned = () => LevelCode.unzigzag(read());
+        const readText = () => {
+            const length = read();
+            if (position + length > payload.length) {
+                throw new LevelLoadError('Level code is incomplete');
+            }
+            position += length;
+            return new TextDecoder().decode(new Uint8Array(payload.slice(position - length, position)));
+        };
+
+        const version = read();
+        if (version < 1 || version > LEVEL_CODE_VERSION) {
+            throw new LevelLoadError(`Unsupported level code version ${version} (expected ${LEVEL_CODE_VERSION} or older)`);
+        }
+
+        const start = { row: readSigned(), col: readSigned() };
+
+        const spans = [];
+        const spanCount = read();
+        for (let i = 0; i < spanCount; i++) {
+            const value = read();
+            spans.push({
+                length: LevelCode.unzigzag(Math.floor(value / 2)),
+                direction: value % 2 === 1 ? Direction.ROW : Direction.COLUMN
+            });
+        }
+
+        const islands = [];
+        const islandCount = read();
+        for (let i = 0; i < islandCount; i++) {
+            islands.push({ row: readSigned(), col: readSigned(), width: read(), height: read() });
+        }
+
+        const metadata = {};
+        const name = readText();
+        if (name) {
+            metadata.name = name;
+        }
+        const growthProfile = version >= 2 ? readText() : '';
+        if (growthProfile) {
+            metadata.growthProfile = growthProfile;
+        }
+        if (position !== payload.length) {
+            throw new LevelLoadError('Level code is incomplete');
+        }
+
+        return {
+            version: LEVEL_FORMAT_VERSION,
+            metadata,
+            start,
+            spans,
+            islands
+        };
+    }
+
+    /**
+     * Get the level code from a URL fragment
+     * @param {string} hash - e.g. window.location.hash
+     * @returns {string|null} The code, or null if the fragment has no level
+     */
+    static fromHash(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        return params.has('level') ? params.get('level') : null;
+    }
+
+    /**
+     * Build the URL fragment that shares a level
+     * @param {Level|Object} level - Level, or data in the JSON level file format
+     * @returns {string} e.g. '#level=AQIC...'
+     */
+    static toHash(level) {
+        return `#level=${LevelCode.encode(level)}`;
+    }
+
+    /**
+     * Make sure a value can be encoded
+     * @param {number} value - Position, size or length
+     * @returns {number} The value
+     * @throws {LevelLoadError} If it is not a whole number
+     */
+    static checkInteger(value) {
+        if (!Number.isSafeInteger(value)) {
+            throw new LevelLoadError(`Level codes only hold whole numbers (got ${value})`);
+        }
+        return value;
+    }
+
+    /**
+     * Append a string as its UTF-8 length and bytes
+     * @param {Array<number>} bytes - Bytes to append to
+     * @param {string} text - Text to write ('' writes just a 0 length)
+     */
+    static writeText(bytes, text) {
+        const encoded = new TextEncoder().encode(text);
+        LevelCode.writeVarint(bytes, encoded.length);
+        encoded.forEach(byte => bytes.push(byte));
+    }
+
+    /**
+     * Map signed integers to unsigned ones, small magnitudes first (0, -1, 1, -2, ...)
+     * @param {number} value - Signed integer
+     * @returns {number}
+     */
+    static zigzag(value) {
+        return value >= 0 ? value * 2 : -value * 2 - 1;
+    }
+
+    /**
+     * Undo zigzag()
+     * @param {number} value - Unsigned integer
+     * @returns {number}
+     */
+    static unzigzag(value) {
+        return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+    }
+
+    /**
+     * Append an unsigned integer, 7 bits per byte with the high bit set on all but the last
+     * @param {Array<number>} bytes - Bytes to append to
+     * @param {number} value - Unsigned integer
+     */
+    static writeVarint(bytes, value) {
+        let remaining = value;
+        while (remaining >= 0x80) {
+            bytes.push((remaining % 0x80) | 0x80);
+            remaining = Math.floor(remaining / 0x80);
+        }
+        bytes.push(remaining);
+    }
+
+    /**
+     * Read an unsigned integer written by writeVarint()
+     * @param {Array<number>} bytes - Bytes to read from
+     * @param {number} position - Index of its first byte
+     * @returns {{value: number, position: number}} The value and the index after it
+     * @throws {LevelLoadError} If the bytes run out first
+     */
+    static readVarint(bytes, position) {
+        let value = 0;
+        let scale = 1;
+        for (let i = position; i < bytes.length; i++) {
+            value += (bytes[i] & 0x7F) * scale;
+            if (bytes[i] < 0x80) {
+                return { value, position: i + 1 };
+            }
+            scale *= 0x80;
+        }
+        throw new LevelLoadError('Level code is incomplete');
+    }
+
+    /**
+     * 4-byte checksum (FNV-1a, as used for course seeds)
+     * @param {Array<number>} bytes - Bytes to check
+     * @returns {Array<number>}
+     */
+    static checksum(bytes) {
+        const hash = SeededRandom.hashSeed(LevelCode.toBinaryString(bytes));
+        return [hash >>> 24, (hash >>> 16) & 0xFF, (hash >>> 8) & 0xFF, hash & 0xFF];
+    }
+
+    /**
+     * Bytes to base64url (RFC 4648 section 5) without padding
+     * @param {Array<number>} bytes - Bytes to write
+     * @returns {string}
+     */
+    static toBase64Url(bytes) {
+        return btoa(LevelCode.toBinaryString(bytes))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+
+    /**
+     * Bytes to a string of one character per byte, as btoa() and hashSeed() take
+     * Converted a chunk at a time - spreading a long array into String.fromCharCode()
+     * passes more arguments than the engine allows
+     * @param {Array<number>} bytes - Bytes to convert
+     * @returns {string}
+     */
+    static toBinaryString(bytes) {
+        const chunkSize = 0x2000;
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.slice(i, i + chunkSize));
+        }
+        return binary;
+    }
+
+    /**
+     * base64url without padding to bytes
+     * @param {string} text - Encoded text
+     * @returns {Array<number>}
+     * @throws {LevelLoadError} If the text is not base64url, or longer than LEVEL_CODE_MAX_LENGTH
+     */
+    static fromBase64Url(text) {
+        if (typeof text === 'string' && text.length > LEVEL_CODE_MAX_LENGTH) {
+            throw new LevelLoadError(`Level code is too long (${text.length} characters, at most ${LEVEL_CODE_MAX_LENGTH})`);
+        }
+        if (typeof text !== 'string' || !/^[A-Za-z0-9_-]*$/.test(text) || text.length % 4 === 1) {
+            throw new LevelLoadError('Level code contains characters that are not allowed');
+        }
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Array.from(binary, char => char.charCodeAt(0));
+    }
+}
@@ -0,0 +1,204 @@
+// Practice mode - drill single bridges with instant retry and per-bridge accuracy
+
+/**
+ * Repeated attempts at one bridge of a level, through its own Simulation
+ *
+ * Each attempt starts with the car waiting at the bridge. After a release the outcome
+ * plays out (the slam, then the drive across or the fall) and the next attempt starts
+ * once it is over - or straight away, on the next press.
+ */
+class PracticeSession {
+    /**
+     * @param {Level} level - Level the bridge belongs to
+     * @param {number} bridgeIndex - Bridge to practice (index into level.getBridges())
+     * @param {PracticeStats|null} stats - Where to record each attempt (null to not record)
+     */
+    constructor(level, bridgeIndex, stats = null) {
+        this.level = level;
+        this.bridgeIndex = bridgeIndex;
+        this.stats = stats;
+        this.solved = CourseSolver.solveBridge(level.getBridges()[bridgeIndex], level.islands, GrowthProfile.forLevel(level));
+
+        this.simulation = new Simulation({ logging: false });
+        this.simulation.loadLevel(level);
+
+        this.attempt = null;          // Result of the current attempt, once released (see evaluate())
+        this.lastAttempt = null;      // Result of the latest release, kept across retries
+        this.inputPressed = false;    // Button state on the previous update
+        this.retry();
+    }
+
+    /**
+     * Put the car back at the bridge for a new attempt
+     */
+    retry() {
+        this.simulation.startPractice(this.bridgeIndex);
+        this.bridgeSegmentIndex = this.simulation.currentSegmentIndex;
+        this.attempt = null;
+    }
+
+    /**
+     * Whether the current attempt's outcome has played out: the car fell, or drove off the bridge
+     * @returns {boolean}
+     */
+    isAttemptOver() {
+        const sim = this.simulation;
+        return sim.gameState === GameState.GAME_OVER || sim.gameState === GameState.FINISH ||
+            sim.currentSegmentIndex > this.bridgeSegmentIndex + 1;
+    }
+
+    /**
+     * Advance by real elapsed time, retrying when an attempt is over
+     * @param {number} elapsed - Seconds since the last call
+     * @param {Object} inputs - { pressed: boolean } button state for this frame
+     * @returns {Object|null} The attempt's result if the bridge was released during this update
+     */
+    update(elapsed, inputs = {}) {
+        const pressed = inputs.pressed === true;
+        const justPressed = pressed && !this.inputPressed;
+        this.inputPressed = pressed;
+
+        // After a release, a new press goes straight into the next attempt
+        if (this.attempt && (justPressed || this.isAttemptOver())) {
+            this.retry();
+        }
+
+        this.simulation.update(elapsed, { pressed });
+
+        const sim = this.simulation;
+        if (this.attempt || sim.bridgeResults.length === 0) return null;
+
+        this.attempt = PracticeSession.evaluate(sim.bridgeResults[0], this.solved);
+        this.lastAttempt = this.attempt;
+        if (this.stats) {
+            this.stats.record(this.level.metadata.id, this.bridgeIndex, this.attempt);
+        }
+        return this.attempt;
+    }
+
+    /**
+     * Judge a release against the bridge's safe range and its ideal timing
+     * @param {Object} result - Simulation.bridgeResults entry for the release
+     * @param {Object} solved - CourseSolver.solveBridge() for the bridge
+     * @returns {Object} {releaseLength, minSafe, maxSafe, isTurn, leeway, outcome, timingErrorMs, windowMs}
+     *   outcome: 'safe', 'short' or 'long' - by the same rules as Simulation.evaluateBridgeOutcome()
+     *   timingErrorMs: hold time minus the solver's optimal hold (negative = released early)
+     *   windowMs: width of the safe timing window
+     */
+    static evaluate(result, solved) {
+        let outcome = 'safe';
+        if (result.releaseLength < result.minSafe - GameConfig.bridge.leeway) {
+            outcome = 'short';
+        } else if (result.isTurn && result.releaseLength > result.maxSafe) {
+            outcome = 'long';
+        }
+
+        return {
+            releaseLength: result.releaseLength,
+            minSafe: result.minSafe,
+            maxSafe: result.maxSafe,
+            isTurn: result.isTurn,
+            leeway: result.leeway,
+            outcome,
+            timingErrorMs: (result.holdTime - solved.holdTime) * 1000,
+            windowMs: solved.windowMs
+        };
+    }
+}
+
+/**
+ * Saves practice accuracy for every bridge of every level in localStorage
+ */
+class PracticeStats {
+    /**
+     * @param {string} storageKey - localStorage key for all practice statistics
+     */
+    constructor(storageKey = 'mountainHighway.practice') {
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * Statistics for a bridge that has not been practiced
+     * @returns {Object} {attempts, safe, short, long, leeway, totalErrorMs}
+     */
+    static empty() {
+        return { attempts: 0, safe: 0, short: 0, long: 0, leeway: 0, totalErrorMs: 0 };
+    }
+
+    /**
+     * Read all saved statistics
+     * @returns {Object} Statistics keyed by level ID, then by bridge index
+     */
+    loadAll() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                const stats = JSON.parse(stored);
+                if (stats && typeof stats === 'object') {
+                    return stats;
+                }
+            }
+        } catch (e) {
+            console.warn('Failed to read practice statistics:', e);
+        }
+        return {};
+    }
+
+    /**
+     * Get the statistics for each bridge of a level
+     * @param {string} levelId - Level ID
+     * @param {number} bridgeCount - Number of bridges in the level
+     * @returns {Object[]} One entry per bridge (see empty())
+     */
+    getLevelStats(levelId, bridgeCount) {
+        const level = this.loadAll()[levelId] || {};
+        return Array.from({ length: bridgeCount }, (_, index) => ({ ...PracticeStats.empty(), ...level[index] }));
+    }
+
+    /**
+     * Add an attempt to a bridge's statistics
+     * @param {string} levelId - Level ID
+     * @param {number} bridgeIndex - Bridge index
+     * @param {Object} attempt - Result from PracticeSession.evaluate()
+     */
+    record(levelId, bridgeIndex, attempt) {
+        const all = this.loadAll();
+        const level = all[levelId] || {};
+        const stats = { ...PracticeStats.empty(), ...level[bridgeIndex] };
+
+        stats.attempts++;
+        stats[attempt.outcome]++;
+        if (attempt.leeway) {
+            stats.leeway++;
+        }
+        stats.totalErrorMs += Math.abs(attempt.timingErrorMs);
+
+        level[bridgeIndex] = stats;
+        all[levelId] = level;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(all));
+        } catch (e) {
+            console.warn('Failed to save practice statistics:', e);
+        }
+    }
+
+    /**
+     * Share of attempts that were safe
+     * @param {Object} stats - A bridge's statistics
+     * @returns {number|null} 0-1, or null if never attempted
+     */
+    static getAccuracy(stats) {
+        return stats.attempts > 0 ? stats.safe / stats.attempts : null;
+    }
+
+    /**
+     * Delete all saved statistics
+     */
+    clear() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (e) {
+            console.warn('Failed to clear practice statistics:', e);
+        }
+    }
+}
@@ -0,0 +1,201 @@
+// Player profiles - who is playing, so leaderboard entries can say who set them
+
+/**
+ * Saves the players on this device and which of them is playing, in localStorage
+ *
+ * A profile is { id, name, color, created }: color is the avatar colour shown next to the
+ * name (a #rrggbb colour), and created is a timestamp (ms). There is always at least one profile - a first
+ * "Player 1" is made the first time the game is played.
+ */
+class ProfileManager {
+    /**
+     * @param {string} storageKey - localStorage key for all profiles and the current one
+     */
+    constructor(storageKey = 'mountainHighway.profiles') {
+        this.storageKey = storageKey;
+        this.data = this.load();
+        if (this.data.profiles.length === 0) {
+            this.create();
+        }
+    }
+
+    /**
+     * Read the saved profiles, dropping any that are damaged
+     * @returns {{currentId: string|null, profiles: Object[]}}
+     */
+    load() {
+        const data = { currentId: null, profiles: [] };
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                const saved = JSON.parse(stored);
+                if (saved && Array.isArray(saved.profiles)) {
+                    data.profiles = saved.profiles.filter(ProfileManager.isValid);
+                    data.currentId = saved.currentId;
+                }
+            }
+        } catch (e) {
+            console.warn('Failed to read player profiles:', e);
+        }
+
+        if (!data.profiles.some(profile => profile.id === data.currentId)) {
+            data.currentId = data.profiles.length > 0 ? data.profiles[0].id : null;
+        }
+        return data;
+    }
+
+    /**
+     * Save the profiles and the current one
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (e) {
+            console.warn('Failed to save player profiles:', e);
+        }
+    }
+
+    /**
+     * Check a saved profile has every field
+     * @param {Object} profile - Profile to check
+     * @returns {boolean}
+     */
+    static isValid(profile) {
+        return !!profile && typeof profile.id === 'string' && typeof profile.name === 'string' &&
+            ProfileManager.isValidColor(profile.color) && typeof profile.created === 'number';
+    }
+
+    /**
+     * Check an avatar colour is a plain #rrggbb colour
+     * Colours arrive in imported profiles and online entries, and end up in style attributes,
+     * so nothing else (url(), gradients) is let through
+     * @param {*} color - Colour to check
+     * @returns {boolean}
+     */
+    static isValidColor(color) {
+        return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+    }
+
+    /**
+     * Tidy a name typed by the player
+     * @param {string} name - Name as typed
+     * @returns {string} Trimmed, with runs of spaces collapsed and cut to GameConfig.leaderboard.maxNameLength
+     *   ('' if nothing is left)
+     */
+    static cleanName(name) {
+        return String(name || '').trim().replace(/\s+/g, ' ').slice(0, GameConfig.leaderboard.maxNameLength);
+    }
+
+    /**
+     * Get every profile, oldest first
+     * @returns {Object[]}
+     */
+    getProfiles() {
+        return this.data.profiles.slice();
+    }
+
+    /**
+     * Get a profile
+     * @param {string} id - Profile ID
+     * @returns {Object|null}
+     */
+    getProfile(id) {
+        return this.data.profiles.find(profile => profile.id === id) || null;
+    }
+
+    /**
+     * Get the profile of the player who is playing
+     * @returns {Object}
+     */
+    getCurrent() {
+        return this.getProfile(this.data.currentId);
+    }
+
+    /**
+     * Add a player, with the next avatar colour, and make them the current player
+     * @param {string} name - Player name (defaults to "Player N")
+     * @returns {Object} The new profile
+     */
+    create(name = '') {
+        const count = this.data.profiles.length;
+        const colors = GameConfig.leaderboard.avatarColors;
+        const created = Date.now();
+        const profile = {
+            id: `${created.toString(36)}-${count}`,
+            name: ProfileManager.cleanName(name) || `Player ${count + 1}`,
+            color: colors[count % colors.length],
+            created
+        };
+
+        this.data.profiles.push(profile);
+        this.data.currentId = profile.id;
+        this.save();
+        return profile;
+    }
+
+    /**
+     * Change a player's name
+     * Entries they already set keep the name they were set under
+     * @param {string} id - Profile ID
+     * @param {string} name - New name
+     * @throws {Error} If there is no such profile, or the name is blank
+     */
+    rename(id, name) {
+        const profile = this.getProfile(id);
+        if (!profile) {
+            throw new Error(`Unknown player: ${id}`);
+        }
+        const cleaned = ProfileManager.cleanName(name);
+        if (!cleaned) {
+            throw new Error('Player name cannot be blank');
+        }
+
+        profile.name = cleaned;
+        this.save();
+    }
+
+    /**
+     * Make a player the current player
+     * @param {string} id - Profile ID
+     * @throws {Error} If there is no such profile
+     */
+    switchTo(id) {
+        if (!this.getProfile(id)) {
+            throw new Error(`Unknown player: ${id}`);
+        }
+        this.data.currentId = id;
+        this.save();
+    }
+
+    /**
+     * Add a profile brought from another device (see ScoreArchive) and make it the current player
+     * A profile already on this device is kept as it is
+     * @param {Object} profile - The profile, as saved on the other device
+     * @returns {Object} The profile on this device
+     * @throws {Error} If the profile is damaged
+     */
+    importProfile(profile) {
+        if (!ProfileManager.isValid(profile)) {
+            throw new Error('The player profile is damaged');
+        }
+
+        let local = this.getProfile(profile.id);
+        if (!local) {
+            const { id, name, color, created } = profile;
+            local = { id, name: ProfileManager.cleanName(name) || 'Player', color, created };
+            this.data.profiles.push(local);
+        }
+        this.data.currentId = local.id;
+        this.save();
+        return local;
+    }
+
+    /**
+     * Get who to credit a leaderboard entry to: a copy of the current player's ID, name and colour
+     * @returns {{id: string, name: string, color: string}}
+     */
+    getEntryPlayer() {
+        const { id, name, color } = this.getCurrent();
+        return { id, name, color };
+    }
+}
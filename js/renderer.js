@@ -15,8 +15,11 @@ class Viewport {
      * @param {number} fixedHeight - Optional fixed canvas height (otherwise auto-calculated)
      * @param {Object} courseBounds - Optional course bounds for clamping {minRow, maxRow, minCol, maxCol}
      * @param {Object} safeAreaInsets - Optional safe area insets {top, right, bottom, left} in canvas pixels
+     * @param {boolean} followHorizontally - Keep the car centered horizontally instead of the grid origin (endless mode)
+     * @param {Object} focus - Optional {row, col} to center on instead of the car (from a Camera) - the
+     *   view is then kept within the course bounds horizontally as well as vertically
      */
-    constructor(minRow, maxRow, minCol, maxCol, blockSize = GameConfig.grid.blockSize, fixedWidth = null, fixedHeight = null, courseBounds = null, safeAreaInsets = null) {
+    constructor(minRow, maxRow, minCol, maxCol, blockSize = GameConfig.grid.blockSize, fixedWidth = null, fixedHeight = null, courseBounds = null, safeAreaInsets = null, followHorizontally = false, focus = null) {
         this.minRow = minRow;
         this.maxRow = maxRow;
         this.minCol = minCol;
@@ -26,6 +29,8 @@ class Viewport {
         this.fixedHeight = fixedHeight;
         this.courseBounds = courseBounds;
         this.safeAreaInsets = safeAreaInsets || { top: 0, right: 0, bottom: 0, left: 0 };
+        this.followHorizontally = followHorizontally;
+        this.focus = focus;
 
         // Calculate canvas size needed for this viewport
         this.calculateCanvasSize();
@@ -73,16 +78,33 @@ class Viewport {
      * @param {number} carCol - Car's current column position (for centering during scrolling)
      */
     getOffset(carRow = null, carCol = null) {
+        // A camera focus replaces the car as the point to center on
+        if (this.focus) {
+            carRow = this.focus.row;
+            carCol = this.focus.col;
+        }
+
         if (this.fixedWidth !== null && this.fixedHeight !== null) {
             // For fixed canvas size with vertical scrolling:
-            // - Keep horizontal centered on origin (0,0) in grid space
+            // - Keep horizontal centered on origin (0,0) in grid space (or on the car if following)
             // - Vertical scrolling keeps car centered, clamped to course bounds
 
             // Origin (0,0) in grid space maps to screen space as:
-            const originScreenX = 0;  // col - row = 0 - 0
+            let centerScreenX = 0;  // col - row = 0 - 0
+
+            // Endless courses wander sideways, and a camera follows the car on both axes
+            if ((this.followHorizontally || this.focus) && carRow !== null && carCol !== null) {
+                centerScreenX = carCol - carRow;
+            }
+
+            // Center horizontally
+            let offsetX = this.canvasWidth / 2 - centerScreenX * this.blockSize;
 
-            // Center horizontally on grid origin
-            const offsetX = this.canvasWidth / 2 - originScreenX * this.blockSize;
+            // Keep a camera's view within the course sideways, as vertically below (endless
+            // windows change bounds as they stream, so the car is simply followed there)
+            if (this.focus && this.courseBounds && !this.followHorizontally) {
+                offsetX = this.clampOffsetX(offsetX);
+            }
 
             // Vertical offset calculation:
             // Screen Y position is proportional to (row + col), not just row
@@ -164,6 +186,105 @@ class Viewport {
             };
         }
     }
+
+    /**
+     * Clamp a horizontal offset so the view does not scroll past the sides of the course
+     * Screen X is (col - row), so the course's left and right extremes are its
+     * (minCol, maxRow) and (maxCol, minRow) corners
+     * @param {number} offsetX - Offset that centers the focus
+     * @returns {number} Clamped offset (the course centered if it fits across the safe area)
+     */
+    clampOffsetX(offsetX) {
+        const { minRow, maxRow, minCol, maxCol } = this.courseBounds;
+        const leftScreenX = minCol - maxRow;
+        const rightScreenX = maxCol - minRow;
+
+        // Offsets that put the left edge of the course at the left of the safe area, and the
+        // right edge at the right of it
+        const offsetLeftLocked = this.safeAreaInsets.left - leftScreenX * this.blockSize;
+        const offsetRightLocked = (this.canvasWidth - this.safeAreaInsets.right) - rightScreenX * this.blockSize;
+
+        if (offsetRightLocked >= offsetLeftLocked) {
+            return (offsetLeftLocked + offsetRightLocked) / 2;
+        }
+        return Math.max(Math.min(offsetX, offsetLeftLocked), offsetRightLocked);
+    }
+}
+
+/**
+ * Camera that follows the car on both axes
+ *
+ * The camera eases toward a point a little ahead of the car - toward the end of the
+ * segment it is on, so at a bridge it looks across the gap - and keeps a zoom level.
+ * Game builds each frame's Viewport from its focus and zoom.
+ */
+class Camera {
+    constructor() {
+        this.row = null;              // Focus point (null until the first update)
+        this.col = null;
+        this.zoom = 1;                // Scale on GameConfig.grid.blockSize
+    }
+
+    /**
+     * Get the point the camera should settle on for a car
+     * @param {number} carRow - Car row
+     * @param {number} carCol - Car column
+     * @param {Object|null} segment - Path segment the car is on, if any
+     * @returns {Object} {row, col}
+     */
+    static getTarget(carRow, carCol, segment) {
+        if (!segment) return { row: carRow, col: carCol };
+
+        // Bridge segments have no end: look the full distance across the gap
+        if (segment.endRow === undefined) {
+            if (!segment.direction) return { row: carRow, col: carCol }; // Turning
+            const ahead = GameConfig.camera.lookAhead * segment.sign;
+            return segment.direction === Direction.COLUMN ?
+                { row: carRow, col: carCol + ahead } : { row: carRow + ahead, col: carCol };
+        }
+
+        const rowDistance = segment.endRow - carRow;
+        const colDistance = segment.endCol - carCol;
+        const distance = Math.abs(rowDistance) + Math.abs(colDistance); // Segments are straight, so one is 0
+        if (distance === 0) return { row: carRow, col: carCol };
+
+        const ahead = Math.min(GameConfig.camera.lookAhead, distance) / distance;
+        return { row: carRow + rowDistance * ahead, col: carCol + colDistance * ahead };
+    }
+
+    /**
+     * Move the focus toward a target
+     * @param {Object} target - {row, col} from getTarget()
+     * @param {number|null} elapsed - Seconds since the last update (null to jump straight there)
+     */
+    update(target, elapsed = null) {
+        if (this.row === null || elapsed === null) {
+            this.row = target.row;
+            this.col = target.col;
+            return;
+        }
+
+        const blend = 1 - Math.exp(-elapsed / GameConfig.camera.smoothing);
+        this.row += (target.row - this.row) * blend;
+        this.col += (target.col - this.col) * blend;
+    }
+
+    /**
+     * Set the zoom, within GameConfig.camera.minZoom and maxZoom
+     * @param {number} zoom - 1 for GameConfig.grid.blockSize pixels per unit
+     */
+    setZoom(zoom) {
+        const { minZoom, maxZoom } = GameConfig.camera;
+        this.zoom = Math.max(minZoom, Math.min(maxZoom, zoom));
+    }
+
+    /**
+     * Zoom in or out by a factor
+     * @param {number} factor - Above 1 zooms in, below 1 zooms out
+     */
+    zoomBy(factor) {
+        this.setZoom(this.zoom * factor);
+    }
 }
 
 class Renderer {
@@ -181,6 +302,10 @@ class Renderer {
             this.canvas.height = GameConfig.canvas.height;
         }
 
+        // Player settings (see Settings) - Game sets these when they change
+        this.leftHanded = false;      // Timer on the left, minimap and progress bar in the bottom left
+        this.reducedMotion = false;   // Falling cars drop without tumbling
+
         // Car sprites (owned by renderer)
         this.carSprites = {
             rowPositive: null,
@@ -324,15 +449,35 @@ class Renderer {
         // 2. Positive direction animating bridges (behind car - car approaching)
         // 3. Car
         // 4. Negative direction animating bridges (in front of car - car moving away)
+        // The ghost's bridges are drawn under the live ones at each step, so they
+        // only show where the two runs differ
 
+        const ghost = context.ghost;
+
+        this.renderGhost(ghost, () => this.renderCompletedBridges(ghost, blockSize));
         this.renderCompletedBridges(context, blockSize);
+        this.renderGhost(ghost, () => this.renderAnimatingBridges(ghost, blockSize, true));
         this.renderAnimatingBridges(context, blockSize, true); // positive direction (behind car)
 
-        // Draw car at current position (unless it's falling - already rendered in special position)
-        if (context.car.shouldRender && !context.car.isFalling) {
-            this.drawCar(context.car.row, context.car.col, context.car.direction, context.car.sign, blockSize);
+        // Draw cars farthest first (unless falling - already rendered in special position)
+        // Cars sit on island tops, so no island drawn above can cover them
+        const cars = [{ context, isGhost: false }];
+        if (ghost) {
+            cars.push({ context: ghost, isGhost: true });
         }
+        cars.sort((a, b) => (b.context.car.row + b.context.car.col) - (a.context.car.row + a.context.car.col))
+            .forEach(({ context: carContext, isGhost }) => {
+                const car = carContext.car;
+                if (!car.shouldRender || car.isFalling) return;
 
+                if (isGhost) {
+                    this.renderGhost(carContext, () => this.drawCar(car.row, car.col, car.direction, car.sign, blockSize));
+                } else {
+                    this.drawCar(car.row, car.col, car.direction, car.sign, blockSize);
+                }
+            });
+
+        this.renderGhost(ghost, () => this.renderAnimatingBridges(ghost, blockSize, false));
         this.renderAnimatingBridges(context, blockSize, false); // negative direction (in front of car)
 
         // Draw debug overlays (on top of everything)
@@ -348,6 +493,20 @@ class Renderer {
         this.renderCanvasUI(context);
     }
 
+    /**
+     * Draw part of the ghost run translucent
+     * @param {RenderContext|null} ghost - The ghost's render context (nothing is drawn if null)
+     * @param {Function} draw - Draws the ghost's car or bridges
+     */
+    renderGhost(ghost, draw) {
+        if (!ghost) return;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = GameConfig.ghost.alpha;
+        draw();
+        this.ctx.restore();
+    }
+
     /**
      * Render countdown and timer on canvas
      * These scale with the canvas while CSS overlays handle other text
@@ -372,30 +531,90 @@ class Renderer {
             ctx.restore();
         }
 
-        // Render timer (top right during gameplay, respecting safe area)
+        // Render timer (top right during gameplay, or top left with the left-handed HUD, respecting safe area)
         if (context.canvasUI.timer !== null) {
             const insets = context.canvasUI.safeAreaInsets;
-            const timerX = canvasWidth - 20 - insets.right;
+            const timerX = this.leftHanded ? 20 + insets.left : canvasWidth - 20 - insets.right;
             const timerY = 20 + insets.top;
+            const align = this.leftHanded ? 'left' : 'right';
+            let lineY = timerY + 52;      // Top of the next line under the timer
 
             ctx.save();
             ctx.font = '48px Ranchers';
             ctx.fillStyle = 'white';
             ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
             ctx.lineWidth = 3;
-            ctx.textAlign = 'right';
+            ctx.textAlign = align;
             ctx.textBaseline = 'top';
             ctx.strokeText(context.canvasUI.timer, timerX, timerY);
             ctx.fillText(context.canvasUI.timer, timerX, timerY);
             ctx.restore();
+
+            // Seconds behind (+) or ahead (-) of the ghost at the last bridge, under the timer
+            const ghostDelta = context.canvasUI.ghostDelta;
+            if (ghostDelta !== null) {
+                const sign = ghostDelta > 0 ? '+' : (ghostDelta < 0 ? '-' : '');
+                const deltaText = sign + Math.abs(ghostDelta).toFixed(2);
+
+                ctx.save();
+                ctx.font = GameConfig.ghost.deltaFont;
+                ctx.fillStyle = ghostDelta > 0 ? GameConfig.ghost.behindColor : GameConfig.ghost.aheadColor;
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+                ctx.lineWidth = 3;
+                ctx.textAlign = align;
+                ctx.textBaseline = 'top';
+                ctx.strokeText(deltaText, timerX, lineY);
+                ctx.fillText(deltaText, timerX, lineY);
+                ctx.restore();
+                lineY += 36;
+            }
+
+            // Lives mode - a full heart for each life left and an empty one for each used, under the timer
+            const lives = context.canvasUI.lives;
+            if (lives !== null) {
+                const livesText = '\u2665'.repeat(lives.left) + '\u2661'.repeat(lives.count - lives.left);
+
+                ctx.save();
+                ctx.font = GameConfig.lives.font;
+                ctx.fillStyle = GameConfig.lives.color;
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+                ctx.lineWidth = 3;
+                ctx.textAlign = align;
+                ctx.textBaseline = 'top';
+                ctx.strokeText(livesText, timerX, lineY);
+                ctx.fillText(livesText, timerX, lineY);
+                ctx.restore();
+                lineY += 36;
+            }
+
+            // How the last release compared with the ideal hold, for a moment after it
+            const timingFeedback = context.canvasUI.timingFeedback;
+            if (timingFeedback) {
+                ctx.save();
+                ctx.font = GameConfig.timingFeedback.font;
+                ctx.fillStyle = timingFeedback.color;
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+                ctx.lineWidth = 3;
+                ctx.textAlign = align;
+                ctx.textBaseline = 'top';
+                ctx.strokeText(timingFeedback.text, timerX, lineY);
+                ctx.fillText(timingFeedback.text, timerX, lineY);
+                ctx.restore();
+            }
         }
 
-        // Render progress bar (vertical bar on right side during gameplay)
-        if (context.canvasUI.timer !== null) {
+        // Render the minimap in its place of the progress bar, if shown
+        if (context.canvasUI.timer !== null && context.canvasUI.minimap) {
+            this.renderMinimap(context);
+            return;
+        }
+
+        // Render progress bar (vertical bar on right side during gameplay, left side with the left-handed HUD)
+        if (context.canvasUI.timer !== null && context.canvasUI.progress !== null) {
             const insets = context.canvasUI.safeAreaInsets;
             const barWidth = 8;
             const barMargin = 20;
-            const barX = canvasWidth - barMargin - barWidth - insets.right;
+            const barX = this.leftHanded ? barMargin + insets.left : canvasWidth - barMargin - barWidth - insets.right;
             const barHeight = canvasHeight / 2;
             const barTop = (canvasHeight - barHeight) / 2; // Centered vertically
 
@@ -429,6 +648,134 @@ class Renderer {
         }
     }
 
+    /**
+     * Place the minimap in the bottom right corner of the safe area, scaled to fit the course
+     * @param {Array} islands - Islands to show ([row, col, width, height] each)
+     * @param {number} canvasWidth - Canvas width in pixels
+     * @param {number} canvasHeight - Canvas height in pixels
+     * @param {Object} safeAreaInsets - {top, right, bottom, left} in canvas pixels
+     * @param {boolean} leftHanded - Place it in the bottom left corner instead
+     * @returns {Object|null} {left, top, width, height, scale, minRow, minCol} - scale is pixels
+     *   per unit, and minRow/minCol the course corner at the bottom left of the map (null if
+     *   there are no islands)
+     */
+    static getMinimapLayout(islands, canvasWidth, canvasHeight, safeAreaInsets, leftHanded = false) {
+        if (islands.length === 0) return null;
+
+        const settings = GameConfig.minimap;
+        const minRow = Math.min(...islands.map(([row]) => row));
+        const maxRow = Math.max(...islands.map(([row, , , height]) => row + height));
+        const minCol = Math.min(...islands.map(([, col]) => col));
+        const maxCol = Math.max(...islands.map(([, col, width]) => col + width));
+
+        const safeHeight = canvasHeight - safeAreaInsets.top - safeAreaInsets.bottom;
+        const scale = Math.min(
+            (settings.maxWidth - 2 * settings.padding) / (maxCol - minCol),
+            (safeHeight * settings.maxHeightRatio - 2 * settings.padding) / (maxRow - minRow)
+        );
+
+        const width = (maxCol - minCol) * scale + 2 * settings.padding;
+        const height = (maxRow - minRow) * scale + 2 * settings.padding;
+        return {
+            left: leftHanded ? safeAreaInsets.left + settings.margin : canvasWidth - safeAreaInsets.right - settings.margin - width,
+            top: canvasHeight - safeAreaInsets.bottom - settings.margin - height,
+            width,
+            height,
+            scale,
+            minRow,
+            minCol
+        };
+    }
+
+    /**
+     * Convert game coordinates to canvas pixels on the minimap (rows go up, columns right)
+     * @param {Object} layout - From getMinimapLayout()
+     * @param {number} row - Game row
+     * @param {number} col - Game column
+     * @returns {Object} {x, y}
+     */
+    static toMinimap(layout, row, col) {
+        const padding = GameConfig.minimap.padding;
+        return {
+            x: layout.left + padding + (col - layout.minCol) * layout.scale,
+            y: layout.top + layout.height - padding - (row - layout.minRow) * layout.scale
+        };
+    }
+
+    /**
+     * Render the minimap: every island and span of the level seen from above, without the
+     * isometric tilt, with the finish island, the bridges built so far and the car
+     * @param {RenderContext} context - Bundled game state for rendering
+     */
+    renderMinimap(context) {
+        const ctx = this.ctx;
+        const settings = GameConfig.minimap;
+        const layout = Renderer.getMinimapLayout(context.islands, this.canvas.width, this.canvas.height,
+            context.canvasUI.safeAreaInsets, this.leftHanded);
+        if (!layout) return;
+
+        const point = (row, col) => Renderer.toMinimap(layout, row, col);
+
+        ctx.save();
+        ctx.fillStyle = settings.background;
+        ctx.beginPath();
+        ctx.roundRect(layout.left, layout.top, layout.width, layout.height, settings.padding);
+        ctx.fill();
+
+        // Islands, with the finish island picked out
+        const finishIsland = context.canvasUI.minimap.finishIsland;
+        context.islands.forEach(([row, col, width, height], index) => {
+            const topLeft = point(row + height, col);
+            ctx.fillStyle = index === finishIsland ? settings.finishColor : settings.islandColor;
+            ctx.fillRect(topLeft.x, topLeft.y, width * layout.scale, height * layout.scale);
+        });
+
+        // The route through every span, gaps included
+        ctx.strokeStyle = settings.routeColor;
+        ctx.lineWidth = settings.routeWidth;
+        ctx.beginPath();
+        context.pathSegments.forEach(segment => {
+            if (segment.type !== 'drive') return;
+            const start = point(segment.startRow, segment.startCol);
+            const end = point(segment.endRow, segment.endCol);
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+        });
+        ctx.stroke();
+
+        // Bridges built so far, at the length they were built (as drawBridgeSegment() does)
+        ctx.strokeStyle = settings.bridgeColor;
+        ctx.lineWidth = settings.bridgeWidth;
+        ctx.beginPath();
+        context.pathSegments.forEach((segment, idx) => {
+            if (segment.type !== 'bridge' || !this.isBridgeCompleted(context, idx)) return;
+
+            const pos = context.bridgePositions[segment.bridgeIndex];
+            const sign = pos.isPositive ? 1 : -1;
+            const length = context.bridgeSequence[segment.bridgeIndex].targetLength * sign;
+            const edge = (pos.direction === 'column' ? pos.edgeCol : pos.edgeRow) - GameConfig.bridge.baseOffset * sign;
+            const start = pos.direction === 'column' ? point(pos.baseRow, edge) : point(edge, pos.baseCol);
+            const end = pos.direction === 'column' ? point(pos.baseRow, edge + length) : point(edge + length, pos.baseCol);
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+        });
+        ctx.stroke();
+
+        // The car (until it has fallen out of sight)
+        if (context.car.shouldRender) {
+            const car = point(context.car.row, context.car.col);
+            ctx.fillStyle = GameConfig.car.color;
+            ctx.strokeStyle = GameConfig.car.outlineColor;
+            ctx.lineWidth = GameConfig.car.outlineWidth;
+            ctx.beginPath();
+            ctx.arc(car.x, car.y, settings.carRadius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
     /**
      * Render a falling car with z-offset and tumble rotation
      * @param {Object} carState - Car state from RenderContext
@@ -448,7 +795,7 @@ class Renderer {
 
         this.ctx.save();
         this.ctx.translate(screenX, screenY);
-        this.ctx.rotate(carState.tumbleRotation);
+        this.ctx.rotate(this.reducedMotion ? 0 : carState.tumbleRotation);
         this.ctx.translate(-screenX, -screenY);
 
         this.drawCar(carState.row, carState.col, carState.direction, carState.sign, blockSize);
@@ -562,15 +909,24 @@ class Renderer {
 
             // Draw if it's completed (not currently animating)
             if (!isCurrentBridge) {
-                const isCompleted = idx < context.bridge.currentSegmentIndex - 1 ||
-                                   (idx === context.bridge.currentSegmentIndex - 1 &&
-                                    context.gameState !== GameState.BRIDGE_GROWING &&
-                                    context.gameState !== GameState.BRIDGE_SLAMMING);
-                this.drawBridgeSegment(segment, idx, context, blockSize, isCurrentBridge, isCompleted);
+                this.drawBridgeSegment(segment, idx, context, blockSize, isCurrentBridge, this.isBridgeCompleted(context, idx));
             }
         });
     }
 
+    /**
+     * Check if a bridge has been built and slammed down
+     * @param {RenderContext} context - Rendering context
+     * @param {number} idx - Index of the bridge's path segment
+     * @returns {boolean}
+     */
+    isBridgeCompleted(context, idx) {
+        return idx < context.bridge.currentSegmentIndex - 1 ||
+               (idx === context.bridge.currentSegmentIndex - 1 &&
+                context.gameState !== GameState.BRIDGE_GROWING &&
+                context.gameState !== GameState.BRIDGE_SLAMMING);
+    }
+
     /**
      * Render animating bridges (growing or slamming) for a specific direction
      * @param {RenderContext} context - Rendering context
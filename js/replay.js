@@ -0,0 +1,420 @@
+// Replays - input recordings of runs, saved per level and played back through the simulation
+
+/**
+ * The button presses and releases of one run, stamped with simulation ticks
+ *
+ * Because the simulation is deterministic, feeding the same button state on the same
+ * steps reproduces the run exactly - provided the level and the gameplay settings
+ * are the same, which is what levelId, seed and configHash are kept for.
+ */
+class Replay {
+    /**
+     * @param {Object} data
+     * @param {string} data.levelId - Level the run was played on ('endless' for endless runs)
+     * @param {number|string|null} data.seed - Endless course seed (null for a fixed level)
+     * @param {number} data.lives - Lives the run started with (0 unless played in lives mode)
+     * @param {string} data.configHash - Replay.getConfigHash() when the run was recorded
+     * @param {Array} data.inputs - [tick, pressed] for every change of button state
+     * @param {number} data.endTick - Tick the run ended on
+     * @param {Object} data.result - { state, time, bridgesCrossed, livesUsed, pauses } for display
+     */
+    constructor({ levelId, seed = null, lives = 0, configHash, inputs, endTick, result }) {
+        this.levelId = levelId;
+        this.seed = seed;
+        this.lives = lives;
+        this.configHash = configHash;
+        this.inputs = inputs;
+        this.endTick = endTick;
+        this.result = result;
+    }
+
+    /**
+     * Capture the run a simulation has just played
+     * @param {Simulation} simulation - Simulation at the end of the run
+     * @returns {Replay}
+     */
+    static fromSimulation(simulation) {
+        return new Replay({
+            levelId: simulation.endless ? 'endless' : simulation.level.metadata.id,
+            seed: simulation.endless ? simulation.endless.seed : null,
+            lives: simulation.lives,
+            configHash: Replay.getConfigHash(),
+            inputs: simulation.inputLog.map(([tick, pressed]) => [tick, pressed]),
+            endTick: simulation.tick,
+            result: {
+                state: simulation.gameState,
+                time: simulation.gameState === GameState.FINISH ? simulation.finishTime : simulation.gameTimer,
+                bridgesCrossed: simulation.bridgesCrossed,
+                livesUsed: simulation.livesUsed,
+                pauses: simulation.pauses
+            }
+        });
+    }
+
+    /**
+     * Hash of the settings that change how a run plays out
+     * @param {Object} config - Game configuration (defaults to GameConfig)
+     * @returns {string} 8-digit hex hash
+     */
+    static getConfigHash(config = GameConfig) {
+        const { car, bridge, growthProfiles, physics, simulation, generator, endless } = config;
+        const gameplay = {
+            carSpeed: car.speed,
+            bridge: {
+                growthRate: bridge.growthRate,
+                slamDuration: bridge.slamDuration,
+                baseOffset: bridge.baseOffset,
+                leeway: bridge.leeway,
+                inputDeadZone: bridge.inputDeadZone,
+                maxExtension: bridge.maxExtension,
+                cornerOvershoot: bridge.cornerOvershoot,
+                openOvershoot: bridge.openOvershoot,
+                growthProfile: bridge.growthProfile
+            },
+            growthProfiles, physics, simulation, generator, endless
+        };
+        return SeededRandom.hashSeed(JSON.stringify(gameplay)).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Whether this replay will reproduce its run on a level with the current settings
+     * @param {string} levelId - Level it is about to be played on
+     * @returns {boolean}
+     */
+    isCompatible(levelId) {
+        return this.levelId === levelId && this.configHash === Replay.getConfigHash();
+    }
+
+    /**
+     * Convert to a plain object for saving
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            levelId: this.levelId,
+            seed: this.seed,
+            lives: this.lives,
+            configHash: this.configHash,
+            inputs: this.inputs,
+            endTick: this.endTick,
+            result: this.result
+        };
+    }
+
+    /**
+     * Create a replay from saved data
+     * @param {Object} data - Object produced by toJSON()
+     * @returns {Replay|null} null if the data is not a replay, or is longer than GameConfig.replay.maxRunTime
+     */
+    static fromJSON(data) {
+        if (!data || typeof data.levelId !== 'string' || typeof data.configHash !== 'string' ||
+            !Array.isArray(data.inputs) || !Number.isInteger(data.endTick) || data.endTick < 0 ||
+            data.endTick > Replay.getMaxEndTick() || !Replay.isValidResult(data.result)) {
+            return null;
+        }
+        return new Replay(data);
+    }
+
+    /**
+     * Get the last tick a replay may end on
+     * @returns {number}
+     */
+    static getMaxEndTick() {
+        return Math.ceil(GameConfig.replay.maxRunTime / GameConfig.simulation.timestep);
+    }
+
+    /**
+     * Check a saved result has the fields ReplayStore and the replay screens read
+     * livesUsed and pauses are missing from replays saved before lives mode and pausing
+     * @param {Object} result - Result from replay data
+     * @returns {boolean}
+     */
+    static isValidResult(result) {
+        const isCount = value => value === undefined || (Number.isInteger(value) && value >= 0);
+        return !!result && typeof result.state === 'string' && Number.isFinite(result.time) &&
+            Number.isInteger(result.bridgesCrossed) && isCount(result.livesUsed) && isCount(result.pauses);
+    }
+}
+
+/**
+ * Saves one replay per level in localStorage - the most recent run, or the best one
+ * when used through saveIfBest()
+ */
+class ReplayStore {
+    /**
+     * @param {string} storageKey - localStorage key for all saved replays
+     */
+    constructor(storageKey = 'mountainHighway.replays') {
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * Read all saved replays
+     * @returns {Object} Replay data keyed by level ID
+     */
+    loadAll() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                const replays = JSON.parse(stored);
+                if (replays && typeof replays === 'object') {
+                    return replays;
+                }
+            }
+        } catch (e) {
+            console.warn('Failed to read replays:', e);
+        }
+        return {};
+    }
+
+    /**
+     * Get the saved replay for a level
+     * @param {string} levelId - Level ID ('endless' for endless runs)
+     * @returns {Replay|null} null if there is none, or it was recorded with other settings
+     */
+    load(levelId) {
+        const replay = Replay.fromJSON(this.loadAll()[levelId]);
+        return replay && replay.isCompatible(levelId) ? replay : null;
+    }
+
+    /**
+     * Save a replay, replacing the one saved for its level
+     * @param {Replay} replay - The replay to save
+     */
+    save(replay) {
+        const replays = this.loadAll();
+        replays[replay.levelId] = replay.toJSON();
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(replays));
+        } catch (e) {
+            console.warn('Failed to save replay:', e);
+        }
+    }
+
+    /**
+     * Save a finished run if it is faster than the one saved for its level
+     * @param {Replay} replay - The replay to save
+     * @returns {boolean} True if it was saved
+     */
+    saveIfBest(replay) {
+        if (replay.result.state !== GameState.FINISH) return false;
+
+        const best = this.load(replay.levelId);
+        if (best && best.result.time <= replay.result.time) return false;
+
+        this.save(replay);
+        return true;
+    }
+
+    /**
+     * Delete all saved replays
+     */
+    clear() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (e) {
+            console.warn('Failed to clear replays:', e);
+        }
+    }
+}
+
+/**
+ * Plays a Replay back through its own Simulation, with pause, speed and seeking
+ *
+ * Seeking re-simulates from the start (or from the current tick when seeking forward),
+ * which is cheap - a minute-long run is only a few thousand steps.
+ */
+class ReplayPlayer {
+    /**
+     * @param {Replay} replay - The run to play back
+     * @param {Level|null} level - The level it was played on (null for endless runs, rebuilt from the seed)
+     */
+    constructor(replay, level = null) {
+        this.replay = replay;
+        this.level = level;
+        this.simulation = new Simulation({ logging: false });
+
+        this.paused = false;
+        this.speedIndex = GameConfig.replay.speeds.indexOf(1);
+        this.accumulator = 0;
+
+        // Tick each bridge started waiting for the button, and the run's split times
+        this.bridgeTicks = [];
+        this.splits = [];
+        this.endSimulation = null;    // The run as it ended, from scanRun()
+        this.scanRun();
+
+        this.restart();
+    }
+
+    /**
+     * Reset the simulation to the start of the run
+     */
+    restart() {
+        if (this.replay.seed !== null) {
+            this.simulation.loadEndless(new EndlessCourse(this.replay.seed));
+        } else {
+            this.simulation.loadLevel(this.level);
+        }
+        this.simulation.lives = this.replay.lives;
+        this.simulation.startCountdown();
+        this.nextInput = 0;
+        this.pressed = false;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Run the simulation one step with the recorded button state
+     */
+    stepOnce() {
+        const tick = this.simulation.tick + 1;
+        const inputs = this.replay.inputs;
+        while (this.nextInput < inputs.length && inputs[this.nextInput][0] <= tick) {
+            this.pressed = inputs[this.nextInput][1];
+            this.nextInput++;
+        }
+        this.simulation.step(this.simulation.timestep, { pressed: this.pressed });
+    }
+
+    /**
+     * Advance playback by real elapsed time at the current speed
+     * @param {number} elapsed - Seconds since the last frame
+     */
+    update(elapsed) {
+        if (this.paused || this.isAtEnd()) return;
+
+        const timestep = this.simulation.timestep;
+        this.accumulator += Math.min(elapsed, GameConfig.simulation.maxFrameTime) * this.getSpeed();
+        while (this.accumulator >= timestep && !this.isAtEnd()) {
+            this.accumulator -= timestep;
+            this.stepOnce();
+        }
+    }
+
+    /**
+     * Whether playback has reached the end of the run
+     * @returns {boolean}
+     */
+    isAtEnd() {
+        return this.simulation.tick >= this.replay.endTick;
+    }
+
+    /**
+     * Jump to a tick, re-simulating from the start if it is behind the current one
+     * @param {number} tick - Simulation tick to show
+     */
+    seek(tick) {
+        const target = Math.max(0, Math.min(tick, this.replay.endTick));
+        if (target < this.simulation.tick) {
+            this.restart();
+        }
+        while (this.simulation.tick < target) {
+            this.stepOnce();
+        }
+        this.accumulator = 0;
+    }
+
+    /**
+     * Replay the run once without showing it, noting when each bridge and junction was reached
+     * Stops at the end tick, or sooner if the run finishes or the car falls for good. The
+     * simulation it ends with is kept as endSimulation, and a new one is used for playback
+     */
+    scanRun() {
+        this.restart();
+        while (!this.isAtEnd() && this.simulation.gameState !== GameState.FINISH &&
+            this.simulation.gameState !== GameState.GAME_OVER) {
+            this.stepOnce();
+        }
+        this.bridgeTicks = this.simulation.bridgeTicks.slice();
+        this.splits = this.simulation.splits.slice();
+        this.endSimulation = this.simulation;
+        this.simulation = new Simulation({ logging: false });
+    }
+
+    /**
+     * Number of bridges reached so far (0 before the first bridge)
+     * @returns {number}
+     */
+    getBridgeNumber() {
+        return this.bridgeTicks.filter(tick => tick <= this.simulation.tick).length;
+    }
+
+    /**
+     * Jump to the moment a bridge was reached
+     * @param {number} index - Bridge index in the run (0-based)
+     */
+    seekBridge(index) {
+        if (index < 0) {
+            this.seek(0);
+        } else if (index < this.bridgeTicks.length) {
+            this.seek(this.bridgeTicks[index]);
+        }
+    }
+
+    /**
+     * Jump to the next bridge
+     */
+    nextBridge() {
+        this.seekBridge(this.getBridgeNumber());
+    }
+
+    /**
+     * Jump back to the bridge before the current one (or the start)
+     */
+    previousBridge() {
+        this.seekBridge(this.getBridgeNumber() - 2);
+    }
+
+    /**
+     * Seconds another run is behind (+) or ahead (-) of this one at the last bridge it reached
+     * @param {Simulation} simulation - The other run, on the same level
+     * @returns {number|null} null before its first bridge, or past this run's last bridge
+     */
+    getDelta(simulation) {
+        const bridge = simulation.bridgeTicks.length - 1;
+        if (bridge < 0 || bridge >= this.bridgeTicks.length) return null;
+
+        return (simulation.bridgeTicks[bridge] - this.bridgeTicks[bridge]) * simulation.timestep;
+    }
+
+    /**
+     * Pause or resume; resuming at the end plays the run again from the start
+     */
+    togglePause() {
+        if (this.isAtEnd()) {
+            this.seek(0);
+            this.paused = false;
+            return;
+        }
+        this.paused = !this.paused;
+    }
+
+    /**
+     * Move to the next playback speed, wrapping back to the slowest
+     */
+    cycleSpeed() {
+        this.speedIndex = (this.speedIndex + 1) % GameConfig.replay.speeds.length;
+    }
+
+    /**
+     * Current playback speed multiplier
+     * @returns {number}
+     */
+    getSpeed() {
+        return GameConfig.replay.speeds[this.speedIndex];
+    }
+
+    /**
+     * Playback state for the replay controls
+     * @returns {{paused: boolean, ended: boolean, speed: number, bridge: number, bridgeCount: number}}
+     */
+    getStatus() {
+        return {
+            paused: this.paused,
+            ended: this.isAtEnd(),
+            speed: this.getSpeed(),
+            bridge: this.getBridgeNumber(),
+            bridgeCount: this.bridgeTicks.length
+        };
+    }
+}
@@ -0,0 +1,247 @@
+// Player settings - preferences chosen on the settings screen and saved between visits
+
+// Keys that volume and mute, the difficulty and the minimap were saved under before they joined
+// the settings - read once into the settings by load(), then removed
+const LEGACY_SETTING_KEYS = {
+    audio: 'mountainHighway.audio',           // JSON { masterVolume, sfxVolume, muted }
+    difficulty: 'mountainHighway.difficulty', // Preset name
+    minimap: 'mountainHighway.minimap'        // 'true' or 'false'
+};
+
+/**
+ * Saves the player's preferences in localStorage, checked against a schema
+ *
+ * Each setting in getSchema() is a boolean, a number in a range or one of a list of choices,
+ * with a default. Saved values that do not fit the schema (from an older version, or edited
+ * by hand) fall back to the default, so the game always starts with usable settings.
+ *
+ * Everything on the settings screen is kept here, including the volumes and mute that
+ * AudioManager plays at, and the difficulty preset.
+ */
+class Settings {
+    /**
+     * @param {string} storageKey - localStorage key for all settings
+     * @param {Object} legacyKeys - Older keys to move into the settings (LEGACY_SETTING_KEYS for the
+     *   game's own settings), or {} for none
+     */
+    constructor(storageKey = 'mountainHighway.settings', legacyKeys = {}) {
+        this.storageKey = storageKey;
+        this.legacyKeys = legacyKeys;
+        this.values = this.load();
+    }
+
+    /**
+     * Describe every setting: its type, the values it can take and its default
+     * @returns {Object} Entries keyed by setting name: { type: 'boolean', default },
+     *   { type: 'number', min, max, step, default } or { type: 'choice', options: string[], default }
+     */
+    static getSchema() {
+        const prefersReducedMotion = typeof matchMedia === 'function' &&
+            matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+        const volume = { type: 'number', min: 0, max: 1, step: GameConfig.audio.volumeStep };
+
+        return {
+            masterVolume: { ...volume, default: GameConfig.audio.masterVolume },
+            sfxVolume: { ...volume, default: GameConfig.audio.sfxVolume },
+            muted: { type: 'boolean', default: false },
+            difficulty: { type: 'choice', options: Object.keys(GameConfig.difficulty.presets), default: 'normal' },
+            minimap: { type: 'boolean', default: GameConfig.minimap.enabled },
+            theme: { type: 'choice', options: Object.keys(GameConfig.themes), default: 'day' },
+            reducedMotion: { type: 'boolean', default: prefersReducedMotion },
+            leftHanded: { type: 'boolean', default: false },
+            timingFeedback: { type: 'boolean', default: true },
+            showGrid: { type: 'boolean', default: GameConfig.debug.showGrid },
+            showIslandNumbers: { type: 'boolean', default: GameConfig.debug.showIslandNumbers },
+            showBridgeZones: { type: 'boolean', default: GameConfig.debug.showBridgeZones }
+        };
+    }
+
+    /**
+     * Get the default value of every setting
+     * @returns {Object} Values keyed by setting name
+     */
+    static getDefaults() {
+        const schema = Settings.getSchema();
+        const defaults = {};
+        Object.keys(schema).forEach(name => {
+            defaults[name] = schema[name].default;
+        });
+        return defaults;
+    }
+
+    /**
+     * Check a value against a setting's schema entry
+     * @param {string} name - Setting name
+     * @param {*} value - Value to check
+     * @returns {boolean} True if the setting can take the value
+     * @throws {Error} If there is no such setting
+     */
+    static isValid(name, value) {
+        const entry = Settings.getSchema()[name];
+        if (!entry) {
+            throw new Error(`Unknown setting: ${name}`);
+        }
+
+        if (entry.type === 'boolean') {
+            return typeof value === 'boolean';
+        }
+        if (entry.type === 'number') {
+            return typeof value === 'number' && isFinite(value) && value >= entry.min && value <= entry.max;
+        }
+        return entry.options.includes(value);
+    }
+
+    /**
+     * Get the value after one: the next choice (wrapping around), the other boolean, or a number
+     * one step up (back to the lowest after the highest)
+     * @param {string} name - Setting name
+     * @param {*} value - Current value
+     * @returns {*}
+     */
+    static getNext(name, value) {
+        const entry = Settings.getSchema()[name];
+        if (entry.type === 'boolean') {
+            return !value;
+        }
+        if (entry.type === 'number') {
+            if (value >= entry.max) {
+                return entry.min;
+            }
+            const steps = Math.round((value - entry.min) / entry.step) + 1;
+            // Rounded so steps of 0.2 give 0.6, not 0.6000000000000001
+            return Math.min(entry.max, Math.round((entry.min + steps * entry.step) * 1000) / 1000);
+        }
+        return entry.options[(entry.options.indexOf(value) + 1) % entry.options.length];
+    }
+
+    /**
+     * Read the saved settings, using the default for any that are missing or invalid
+     * @returns {Object} Values keyed by setting name
+     */
+    load() {
+        const values = Settings.getDefaults();
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                const saved = JSON.parse(stored);
+                if (saved && typeof saved === 'object') {
+                    Object.keys(values).forEach(name => {
+                        if (Settings.isValid(name, saved[name])) {
+                            values[name] = saved[name];
+                        }
+                    });
+                }
+            }
+        } catch (e) {
+            console.warn('Failed to read settings:', e);
+        }
+
+        this.migrateLegacyKeys(values);
+        return values;
+    }
+
+    /**
+     * Move settings saved under their own keys by older versions into the settings, once:
+     * the old keys are removed after the settings are saved with their values
+     * @param {Object} values - Settings read so far, updated with any valid old values
+     * @returns {boolean} Whether any old key was found
+     */
+    migrateLegacyKeys(values) {
+        const readers = {
+            audio: stored => {
+                const audio = JSON.parse(stored);
+                return audio && typeof audio === 'object'
+                    ? { masterVolume: audio.masterVolume, sfxVolume: audio.sfxVolume, muted: audio.muted }
+                    : {};
+            },
+            difficulty: stored => ({ difficulty: stored }),
+            minimap: stored => ({ minimap: stored === 'true' })
+        };
+
+        const found = [];
+        Object.keys(this.legacyKeys).forEach(name => {
+            const key = this.legacyKeys[name];
+            try {
+                const stored = localStorage.getItem(key);
+                if (stored === null) return;
+                found.push(key);
+
+                const old = readers[name](stored);
+                Object.keys(old).forEach(setting => {
+                    if (Settings.isValid(setting, old[setting])) {
+                        values[setting] = old[setting];
+                    }
+                });
+            } catch (e) {
+                console.warn(`Failed to read the old ${name} setting:`, e);
+            }
+        });
+        if (found.length === 0) {
+            return false;
+        }
+
+        // Saved first, so nothing is lost if the page closes in between
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(values));
+            found.forEach(key => localStorage.removeItem(key));
+        } catch (e) {
+            console.warn('Failed to move old settings:', e);
+        }
+        return true;
+    }
+
+    /**
+     * Save the settings
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.values));
+        } catch (e) {
+            console.warn('Failed to save settings:', e);
+        }
+    }
+
+    /**
+     * Get a setting
+     * @param {string} name - Setting name
+     * @returns {*}
+     */
+    get(name) {
+        return this.values[name];
+    }
+
+    /**
+     * Change a setting and save it
+     * @param {string} name - Setting name
+     * @param {*} value - New value
+     * @throws {Error} If there is no such setting, or it cannot take the value
+     */
+    set(name, value) {
+        if (!Settings.isValid(name, value)) {
+            throw new Error(`Invalid value for setting ${name}: ${value}`);
+        }
+        this.values[name] = value;
+        this.save();
+    }
+
+    /**
+     * Copy a colour theme into GameConfig (the sky, island and road colours)
+     * Like difficulty presets, it is read by the renderer on the next frame
+     * @param {string} name - Key of GameConfig.themes
+     * @throws {Error} If there is no such theme
+     */
+    static applyTheme(name) {
+        const theme = GameConfig.themes[name];
+        if (!theme) {
+            throw new Error(`Unknown theme: ${name}`);
+        }
+
+        GameConfig.canvas.backgroundColor = theme.sky;
+        GameConfig.island.grassColor = theme.grass;
+        GameConfig.island.dirtLightColor = theme.dirtLight;
+        GameConfig.island.dirtDarkColor = theme.dirtDark;
+        GameConfig.road.color = theme.road;
+        GameConfig.bridge.color = theme.road;
+    }
+}
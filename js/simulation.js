@@ -0,0 +1,793 @@
+// Simulation core - game state and fixed-timestep update, with no DOM access
+//
+// Game feeds the simulation elapsed frame time and the button state; Renderer only
+// ever sees it through RenderContext. The same inputs on the same ticks always
+// produce the same run, whatever the frame rate.
+
+// Game state constants
+const GameState = {
+    START_SCREEN: 'start_screen',
+    COUNTDOWN: 'countdown',
+    DRIVING: 'driving',
+    TURNING: 'turning',
+    BRIDGE_GROWING: 'bridge_growing',
+    BRIDGE_SLAMMING: 'bridge_slamming',
+    DOOMED: 'doomed',
+    FALLING: 'falling',
+    SEGMENT_DONE: 'segment_done',
+    DONE: 'done',
+    FINISH: 'finish',
+    GAME_OVER: 'game_over'
+};
+
+// Events returned by Simulation.step() for Game to react to (UI, scores)
+const SimulationEvent = {
+    COUNTDOWN: 'countdown',  // Countdown moved to the next number
+    START: 'start',          // Countdown finished and the car set off
+    RESPAWN: 'respawn',      // Car lost a life and is back at the bridge it fell from
+    FINISH: 'finish',        // Car reached the end of the course
+    GAME_OVER: 'game_over'   // Car finished falling
+};
+
+class Simulation {
+    /**
+     * @param {Object} options - { logging: false } silences console output (for headless runs)
+     */
+    constructor(options = {}) {
+        this.timestep = GameConfig.simulation.timestep;
+        this.logging = options.logging !== false;
+
+        // Level data - set by loadLevel() or loadEndless()
+        this.level = null;
+        this.course = null;
+        this.islands = null;
+        this.bridges = [];
+        this.pathSegments = [];
+        this.totalPathLength = 0;
+        this.bridgeSequence = [];
+        this.bridgePositions = [];
+
+        // Endless mode - EndlessCourse while playing endless, null for a fixed level
+        this.endless = null;
+        this.bridgesCrossed = 0;      // Score for the current endless run
+        this.endlessDistance = 0;     // Distance driven on islands already dropped from the window
+
+        // Lives mode - falls on a fixed level respawn the car until the lives run out
+        this.lives = 0;               // Lives per run (0 = the first fall ends it) - set before startCountdown()
+
+        // Fixed timestep bookkeeping
+        this.accumulator = 0;         // Frame time not yet simulated (seconds)
+        this.tick = 0;                // Steps taken since reset()
+        this.time = 0;                // Simulated time since reset() (seconds)
+
+        this.events = [];
+        this.reset();
+    }
+
+    /**
+     * Load a fixed level
+     * @param {Level} level - The level to play
+     */
+    loadLevel(level) {
+        this.endless = null;
+        this.setLevel(level);
+        this.reset();
+    }
+
+    /**
+     * Load an endless course
+     * @param {EndlessCourse} endless - Freshly created endless course
+     */
+    loadEndless(endless) {
+        this.endless = endless;
+        this.bridgesCrossed = 0;
+        this.endlessDistance = 0;
+        this.setLevel(endless.getLevel());
+        this.reset();
+    }
+
+    /**
+     * Use a level's course and islands, and recalculate the path and bridge data from them
+     * @param {Level} level - The level (or endless window) to play
+     */
+    setLevel(level) {
+        this.level = level;
+        this.course = level.course;
+        this.islands = level.islands;
+
+        this.bridges = level.getBridges();
+        this.pathSegments = this.course.getPathSegments(this.islands);
+        this.totalPathLength = this.calculateTotalPathLength();
+        this.bridgeSequence = level.getBridgeAnimationData();
+        this.bridgePositions = level.getBridgePositions();
+    }
+
+    /**
+     * Put the car back at the start and clear all run state
+     * @param {string} gameState - State to reset into (GameState.START_SCREEN or GameState.COUNTDOWN)
+     */
+    reset(gameState = GameState.START_SCREEN) {
+        this.gameState = gameState;
+        this.stateProgress = 0;
+        this.accumulator = 0;
+        this.tick = 0;
+        this.time = 0;
+
+        // Car state
+        this.carRow = this.course ? this.course.startRow : 1;
+        this.carCol = this.course ? this.course.startCol : 1;
+        this.carDirection = this.pathSegments.length > 0 ? this.pathSegments[0].direction : 'column';
+        this.targetPosition = 0;
+
+        // Segment tracking
+        this.currentSegmentIndex = 0;
+        this.currentSegment = null;
+        this.bridgeTicks = [];        // Tick each bridge was reached (started waiting for the button)
+        this.splits = [];             // { type: 'bridge'|'junction'|'finish', time } each time one is reached
+        this.bridgeResults = [];      // How each bridge was built, in the order reached (see slamBridge())
+
+        // Player input state
+        this.inputPressed = false;    // Button state on the previous step
+        this.buttonHeld = false;      // Press that started while a bridge was waiting to grow
+        this.pressStartTime = 0;      // Simulated time when that press began (for dead zone)
+        this.inputLog = [];           // [tick, pressed] for every change of button state (for replays)
+
+        // Bridge state
+        this.bridgeLength = 0;
+        this.bridgeGrowTime = 0; // Seconds the current bridge has been growing (see GrowthProfile)
+        this.bridgeRotation = 0; // 0 = vertical, Math.PI/2 = horizontal
+
+        // Countdown state
+        this.countdownValue = 3;      // Current countdown number (3, 2, 1)
+        this.countdownTimer = 0;      // Time elapsed in current countdown number
+
+        // Falling state
+        this.fallPoint = null;        // Position where car runs out of bridge
+        this.carZOffset = 0;          // Vertical offset when falling (negative = down)
+        this.carFallVelocity = 0;     // Current falling velocity
+        this.carTumbleRotation = 0;   // Rotation angle while tumbling
+        this.tumbleDirection = 1;     // +1 for right, -1 for left (row+ or col-)
+        this.sourceIslandIndex = -1;  // Island where the bridge starts (for rendering)
+        this.targetIslandIndex = -1;  // Island where the bridge ends (for rendering)
+        this.carInFrontOfTarget = true; // Whether falling car renders in front of target island
+        this.bridgeTooShort = false;  // Whether the doomed bridge was too short (vs too long)
+        this.fallTimer = 0;           // Time elapsed since car started falling
+
+        // Timer state
+        this.gameTimer = 0;           // Total time elapsed during gameplay (seconds)
+        this.finishTime = 0;          // Time when player finished (for display)
+
+        // Lives state
+        this.livesLeft = this.lives;  // Respawns still available this run
+        this.livesUsed = 0;
+        this.falls = [];              // Index of the bridge for each life lost, in order
+
+        // Pauses after the countdown (the player could study the course with the clock
+        // stopped, so paused runs are flagged in high scores and replays)
+        this.pauses = 0;
+    }
+
+    /**
+     * Begin the 3-2-1 countdown from the start of the course
+     */
+    startCountdown() {
+        this.reset(GameState.COUNTDOWN);
+    }
+
+    /**
+     * Practice mode: reset with the car waiting at one bridge and the bridges before it built
+     * The attempt then plays out as it would in a run, with the timer starting from 0
+     * @param {number} bridgeIndex - Bridge to practice (index into the level's bridges)
+     */
+    startPractice(bridgeIndex) {
+        this.reset(GameState.DRIVING);
+
+        // Earlier bridges are drawn as built, as evaluateBridgeOutcome() leaves a safe bridge
+        this.bridgeSequence = this.level.getBridgeAnimationData();
+        this.bridges.slice(0, bridgeIndex).forEach((bridge, index) => {
+            this.bridgeSequence[index].targetLength = bridge.calculateRange(this.islands).minSafe + 2 * GameConfig.bridge.baseOffset;
+        });
+
+        // The bridge segment starts at the island edge, facing the gap
+        const segmentIndex = this.pathSegments.findIndex(segment =>
+            segment.type === 'bridge' && segment.bridgeIndex === bridgeIndex
+        );
+        const segment = this.pathSegments[segmentIndex];
+        this.carRow = segment.startRow;
+        this.carCol = segment.startCol;
+        this.carDirection = segment.direction;
+
+        this.currentSegmentIndex = segmentIndex;
+        this.startNextSegment();
+    }
+
+    /**
+     * Advance by real elapsed time, taking as many fixed steps as fit
+     * Leftover time is carried over to the next call
+     * @param {number} elapsed - Seconds since the last call
+     * @param {Object} inputs - { pressed: boolean } button state for this frame
+     * @returns {string[]} SimulationEvents raised by the steps taken
+     */
+    update(elapsed, inputs = {}) {
+        const events = [];
+
+        this.accumulator += Math.min(elapsed, GameConfig.simulation.maxFrameTime);
+        while (this.accumulator >= this.timestep) {
+            this.accumulator -= this.timestep;
+            events.push(...this.step(this.timestep, inputs));
+        }
+
+        return events;
+    }
+
+    /**
+     * Advance the simulation by one fixed step
+     * @param {number} dt - Step length in seconds
+     * @param {Object} inputs - { pressed: boolean } button state for this step
+     * @returns {string[]} SimulationEvents raised during this step
+     */
+    step(dt, inputs = {}) {
+        this.events = [];
+        this.tick++;
+        this.time += dt;
+
+        this.handleInput(!!inputs.pressed);
+
+        if (this.gameState === GameState.START_SCREEN || this.gameState === GameState.FINISH) {
+            // Nothing moves until the run starts, or once it has finished
+            return this.events;
+        }
+
+        if (this.gameState === GameState.GAME_OVER) {
+            // Game over (crashed) - continue falling physics so car disappears off screen
+            this.updateFalling(dt);
+            return this.events;
+        }
+
+        // Handle countdown state
+        if (this.gameState === GameState.COUNTDOWN) {
+            this.countdownTimer += dt;
+
+            // Each number shows for 1 second
+            if (this.countdownTimer >= 1.0) {
+                this.countdownValue--;
+                this.countdownTimer = 0;
+
+                if (this.countdownValue <= 0) {
+                    // Countdown finished - start the game!
+                    this.gameTimer = 0;  // Reset timer when gameplay starts
+                    this.gameState = GameState.DRIVING;
+                    this.events.push(SimulationEvent.START);
+                    this.startNextSegment();
+                } else {
+                    this.events.push(SimulationEvent.COUNTDOWN);
+                }
+            }
+            return this.events;
+        }
+
+        // Update game timer during active gameplay
+        if (this.gameState !== GameState.FALLING) {
+            this.gameTimer += dt;
+        }
+
+        // State machine for coordinating car movement and bridge animations
+        if (this.gameState === GameState.DRIVING) {
+            if (this.moveCarToTarget(dt)) {
+                this.gameState = GameState.SEGMENT_DONE;
+            }
+        } else if (this.gameState === GameState.DOOMED) {
+            // Car drives to fall point (same as DRIVING but transitions to FALLING)
+            if (this.moveCarToTarget(dt)) {
+                this.carRow = this.fallPoint.row;
+                this.carCol = this.fallPoint.col;
+                this.gameState = GameState.FALLING;
+                this.carFallVelocity = 0;
+                this.fallTimer = 0;
+            }
+        } else if (this.gameState === GameState.TURNING) {
+            // Instant turn, advance to next segment
+            this.startNextSegment();
+        } else if (this.gameState === GameState.BRIDGE_GROWING) {
+            // Only grow bridge while the button is held and past the dead zone
+            if (this.buttonHeld && this.time - this.pressStartTime >= GameConfig.bridge.inputDeadZone) {
+                const safeRange = this.getCurrentBridge().calculateRange(this.islands);
+
+                // Maximum bridge length: gap + maxExtension (the profile caps it, but don't slam until released)
+                const maxBridgeLength = safeRange.minSafe + GameConfig.bridge.maxExtension;
+
+                this.bridgeGrowTime += dt;
+                this.bridgeLength = GrowthProfile.forLevel(this.level).lengthAt(this.bridgeGrowTime, maxBridgeLength);
+            }
+            // Bridge stays at current length while waiting for player input
+        } else if (this.gameState === GameState.BRIDGE_SLAMMING) {
+            this.stateProgress += dt;
+            const pos = this.bridgePositions[this.currentSegment.bridgeIndex];
+
+            if (this.stateProgress >= GameConfig.bridge.slamDuration) {
+                // Final rotation depends on bridge direction
+                this.bridgeRotation = pos.isPositive ? (Math.PI / 2) : (-Math.PI / 2);
+
+                // Evaluate bridge outcome
+                this.evaluateBridgeOutcome();
+            } else {
+                const t = this.stateProgress / GameConfig.bridge.slamDuration;
+                // Rotate in opposite direction for negative bridges
+                this.bridgeRotation = pos.isPositive ? (Math.PI / 2) * t : (-Math.PI / 2) * t;
+            }
+        } else if (this.gameState === GameState.FALLING) {
+            this.updateFalling(dt);
+
+            // Track how long car has been falling
+            this.fallTimer += dt;
+
+            // Respawn or show game over screen after 1 second of falling
+            if (this.fallTimer >= 1.0) {
+                if (this.livesLeft > 0 && !this.endless) {
+                    this.respawn();
+                } else {
+                    this.log('Game Over - Car crashed');
+                    this.gameState = GameState.GAME_OVER;
+                    this.events.push(SimulationEvent.GAME_OVER);
+                }
+            }
+        } else if (this.gameState === GameState.SEGMENT_DONE) {
+            // Start next segment
+            this.startNextSegment();
+        }
+
+        return this.events;
+    }
+
+    /**
+     * Turn button state changes into bridge presses and releases
+     * Only a press that starts while a bridge is waiting to grow counts, and a release
+     * inside the dead zone is ignored (accidental tap)
+     * @param {boolean} pressed - Whether the button is down this step
+     */
+    handleInput(pressed) {
+        const justPressed = pressed && !this.inputPressed;
+        const justReleased = !pressed && this.inputPressed;
+        if (justPressed || justReleased) {
+            this.inputLog.push([this.tick, pressed]);
+        }
+        this.inputPressed = pressed;
+
+        if (this.gameState !== GameState.BRIDGE_GROWING) return;
+
+        if (justPressed) {
+            this.buttonHeld = true;
+            this.pressStartTime = this.time;
+            this.log('Button pressed - bridge growing');
+        } else if (justReleased && this.buttonHeld) {
+            this.buttonHeld = false;
+
+            // Check if we're past the input dead zone
+            if (this.time - this.pressStartTime >= GameConfig.bridge.inputDeadZone) {
+                this.slamBridge();
+                this.log('Button released - bridge slamming at length:', this.bridgeLength);
+            } else {
+                this.log('Button released before dead zone - ignored');
+            }
+        }
+    }
+
+    /**
+     * Drive the car toward targetPosition along its current direction
+     * @param {number} dt - Step length in seconds
+     * @returns {boolean} True once the car has reached the target
+     */
+    moveCarToTarget(dt) {
+        const distance = GameConfig.car.speed * dt;
+        const current = this.carDirection === 'column' ? this.carCol : this.carRow;
+
+        // Moving forward (positive direction) or backward (negative direction)
+        let next;
+        let reached;
+        if (this.targetPosition >= current) {
+            next = current + distance;
+            reached = next >= this.targetPosition;
+        } else {
+            next = current - distance;
+            reached = next <= this.targetPosition;
+        }
+        if (reached) {
+            next = this.targetPosition;
+        }
+
+        if (this.carDirection === 'column') {
+            this.carCol = next;
+        } else {
+            this.carRow = next;
+        }
+        return reached;
+    }
+
+    /**
+     * Apply gravity and tumble rotation to a falling car
+     * @param {number} dt - Step length in seconds
+     */
+    updateFalling(dt) {
+        this.carFallVelocity += GameConfig.physics.gravity * dt;
+        this.carZOffset += this.carFallVelocity * dt;
+        this.carTumbleRotation += GameConfig.physics.tumbleRate * this.tumbleDirection * dt;
+    }
+
+    /**
+     * Get the bridge the car is currently building
+     * @returns {Bridge}
+     */
+    getCurrentBridge() {
+        return this.bridges[this.currentSegment.bridgeIndex];
+    }
+
+    /**
+     * Get progress along the course (0 to 1)
+     * @returns {number}
+     */
+    getProgress() {
+        return this.totalPathLength > 0
+            ? this.calculateDistanceTraveled() / this.totalPathLength
+            : 0;
+    }
+
+    /**
+     * Calculate total path length from all drive segments
+     * @returns {number} Total distance the car will travel
+     */
+    calculateTotalPathLength() {
+        let total = 0;
+        for (const segment of this.pathSegments) {
+            if (segment.type === 'drive') {
+                // Calculate distance for this drive segment
+                const rowDist = Math.abs(segment.endRow - segment.startRow);
+                const colDist = Math.abs(segment.endCol - segment.startCol);
+                total += rowDist + colDist; // One will be 0 since we move in one direction
+            }
+        }
+        return total;
+    }
+
+    /**
+     * Calculate distance traveled based on completed segments and current position
+     * @returns {number} Distance traveled so far
+     */
+    calculateDistanceTraveled() {
+        let distance = 0;
+
+        // Add distance from completed segments
+        for (let i = 0; i < this.currentSegmentIndex - 1; i++) {
+            const segment = this.pathSegments[i];
+            if (segment.type === 'drive') {
+                const rowDist = Math.abs(segment.endRow - segment.startRow);
+                const colDist = Math.abs(segment.endCol - segment.startCol);
+                distance += rowDist + colDist;
+            }
+        }
+
+        // Add distance within current segment (if it's a drive segment)
+        if (this.currentSegment && this.currentSegment.type === 'drive') {
+            if (this.currentSegment.direction === 'column') {
+                distance += Math.abs(this.carCol - this.currentSegment.startCol);
+            } else {
+                distance += Math.abs(this.carRow - this.currentSegment.startRow);
+            }
+        }
+
+        return distance;
+    }
+
+    /**
+     * Distance driven in the current endless run, including islands already dropped
+     * @returns {number}
+     */
+    getEndlessDistance() {
+        return this.endlessDistance + this.calculateDistanceTraveled();
+    }
+
+    /**
+     * Start the next path segment
+     */
+    startNextSegment() {
+        // A drive that does not stop for a bridge ends at a junction (or the finish)
+        const nextSegment = this.pathSegments[this.currentSegmentIndex];
+        if (this.currentSegment && this.currentSegment.type === 'drive' && nextSegment && nextSegment.type !== 'bridge') {
+            this.splits.push({ type: 'junction', time: this.gameTimer });
+        }
+
+        // Endless mode: arriving on a new island moves the window of islands along
+        const previousSegment = this.pathSegments[this.currentSegmentIndex - 2];
+        if (this.endless && this.currentSegment && this.currentSegment.type === 'drive' &&
+            previousSegment && previousSegment.type === 'bridge') {
+            this.advanceEndless();
+        }
+
+        // Check if we've completed all segments
+        if (this.currentSegmentIndex >= this.pathSegments.length) {
+            this.finishTime = this.gameTimer;  // Capture final time
+            this.splits.push({ type: 'finish', time: this.finishTime });
+            this.gameState = GameState.FINISH;
+            this.events.push(SimulationEvent.FINISH);
+            return;
+        }
+
+        // Get next segment
+        this.currentSegment = this.pathSegments[this.currentSegmentIndex];
+        this.currentSegmentIndex++;
+
+        this.log('Starting segment', this.currentSegmentIndex - 1, ':', this.currentSegment);
+
+        if (this.currentSegment.type === 'drive') {
+            // Set direction and target position for driving
+            this.carDirection = this.currentSegment.direction;
+
+            if (this.currentSegment.direction === 'column') {
+                this.targetPosition = this.currentSegment.endCol;
+            } else {
+                this.targetPosition = this.currentSegment.endRow;
+            }
+            this.gameState = GameState.DRIVING;
+
+        } else if (this.currentSegment.type === 'bridge') {
+            // Start bridge animation
+            this.bridgeLength = 0;
+            this.bridgeGrowTime = 0;
+            this.bridgeRotation = 0;
+            this.bridgeTicks.push(this.tick);
+            this.splits.push({ type: 'bridge', time: this.gameTimer });
+            this.gameState = GameState.BRIDGE_GROWING;
+
+        } else if (this.currentSegment.type === 'turn') {
+            // Change direction and continue to next segment
+            this.carDirection = this.currentSegment.toDirection;
+            this.gameState = GameState.TURNING;
+        }
+    }
+
+    /**
+     * Endless mode: score the bridge just crossed, then generate islands ahead, drop
+     * islands behind and carry on from the same place in the new window
+     */
+    advanceEndless() {
+        const crossedBridge = this.pathSegments[this.currentSegmentIndex - 2].bridgeIndex;
+        const distance = this.calculateDistanceTraveled();
+
+        // Remember laid bridges by the run number of the island they lead to
+        const laidLengths = new Map();
+        let firstIsland = this.endless.getFirstIslandNumber();
+        this.bridges.forEach((bridge, index) => {
+            if (index <= crossedBridge) {
+                laidLengths.set(firstIsland + bridge.endIsland, this.bridgeSequence[index].targetLength);
+            }
+        });
+
+        this.bridgesCrossed++;
+        this.endless.advance();
+        this.setLevel(this.endless.getLevel());
+
+        firstIsland = this.endless.getFirstIslandNumber();
+        const bridges = this.bridges;
+        bridges.forEach((bridge, index) => {
+            const laidLength = laidLengths.get(firstIsland + bridge.endIsland);
+            if (laidLength !== undefined) {
+                this.bridgeSequence[index].targetLength = laidLength;
+            }
+        });
+
+        // Point at the drive off the bridge onto the island the car is on
+        const arrivalBridge = bridges.findIndex(bridge =>
+            firstIsland + bridge.endIsland === this.endless.currentIsland
+        );
+        const bridgeSegmentIndex = this.pathSegments.findIndex(segment =>
+            segment.type === 'bridge' && segment.bridgeIndex === arrivalBridge
+        );
+        this.currentSegment = this.pathSegments[bridgeSegmentIndex + 1];
+        this.currentSegmentIndex = bridgeSegmentIndex + 2;
+
+        // Distance is measured along the window, so carry over what was dropped
+        this.endlessDistance += distance - this.calculateDistanceTraveled();
+    }
+
+    /**
+     * Called when the player releases the button - slam bridge and apply forgiveness if needed
+     */
+    slamBridge() {
+        const bridgeIndex = this.currentSegment.bridgeIndex;
+        const currentBridge = this.bridges[bridgeIndex];
+        const safeRange = currentBridge.calculateRange(this.islands);
+
+        // Apply forgiveness for slightly short bridges BEFORE slam animation
+        const leeway = GameConfig.bridge.leeway;
+        const releaseLength = this.bridgeLength;
+        const leewayApplied = releaseLength >= safeRange.minSafe - leeway && releaseLength < safeRange.minSafe;
+
+        if (leewayApplied) {
+            this.log('Bridge slightly short - applying forgiveness (extending to minimum)');
+            this.bridgeLength = safeRange.minSafe;
+        }
+
+        // Record the release for the run breakdown - overshoot is only measured on straight
+        // bridges, where any extra length just cost time holding the button
+        const isTurn = currentBridge.junctionType === JunctionType.TURN;
+        this.bridgeResults.push({
+            holdTime: this.time - this.pressStartTime,
+            releaseLength: releaseLength,
+            minSafe: safeRange.minSafe,
+            maxSafe: safeRange.maxSafe,
+            isTurn: isTurn,
+            leeway: leewayApplied,
+            overshoot: isTurn ? null : Math.max(0, releaseLength - safeRange.minSafe)
+        });
+
+        // Note: targetLength is set in evaluateBridgeOutcome() after slam completes
+
+        // Start slam animation
+        this.gameState = GameState.BRIDGE_SLAMMING;
+        this.stateProgress = 0;
+    }
+
+    /**
+     * Evaluate bridge outcome after slam completes
+     * Determines if bridge is safe, too short (with/without leeway), or too long
+     */
+    evaluateBridgeOutcome() {
+        const bridgeIndex = this.currentSegment.bridgeIndex;
+        const currentBridge = this.bridges[bridgeIndex];
+        const safeRange = currentBridge.calculateRange(this.islands);
+
+        // Note: Forgiveness is already applied during BRIDGE_GROWING state
+        // Check if bridge is too short
+        if (this.bridgeLength < safeRange.minSafe) {
+            // Bridge is too short - car is doomed
+            this.log('Bridge too short! Length:', this.bridgeLength, 'Min:', safeRange.minSafe);
+
+            // Calculate fall point: bridge start + bridge length + leeway
+            const pos = this.bridgePositions[bridgeIndex];
+            const sign = pos.isPositive ? 1 : -1;
+            const fallDistance = this.bridgeLength + GameConfig.bridge.leeway;
+
+            if (pos.direction === 'column') {
+                const bridgeStart = pos.edgeCol;
+                this.fallPoint = { row: pos.baseRow, col: bridgeStart + (sign * fallDistance) };
+                this.targetPosition = this.fallPoint.col;
+            } else {
+                const bridgeStart = pos.edgeRow;
+                this.fallPoint = { row: bridgeStart + (sign * fallDistance), col: pos.baseCol };
+                this.targetPosition = this.fallPoint.row;
+            }
+
+            this.sourceIslandIndex = currentBridge.startIsland;
+            this.targetIslandIndex = currentBridge.endIsland;
+            this.carInFrontOfTarget = pos.isPositive;
+            this.bridgeTooShort = true;
+            // Tumble direction: -1 when travelling left (row+ or col-)
+            const travellingLeft = (pos.direction === 'row' && sign > 0) || (pos.direction === 'column' && sign < 0);
+            this.tumbleDirection = travellingLeft ? -1 : 1;
+            // Set rendered length: actual length + baseOffset (only at start)
+            this.bridgeSequence[bridgeIndex].targetLength = this.bridgeLength + GameConfig.bridge.baseOffset;
+            this.gameState = GameState.DOOMED;
+
+        } else if (this.bridgeLength <= safeRange.maxSafe) {
+            // Bridge is safe - continue normal gameplay
+            this.log('Bridge safe! Length:', this.bridgeLength, 'Range:', safeRange.minSafe, '-', safeRange.maxSafe);
+            // Set rendered length: gap + baseOffset at each end (covers edge lines)
+            this.bridgeSequence[bridgeIndex].targetLength = safeRange.minSafe + 2 * GameConfig.bridge.baseOffset;
+            this.startNextSegment();
+
+        } else {
+            // Bridge is too long
+            this.log('Bridge too long. Junction type:', currentBridge.junctionType);
+            // Check if this causes the car to miss a turn
+            if (currentBridge.junctionType === null || currentBridge.junctionType !== 'turn') {
+                // No turn to miss - car continues safely (just costs time)
+                this.log('Bridge too long but no turn to miss - safe');
+                // Set rendered length: gap + baseOffset at each end (covers edge lines)
+                this.bridgeSequence[bridgeIndex].targetLength = safeRange.minSafe + 2 * GameConfig.bridge.baseOffset;
+                this.startNextSegment();
+            } else {
+                // Turn junction - check if car misses the turn
+                // Note: maxSafe already includes 0.5 extension past junction for turns
+                const overshoot = this.bridgeLength - safeRange.maxSafe;
+                this.log('Turn junction: bridgeLength =', this.bridgeLength, 'maxSafe =', safeRange.maxSafe, 'overshoot =', overshoot);
+
+                if (overshoot > 0) {
+                    // Car misses the turn, drives off opposite edge
+                    this.log('Bridge too long! Car misses turn. Length:', this.bridgeLength, 'Max safe:', safeRange.maxSafe);
+
+                    const pos = this.bridgePositions[bridgeIndex];
+                    const sign = pos.isPositive ? 1 : -1;
+                    const targetIsland = this.islands[currentBridge.endIsland];
+                    const [islandRow, islandCol, islandWidth, islandHeight] = targetIsland;
+
+                    // Calculate opposite edge and fall point
+                    // Entry edge is where minSafe reaches (edge of island)
+                    // Opposite edge is entry edge + island dimension in travel direction
+                    if (pos.direction === 'column') {
+                        // Entry edge is where the bridge reaches
+                        const entryEdge = sign > 0 ? islandCol : (islandCol + islandWidth);
+                        const oppositeEdge = sign > 0 ? (islandCol + islandWidth) : islandCol;
+                        const fallCol = oppositeEdge + (sign * GameConfig.bridge.leeway);
+                        this.fallPoint = { row: pos.baseRow, col: fallCol };
+                        this.targetPosition = this.fallPoint.col;
+                    } else {
+                        const entryEdge = sign > 0 ? islandRow : (islandRow + islandHeight);
+                        const oppositeEdge = sign > 0 ? (islandRow + islandHeight) : islandRow;
+                        const fallRow = oppositeEdge + (sign * GameConfig.bridge.leeway);
+                        this.fallPoint = { row: fallRow, col: pos.baseCol };
+                        this.targetPosition = this.fallPoint.row;
+                    }
+
+                    this.sourceIslandIndex = currentBridge.startIsland;
+                    this.targetIslandIndex = currentBridge.endIsland;
+                    // Car falls off far side of target island, so it's behind the target
+                    this.carInFrontOfTarget = !pos.isPositive;
+                    this.bridgeTooShort = false;
+                    // Tumble direction: -1 when travelling left (row+ or col-)
+                    const travellingLeft = (pos.direction === 'row' && sign > 0) || (pos.direction === 'column' && sign < 0);
+                    this.tumbleDirection = travellingLeft ? -1 : 1;
+                    // Set rendered length: actual length + baseOffset (only at start)
+                    this.bridgeSequence[bridgeIndex].targetLength = this.bridgeLength + GameConfig.bridge.baseOffset;
+                    this.gameState = GameState.DOOMED;
+                } else {
+                    // Bridge extends past junction but not enough to miss turn
+                    this.log('Bridge slightly too long but car makes the turn');
+                    // Set rendered length: gap + baseOffset at each end (covers edge lines)
+                    this.bridgeSequence[bridgeIndex].targetLength = safeRange.minSafe + 2 * GameConfig.bridge.baseOffset;
+                    this.startNextSegment();
+                }
+            }
+        }
+    }
+
+    /**
+     * Lives mode: spend a life and put the car back at the edge of the island it fell
+     * from, waiting to build the same bridge again, with the time penalty on the timer
+     * The failed attempt's bridgeResults entry is dropped so there is one per bridge
+     */
+    respawn() {
+        const bridgeIndex = this.currentSegment.bridgeIndex;
+        this.log('Lost a life at bridge', bridgeIndex, '- respawning');
+
+        this.livesLeft--;
+        this.livesUsed++;
+        this.falls.push(bridgeIndex);
+        this.gameTimer += GameConfig.lives.timePenalty;
+        this.bridgeResults.pop();
+
+        // The bridge segment starts at the island edge, facing the gap
+        this.carRow = this.currentSegment.startRow;
+        this.carCol = this.currentSegment.startCol;
+        this.carDirection = this.currentSegment.direction;
+        this.carZOffset = 0;
+        this.carFallVelocity = 0;
+        this.carTumbleRotation = 0;
+        this.tumbleDirection = 1;
+        this.carInFrontOfTarget = true;
+        this.fallPoint = null;
+        this.fallTimer = 0;
+        this.sourceIslandIndex = -1;
+        this.targetIslandIndex = -1;
+        this.bridgeTooShort = false;
+
+        // Take the failed bridge away
+        this.bridgeLength = 0;
+        this.bridgeGrowTime = 0;
+        this.bridgeRotation = 0;
+        this.bridgeSequence[bridgeIndex] = this.level.getBridgeAnimationData()[bridgeIndex];
+        this.buttonHeld = false;
+
+        this.gameState = GameState.BRIDGE_GROWING;
+        this.stateProgress = 0;
+        this.events.push(SimulationEvent.RESPAWN);
+    }
+
+    /**
+     * Log to the console unless logging is turned off
+     * @param {...*} args - Values to log
+     */
+    log(...args) {
+        if (this.logging) {
+            console.log(...args);
+        }
+    }
+}
@@ -0,0 +1,127 @@
+// Course solver - the ideal way through a level, and how hard it is to play
+
+/**
+ * Works out how every bridge of a level should be built, from the same rules the
+ * simulation plays by
+ *
+ * A bridge starts growing inputDeadZone seconds after the press, following the level's
+ * GrowthProfile up to minSafe + maxExtension. A release is safe from minSafe - leeway
+ * (leeway extends it to minSafe) up to maxSafe on an immediate corner; on any other
+ * bridge every length from there on is safe, so with a profile that only grows its
+ * window closes when the bridge stops growing - holding longer only costs time. An
+ * oscillating bridge shrinks again, so its window closes once it is back below
+ * minSafe - leeway.
+ *
+ * Times are continuous: a real run lands on simulation steps, so it can be up to a
+ * step or two slower per segment than bestTime.
+ */
+class CourseSolver {
+    /**
+     * Solve a level
+     * @param {Level} level - The level to solve
+     * @returns {Object} {bridges, driveDistance, driveTime, bestTime, difficulty}
+     *   bridges: one entry per bridge from getBridges() (see solveBridge())
+     *   driveDistance: units driven from start to finish
+     *   driveTime: seconds spent driving at car.speed
+     *   bestTime: fastest possible finish time (seconds) - pressing as each bridge is
+     *     reached and releasing at the earliest safe moment
+     *   difficulty: see rate()
+     */
+    static solve(level) {
+        const profile = GrowthProfile.forLevel(level);
+        const bridges = level.getBridges().map(bridge => CourseSolver.solveBridge(bridge, level.islands, profile));
+
+        const segments = level.course.getPathSegments(level.islands);
+        const driveDistance = segments
+            .filter(segment => segment.type === 'drive')
+            .reduce((total, segment) =>
+                total + Math.abs(segment.endRow - segment.startRow) + Math.abs(segment.endCol - segment.startCol), 0);
+        const driveTime = driveDistance / GameConfig.car.speed;
+
+        const bridgeTime = bridges.reduce((total, bridge) => total + bridge.holdTime + GameConfig.bridge.slamDuration, 0);
+
+        return {
+            bridges,
+            driveDistance,
+            driveTime,
+            bestTime: driveTime + bridgeTime,
+            difficulty: CourseSolver.rate(bridges)
+        };
+    }
+
+    /**
+     * Work out the hold times that build a bridge safely
+     * @param {Bridge} bridge - Bridge from Level.getBridges()
+     * @param {Array} islands - Island data [row, col, width, height]
+     * @param {GrowthProfile} profile - How the bridge grows (defaults to the difficulty's profile)
+     * @returns {Object} {minSafe, maxSafe, immediateCorner, holdTime, latestHoldTime, windowMs, overholdSafe}
+     *   holdTime: earliest safe release (seconds after the press) - the optimal hold
+     *   latestHoldTime: latest safe release in the first safe window
+     *   windowMs: milliseconds between the two
+     *   overholdSafe: whether releasing after the bridge stops growing is still safe
+     */
+    static solveBridge(bridge, islands, profile = GrowthProfile.forLevel(null)) {
+        const { inputDeadZone, leeway, maxExtension } = GameConfig.bridge;
+        const range = bridge.calculateRange(islands);
+
+        const fullLength = range.minSafe + maxExtension;
+        const isTurn = bridge.junctionType === JunctionType.TURN;
+
+        const shortest = Math.max(0, range.minSafe - leeway);
+        const window = profile.getSafeWindow(shortest, isTurn ? range.maxSafe : Infinity, fullLength);
+        const overholdSafe = window.overholdSafe;
+
+        const holdTime = inputDeadZone + window.start;
+        const latestHoldTime = inputDeadZone + window.end;
+
+        return {
+            minSafe: range.minSafe,
+            maxSafe: range.maxSafe,
+            immediateCorner: range.immediateCorner,
+            holdTime,
+            latestHoldTime,
+            windowMs: (latestHoldTime - holdTime) * 1000,
+            overholdSafe
+        };
+    }
+
+    /**
+     * Rate how hard a set of bridges is to build
+     *
+     * Timing errors grow with the length of the hold, so each bridge scores the hold
+     * time to its window's centre divided by the window's width; the level's score is
+     * the sum, so longer courses score higher. The score maps to a 1-5 rating through
+     * GameConfig.solver.ratingThresholds.
+     *
+     * @param {Array} bridges - Solved bridges from solveBridge()
+     * @returns {Object} {narrowestWindowMs, averageWindowMs, immediateCorners, score, rating}
+     */
+    static rate(bridges) {
+        if (bridges.length === 0) {
+            return { narrowestWindowMs: null, averageWindowMs: null, immediateCorners: 0, score: 0, rating: 1 };
+        }
+
+        const windows = bridges.map(bridge => bridge.windowMs);
+        const score = bridges.reduce((total, bridge) => {
+            const centre = (bridge.holdTime + bridge.latestHoldTime) / 2;
+            return total + centre / (bridge.windowMs / 1000);
+        }, 0);
+
+        return {
+            narrowestWindowMs: Math.min(...windows),
+            averageWindowMs: windows.reduce((total, window) => total + window, 0) / windows.length,
+            immediateCorners: bridges.filter(bridge => bridge.immediateCorner).length,
+            score,
+            rating: CourseSolver.getRating(score)
+        };
+    }
+
+    /**
+     * Turn a difficulty score into a rating
+     * @param {number} score - Score from rate()
+     * @returns {number} 1 (easiest) to 5 (hardest)
+     */
+    static getRating(score) {
+        return 1 + GameConfig.solver.ratingThresholds.filter(threshold => score >= threshold).length;
+    }
+}
@@ -14,15 +14,152 @@ class UIManager {
         this.instructions = this.overlay?.querySelector('.instructions');
         this.prompt = this.overlay?.querySelector('.start-prompt');
         this.instructionGrow = this.overlay?.querySelector('.instruction-grow');
+        this.levelName = this.overlay?.querySelector('.level-name');
+        this.levelErrors = this.overlay?.querySelector('.level-errors');
+        this.levelError = null;       // LevelLoadError shown on the start screen, if any
+        this.menuButtons = this.overlay?.querySelector('.menu-buttons');
         this.fullscreenBtn = document.getElementById('fullscreenBtn');
+        this.muteBtn = document.getElementById('muteBtn');
         this.backBtn = document.getElementById('backBtn');
+        this.levelsBtn = document.getElementById('levelsBtn');
+        this.nextLevelBtn = document.getElementById('nextLevelBtn');
+        this.endlessBtn = document.getElementById('endlessBtn');
+        this.difficultyBtn = document.getElementById('difficultyBtn');
+        this.livesBtn = document.getElementById('livesBtn');
+        this.settingsBtn = document.getElementById('settingsBtn');
+        this.playerBtn = document.getElementById('playerBtn');
+        this.practiceBtn = document.getElementById('practiceBtn');
+        this.fixedLevel = false;      // Whether a fixed level is loaded - lives and practice are not offered in endless mode
+        this.editorBtn = document.getElementById('editorBtn');
+        this.replayBtn = document.getElementById('replayBtn');
+
+        // Replay playback controls
+        this.replayControls = document.getElementById('replayControls');
+        this.replayPrevBtn = document.getElementById('replayPrevBtn');
+        this.replayPauseBtn = document.getElementById('replayPauseBtn');
+        this.replayNextBtn = document.getElementById('replayNextBtn');
+        this.replaySpeedBtn = document.getElementById('replaySpeedBtn');
+        this.replayExitBtn = document.getElementById('replayExitBtn');
+        this.replayStatus = this.replayControls?.querySelector('.replay-status');
+
+        // Level select overlay
+        this.levelSelect = document.getElementById('levelSelect');
+        this.levelList = this.levelSelect?.querySelector('.level-list');
+        this.levelSelectCloseBtn = document.getElementById('levelSelectCloseBtn');
+
+        // Practice bridge select overlay and practice controls
+        this.practiceSelect = document.getElementById('practiceSelect');
+        this.practiceList = this.practiceSelect?.querySelector('.practice-list');
+        this.practiceSelectCloseBtn = document.getElementById('practiceSelectCloseBtn');
+        this.practiceControls = document.getElementById('practiceControls');
+        this.practiceTitle = this.practiceControls?.querySelector('.practice-title');
+        this.practiceResult = this.practiceControls?.querySelector('.practice-result');
+        this.practiceStats = this.practiceControls?.querySelector('.practice-stats');
+        this.practiceBridgesBtn = document.getElementById('practiceBridgesBtn');
+        this.practiceExitBtn = document.getElementById('practiceExitBtn');
+
+        // Pause button and pause menu
+        this.pauseBtn = document.getElementById('pauseBtn');
+        this.pauseMenu = document.getElementById('pauseMenu');
+        this.resumeBtn = document.getElementById('resumeBtn');
+        this.pauseRestartBtn = document.getElementById('pauseRestartBtn');
+        this.pauseSettingsBtn = document.getElementById('pauseSettingsBtn');
+        this.pauseQuitBtn = document.getElementById('pauseQuitBtn');
+
+        // Settings overlay - one button per setting, each moving it on to its next value
+        this.settingsMenu = document.getElementById('settingsMenu');
+        this.settingsCloseBtn = document.getElementById('settingsCloseBtn');
+        this.settingButtons = {};
+        ['volume', 'sfxVolume', 'sound', 'difficulty', 'theme', 'minimap', 'reducedMotion', 'leftHanded', 'timingFeedback',
+            'showGrid', 'showIslandNumbers', 'showBridgeZones'].forEach(name => {
+            this.settingButtons[name] = document.getElementById(`${name}Setting`);
+        });
+
+        // Players overlay - pick who is playing, add a player or rename the current one
+        this.playerMenu = document.getElementById('playerMenu');
+        this.playerList = this.playerMenu?.querySelector('.player-list');
+        this.playerNameInput = document.getElementById('playerNameInput');
+        this.newPlayerBtn = document.getElementById('newPlayerBtn');
+        this.renamePlayerBtn = document.getElementById('renamePlayerBtn');
+        this.exportPlayerBtn = document.getElementById('exportPlayerBtn');
+        this.importPlayerBtn = document.getElementById('importPlayerBtn');
+        this.importPlayerFile = document.getElementById('importPlayerFile');
+        this.playerStatus = this.playerMenu?.querySelector('.player-status');
+        this.playerMenuCloseBtn = document.getElementById('playerMenuCloseBtn');
+
+        // High score tables show everyone's entries, or only this player's (see setLeaderboardView())
+        this.leaderboardPlayer = null;
+        this.leaderboardOnline = false;
+        this.runPaused = false;       // The run on the end screen was paused, so it is not ranked (see setRunPaused())
 
         // Callback for when back button is pressed
         this.onBackPressed = null;
 
+        // Callback for when the mute button is pressed
+        this.onMutePressed = null;
+
         // Callback for when clear scores button is pressed
         this.onClearScores = null;
 
+        // Callback for when the high score table's personal best / all players button is pressed
+        this.onLeaderboardViewToggled = null;
+
+        // Callbacks for the player button, picking a player (receives the profile ID), and adding
+        // or renaming a player (receive the name typed)
+        this.onPlayersPressed = null;
+        this.onPlayerSelected = null;
+        this.onPlayerCreated = null;
+        this.onPlayerRenamed = null;
+
+        // Callbacks for exporting the current player's scores, and importing a score file (receives its text and name)
+        this.onPlayerExport = null;
+        this.onPlayerImport = null;
+
+        // Callback for when a level is picked on the level select screen (receives campaign index)
+        this.onLevelSelected = null;
+
+        // Callback for when the levels button is pressed
+        this.onLevelsPressed = null;
+
+        // Callback for when the next level button is pressed
+        this.onNextLevel = null;
+
+        // Callback for when the endless mode button is pressed
+        this.onEndlessPressed = null;
+
+        // Callback for when the difficulty button is pressed
+        this.onDifficultyPressed = null;
+
+        // Callback for when the lives mode button is pressed
+        this.onLivesPressed = null;
+
+        // Callbacks for the settings button (start screen and pause menu) and each setting's button (receives its name)
+        this.onSettingsPressed = null;
+        this.onSettingChanged = null;
+
+        // Callbacks for the practice button, picking a bridge (receives its index) and the practice controls
+        this.onPracticePressed = null;
+        this.onPracticeBridgeSelected = null;
+        this.onPracticeBridges = null;
+        this.onPracticeExit = null;
+
+        // Callback for when the level editor button is pressed
+        this.onEditorPressed = null;
+
+        // Callbacks for the watch replay button and the replay playback controls
+        this.onReplayPressed = null;
+        this.onReplayPause = null;
+        this.onReplaySpeed = null;
+        this.onReplayPrevious = null;
+        this.onReplayNext = null;
+        this.onReplayExit = null;
+
+        // Callbacks for the pause button and the pause menu
+        this.onPausePressed = null;
+        this.onResume = null;
+        this.onPauseRestart = null;
+        this.onPauseQuit = null;
+
         // Set initial text based on input device
         this.updateTextForDevice();
 
@@ -32,7 +169,14 @@ class UIManager {
 
         // Set up buttons
         this.setupFullscreenButton();
+        this.setupMuteButton();
         this.setupBackButton();
+        this.setupLevelButtons();
+        this.setupReplayButtons();
+        this.setupPracticeButtons();
+        this.setupPauseButtons();
+        this.setupSettingsButtons();
+        this.setupPlayerButtons();
     }
 
     /**
@@ -56,7 +200,115 @@ class UIManager {
     getPlayAgainText() {
         return this.isTouchDevice
             ? 'Tap the screen to play again'
-            : 'Press the mouse button to play again';
+            : 'Click or press Enter to play again';
+    }
+
+    /**
+     * Show the name of the level being played
+     * @param {string} name - Level title, e.g. "Level 2: Switchbacks"
+     */
+    setLevelName(name) {
+        if (this.levelName) {
+            this.levelName.textContent = name;
+        }
+    }
+
+    /**
+     * Show why a shared level could not be played, on the start screen
+     * @param {LevelLoadError|null} error - The problem, or null to remove the message
+     */
+    showLevelErrors(error) {
+        this.levelError = error;
+        if (!this.levelErrors) return;
+
+        // Built with textContent - the messages can include the level's name from the link
+        this.levelErrors.innerHTML = '';
+        if (error) {
+            const title = document.createElement('p');
+            title.className = 'level-errors-title';
+            title.textContent = 'This level link cannot be played';
+            this.levelErrors.appendChild(title);
+
+            const list = document.createElement('ul');
+            const messages = error.errors.length > 0 ? error.errors.map(e => e.toString()) : [error.message];
+            messages.forEach(message => {
+                const item = document.createElement('li');
+                item.textContent = message;
+                list.appendChild(item);
+            });
+            this.levelErrors.appendChild(list);
+        }
+        this.levelErrors.style.display = error ? 'block' : 'none';
+    }
+
+    /**
+     * Show the menu buttons below the instructions
+     * @param {boolean} showNextLevel - Whether the next level button is available
+     * @param {boolean} showReplay - Whether the watch replay button is available
+     * @param {boolean} showStartOptions - Whether to offer the player, difficulty, lives mode, settings and practice buttons (start screen only)
+     */
+    showMenuButtons(showNextLevel = false, showReplay = false, showStartOptions = false) {
+        if (this.levelName) this.levelName.style.display = 'block';
+        if (this.menuButtons) this.menuButtons.style.display = 'flex';
+        if (this.nextLevelBtn) this.nextLevelBtn.classList.toggle('hidden', !showNextLevel);
+        if (this.replayBtn) this.replayBtn.classList.toggle('hidden', !showReplay);
+        if (this.difficultyBtn) this.difficultyBtn.classList.toggle('hidden', !showStartOptions);
+        if (this.livesBtn) this.livesBtn.classList.toggle('hidden', !(showStartOptions && this.fixedLevel));
+        if (this.settingsBtn) this.settingsBtn.classList.toggle('hidden', !showStartOptions);
+        if (this.playerBtn) this.playerBtn.classList.toggle('hidden', !showStartOptions);
+        if (this.practiceBtn) this.practiceBtn.classList.toggle('hidden', !(showStartOptions && this.fixedLevel));
+    }
+
+    /**
+     * Set whether a fixed level is loaded, which can be played with lives or practiced
+     * @param {boolean} fixedLevel - False in endless mode
+     */
+    setFixedLevel(fixedLevel) {
+        this.fixedLevel = fixedLevel;
+    }
+
+    /**
+     * Show the difficulty in effect
+     * @param {string} name - Display name of the difficulty preset
+     */
+    setDifficulty(name) {
+        if (!this.difficultyBtn) return;
+
+        this.difficultyBtn.textContent = `Difficulty: ${name}`;
+    }
+
+    /**
+     * Show who is playing on the player button
+     * @param {Object} profile - The current ProfileManager profile
+     */
+    setPlayer(profile) {
+        if (!this.playerBtn) return;
+
+        const avatar = document.createElement('span');
+        avatar.className = 'avatar';
+        this.setAvatarColor(avatar, profile.color);
+        this.playerBtn.textContent = 'Player: ';
+        this.playerBtn.appendChild(avatar);
+        this.playerBtn.appendChild(document.createTextNode(profile.name));
+    }
+
+    /**
+     * Show whether lives mode is on
+     * @param {boolean} enabled - Whether lives mode is on
+     */
+    setLivesMode(enabled) {
+        if (!this.livesBtn) return;
+
+        this.livesBtn.textContent = enabled ? `Lives: ${GameConfig.lives.count}` : 'Lives: Off';
+        this.livesBtn.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+    }
+
+    /**
+     * Hide the menu buttons (during countdown)
+     */
+    hideMenuButtons() {
+        if (this.levelName) this.levelName.style.display = 'none';
+        if (this.menuButtons) this.menuButtons.style.display = 'none';
     }
 
     /**
@@ -68,6 +320,8 @@ class UIManager {
         this.overlay.style.display = 'flex';
         this.title.textContent = 'MOUNTAIN HIGHWAY';
         this.title.classList.remove('countdown');
+        this.showMenuButtons(false, false, true);
+        if (this.levelErrors) this.levelErrors.style.display = this.levelError ? 'block' : 'none';
 
         // Restore original instructions and prompt
         this.instructions.innerHTML = this.originalInstructionsHTML;
@@ -86,6 +340,9 @@ class UIManager {
         this.overlay.style.display = 'flex';
         this.title.textContent = value.toString();
         this.title.classList.add('countdown');
+        this.hideMenuButtons();
+        this.clearFocus();
+        if (this.levelErrors) this.levelErrors.style.display = 'none';
         this.instructions.style.display = 'none';
         this.prompt.style.display = 'none';
     }
@@ -102,17 +359,31 @@ class UIManager {
     /**
      * Show the finish screen when player completes the course
      * @param {number} finishTime - The time in seconds
-     * @param {number|null} rank - The player's rank (1-3) if they made the high score list, null otherwise
-     * @param {number[]} highScores - Array of high scores to display
+     * @param {number|null} rank - The player's rank if they made the high score list, null otherwise
+     * @param {Array} highScores - { rank, entry } rows of the high score table to display
+     * @param {boolean} hasNextLevel - Whether to offer the next level button
+     * @param {boolean} hasReplay - Whether to offer the watch replay button
+     * @param {Object|null} breakdown - { splits, bridgeResults, bestSplits, lives } for the run breakdown table
+     *   lives: { count, falls } in lives mode (falls: bridge index of each life lost), otherwise null
      */
-    showFinishScreen(finishTime, rank = null, highScores = []) {
+    showFinishScreen(finishTime, rank = null, highScores = [], hasNextLevel = false, hasReplay = false, breakdown = null) {
         if (!this.overlay) return;
 
         this.overlay.style.display = 'flex';
         this.title.textContent = 'YOU MADE IT!';
         this.title.classList.remove('countdown');
+        this.showMenuButtons(hasNextLevel, hasReplay);
 
-        this.instructions.innerHTML = this.formatHighScoreTable(highScores, rank, finishTime);
+        let html = '';
+        if (breakdown && breakdown.lives) {
+            html += this.formatLivesResult(breakdown.lives.count, breakdown.lives.falls);
+        }
+        html += this.formatHighScoreTable(highScores, rank, finishTime);
+        if (breakdown) {
+            const falls = breakdown.lives ? breakdown.lives.falls : [];
+            html += this.formatBreakdownTable(breakdown.splits, breakdown.bridgeResults, breakdown.bestSplits, falls);
+        }
+        this.instructions.innerHTML = html;
         this.instructions.style.display = 'block';
         this.prompt.textContent = this.getPlayAgainText();
         this.prompt.style.display = 'block';
@@ -120,17 +391,20 @@ class UIManager {
 
     /**
      * Show the game over screen when player crashes
-     * @param {number[]} highScores - Array of high scores to display
+     * @param {Array} highScores - { rank, entry } rows of the high score table to display
+     * @param {boolean} hasReplay - Whether to offer the watch replay button
      */
-    showGameOverScreen(highScores = []) {
+    showGameOverScreen(highScores = [], hasReplay = false) {
         if (!this.overlay) return;
 
         this.overlay.style.display = 'flex';
         this.title.textContent = 'YOU CRASHED!';
         this.title.classList.remove('countdown');
+        this.showMenuButtons(false, hasReplay);
 
-        if (highScores.length > 0) {
-            this.instructions.innerHTML = this.formatHighScoreTable(highScores);
+        const table = this.formatHighScoreTable(highScores);
+        if (table) {
+            this.instructions.innerHTML = table;
             this.instructions.style.display = 'block';
         } else {
             this.instructions.style.display = 'none';
@@ -141,49 +415,292 @@ class UIManager {
     }
 
     /**
-     * Format the high score table as HTML
-     * @param {number[]} scores - Array of high scores
+     * Show the game over screen at the end of an endless run
+     * @param {number} bridgesCrossed - The run's score
+     * @param {number} distance - Distance driven (units)
+     * @param {number|null} rank - The player's rank if they made the high score list, null otherwise
+     * @param {Array} highScores - { rank, entry } rows of the high score table to display
+     * @param {boolean} hasReplay - Whether to offer the watch replay button
+     */
+    showEndlessGameOverScreen(bridgesCrossed, distance, rank = null, highScores = [], hasReplay = false) {
+        if (!this.overlay) return;
+
+        this.overlay.style.display = 'flex';
+        this.title.textContent = 'YOU CRASHED!';
+        this.title.classList.remove('countdown');
+        this.showMenuButtons(false, hasReplay);
+
+        const bridgeText = bridgesCrossed === 1 ? 'bridge' : 'bridges';
+        let html = `<p class="endless-result">${bridgesCrossed} ${bridgeText} · ${Math.floor(distance)}m</p>`;
+        html += this.formatHighScoreTable(highScores, rank, bridgesCrossed, 'Most Bridges',
+            entry => `${HighScoreManager.getValue(entry)}${this.formatPausedFlag(entry)}`);
+        this.instructions.innerHTML = html;
+        this.instructions.style.display = 'block';
+
+        this.prompt.textContent = this.getPlayAgainText();
+        this.prompt.style.display = 'block';
+    }
+
+    /**
+     * Format how many lives a lives mode run used and the time they cost
+     * @param {number} count - Lives the run started with
+     * @param {number[]} falls - Bridge index of each life lost
+     * @returns {string} HTML string for the lives line
+     */
+    formatLivesResult(count, falls) {
+        if (falls.length === 0) {
+            return `<p class="lives-result">No lives lost (${count} spare)</p>`;
+        }
+        const livesText = count === 1 ? 'life' : 'lives';
+        const penalty = falls.length * GameConfig.lives.timePenalty;
+        return `<p class="lives-result">${falls.length} of ${count} ${livesText} lost · +${penalty}s penalty</p>`;
+    }
+
+    /**
+     * Format a best time for the high score table
+     * @param {number|Object} entry - Time in seconds, or an entry from HighScoreManager.getScores() (see livesUsed and paused)
+     * @returns {string} HTML string for the time
+     */
+    formatTime(entry) {
+        let text = `${HighScoreManager.getValue(entry).toFixed(1)}s`;
+        if (typeof entry === 'object' && entry.livesUsed > 0) {
+            text += ` <span class="lives-used">-${entry.livesUsed}\u2665</span>`;
+        }
+        return text + this.formatPausedFlag(entry);
+    }
+
+    /**
+     * Flag a high score from a run that was paused, when the course could be studied with the clock stopped
+     * @param {number|Object} entry - Entry from HighScoreManager.getScores(), or the player's score
+     * @returns {string} HTML string ('' if the run was not paused)
+     */
+    formatPausedFlag(entry) {
+        return typeof entry === 'object' && entry.paused
+            ? ' <span class="paused-run" title="Paused during the run">\u23F8</span>'
+            : '';
+    }
+
+    /**
+     * Format the high score table as HTML, one row per entry with who set it
+     * In the personal best view (see setLeaderboardView()) only the current player's entries are
+     * passed in, still with their ranks in the whole table. Online tables may skip down to the
+     * player's rank; a gap row marks where.
+     * @param {Array} rows - { rank, entry } rows from HighScoreManager.getRankedScores()
      * @param {number|null} highlightRank - Rank to highlight (1-indexed), or null
      * @param {number|null} playerTime - Player's time if they didn't make the list
-     * @returns {string} HTML string for the high score table
+     * @param {string} title - Heading above the table
+     * @param {Function} formatScore - Formats a score for display (defaults to formatTime())
+     * @returns {string} HTML string for the high score table ('' if the whole table is empty and there is no time to show)
      */
-    formatHighScoreTable(scores, highlightRank = null, playerTime = null) {
-        if (scores.length === 0) {
+    formatHighScoreTable(rows, highlightRank = null, playerTime = null, title = 'Best Times', formatScore = score => this.formatTime(score)) {
+        const personal = this.leaderboardPlayer !== null;
+        if (rows.length === 0 && !personal && playerTime === null) {
             return '';
         }
 
-        const rankLabels = ['1st', '2nd', '3rd'];
         let html = '<div class="high-scores">';
-        html += '<p class="high-scores-title">Best Times</p>';
-        html += '<table class="high-scores-table"><tr>';
-
-        for (let i = 0; i < scores.length; i++) {
-            const isHighlighted = highlightRank === i + 1;
-            const highlightClass = isHighlighted ? ' class="highlighted"' : '';
-            html += `<td${highlightClass}><span class="rank">${rankLabels[i]}</span><span class="time">${scores[i].toFixed(1)}s</span></td>`;
+        let heading = personal ? `${title} · ${this.escapeHtml(this.leaderboardPlayer)}` : title;
+        if (this.leaderboardOnline) {
+            heading += ' · Online';
         }
+        html += `<p class="high-scores-title">${heading}</p>`;
 
-        html += '</tr></table>';
+        if (rows.length === 0) {
+            html += '<p class="high-score-entry">No entries yet</p>';
+        } else {
+            html += '<div class="high-scores-list"><table class="high-scores-table">';
+            rows.forEach(({ rank, entry }, index) => {
+                if (this.leaderboardOnline && index > 0 && rank > rows[index - 1].rank + 1) {
+                    html += '<tr class="gap"><td colspan="3">\u22EF</td></tr>';
+                }
+                const highlightClass = rank === highlightRank ? ' class="highlighted"' : '';
+                html += `<tr${highlightClass}><td class="rank">${this.formatRank(rank)}</td>` +
+                    `<td class="player">${this.formatPlayer(entry)}</td><td class="time">${formatScore(entry)}</td></tr>`;
+            });
+            html += '</table></div>';
+        }
 
-        // If player didn't make the list, show their time below
+        // If player didn't make the list, show their time below - and why, for a paused run
         if (playerTime !== null && highlightRank === null) {
-            html += `<p class="high-score-entry player-time">You: ${playerTime.toFixed(1)}s</p>`;
+            const note = this.runPaused ? ' <span class="unranked">(paused - not ranked)</span>' : '';
+            html += `<p class="high-score-entry player-time">You: ${formatScore(playerTime)}${note}</p>`;
         }
 
-        html += '<button class="clear-scores-btn">Clear</button>';
+        html += `<button class="clear-scores-btn leaderboard-view-btn">${personal ? 'All players' : 'My best'}</button> `;
+        // Clear only empties this device's table, so it is not offered on the online one
+        if (!this.leaderboardOnline) {
+            html += '<button class="clear-scores-btn">Clear</button>';
+        }
         html += '</div>';
 
-        // Set up clear button listener after DOM updates
-        setTimeout(() => this.setupClearButton(), 0);
+        // Set up clear and view button listeners, and colour the avatars, after DOM updates
+        setTimeout(() => {
+            this.setupClearButton();
+            this.setAvatarColors();
+        }, 0);
+
+        return html;
+    }
+
+    /**
+     * Format a leaderboard rank
+     * @param {number} rank - 1-indexed rank
+     * @returns {string} e.g. '1st', '2nd', '11th'
+     */
+    formatRank(rank) {
+        const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+        const teen = rank % 100 >= 11 && rank % 100 <= 13;
+        return `${rank}${(!teen && suffixes[rank % 10]) || 'th'}`;
+    }
+
+    /**
+     * Format who set a leaderboard entry: their avatar and name
+     * The avatar is coloured by setAvatarColors() once the table is in the page
+     * @param {Object} entry - Entry from HighScoreManager.getScores()
+     * @returns {string} HTML string ('-' for entries saved before players had names)
+     */
+    formatPlayer(entry) {
+        if (!entry.player) {
+            return '-';
+        }
+        const color = ProfileManager.isValidColor(entry.player.color) ? entry.player.color : '';
+        return `<span class="avatar" data-color="${color}"></span>${this.escapeHtml(entry.player.name)}`;
+    }
+
+    /**
+     * Colour an avatar - only #rrggbb colours are used, as they come from other devices and servers
+     * @param {HTMLElement} avatar - The avatar element
+     * @param {string} color - Its player's colour
+     */
+    setAvatarColor(avatar, color) {
+        avatar.style.background = ProfileManager.isValidColor(color) ? color : '';
+    }
+
+    /**
+     * Colour the avatars in the high score table on the overlay (see formatPlayer())
+     */
+    setAvatarColors() {
+        const avatars = this.overlay ? this.overlay.querySelectorAll('.avatar[data-color]') : [];
+        avatars.forEach(avatar => this.setAvatarColor(avatar, avatar.dataset.color));
+    }
+
+    /**
+     * Escape text for use in HTML - player names are typed by players
+     * @param {string} text - Text to escape
+     * @returns {string}
+     */
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    }
+
+    /**
+     * Choose between the whole leaderboard and the current player's personal bests
+     * Takes effect the next time a table is shown
+     * @param {string|null} playerName - Name of the player whose entries are shown, or null for everyone's
+     * @param {boolean} online - Whether the rows come from the online leaderboard
+     */
+    setLeaderboardView(playerName, online = false) {
+        this.leaderboardPlayer = playerName;
+        this.leaderboardOnline = online;
+    }
+
+    /**
+     * Note whether the run on the end screen was paused - paused runs are not ranked, and the
+     * player's score below the table says so
+     * Takes effect the next time a table is shown
+     * @param {boolean} paused - Whether the run was paused
+     */
+    setRunPaused(paused) {
+        this.runPaused = paused;
+    }
+
+    /**
+     * Format the run breakdown as HTML: a row for every bridge and junction reached
+     * @param {Object[]} splits - Simulation.splits for the run ({ type, time })
+     * @param {Object[]} bridgeResults - Simulation.bridgeResults for the run
+     * @param {Object[]|null} bestSplits - Splits of the personal best to compare against, or null
+     * @param {number[]} falls - Lives mode: bridge index of each life lost, shown against its bridge
+     * @returns {string} HTML string for the breakdown table
+     */
+    formatBreakdownTable(splits, bridgeResults, bestSplits = null, falls = []) {
+        if (splits.length === 0) {
+            return '';
+        }
+
+        let html = '<div class="breakdown">';
+        html += '<p class="high-scores-title">Breakdown</p>';
+        html += '<table class="breakdown-table">';
+        html += `<tr><th>Split</th><th>Time</th><th>${bestSplits ? 'vs Best' : ''}</th><th>Bridge</th></tr>`;
+
+        let bridgeNumber = 0;
+        splits.forEach((split, i) => {
+            let label = split.type === 'finish' ? 'Finish' : 'Junction';
+            let bridgeText = '';
+
+            if (split.type === 'bridge') {
+                const result = bridgeResults[bridgeNumber];
+                bridgeNumber++;
+                label = `Bridge ${bridgeNumber}`;
+                if (result) {
+                    bridgeText = this.formatBridgeResult(result);
+                }
+
+                // Bridges are reached in index order on a fixed level
+                const fallCount = falls.filter(index => index === bridgeNumber - 1).length;
+                if (fallCount > 0) {
+                    bridgeText += ` <span class="falls">${fallCount} ${fallCount === 1 ? 'fall' : 'falls'}</span>`;
+                }
+            }
 
+            // Compare against the same split of the personal best
+            let deltaCell = '<td></td>';
+            const best = bestSplits ? bestSplits[i] : null;
+            if (best && best.type === split.type) {
+                const delta = split.time - best.time;
+                const deltaClass = delta > 0 ? 'behind' : 'ahead';
+                const sign = delta > 0 ? '+' : (delta < 0 ? '-' : '');
+                deltaCell = `<td class="${deltaClass}">${sign}${Math.abs(delta).toFixed(2)}</td>`;
+            }
+
+            html += `<tr><td>${label}</td><td>${split.time.toFixed(2)}s</td>${deltaCell}<td>${bridgeText}</td></tr>`;
+        });
+
+        html += '</table></div>';
         return html;
     }
 
     /**
-     * Set up clear scores button click handler
+     * Format how a bridge was built: release length against the safe range, and what happened
+     * @param {Object} result - One of Simulation.bridgeResults
+     * @returns {string} HTML string for the bridge cell
+     */
+    formatBridgeResult(result) {
+        // Straight bridges have no real maximum - any extra length is overshoot
+        const range = result.isTurn
+            ? `${result.minSafe.toFixed(1)}-${result.maxSafe.toFixed(1)}`
+            : `${result.minSafe.toFixed(1)}+`;
+        let text = `${result.releaseLength.toFixed(2)} <span class="safe-range">(${range})</span>`;
+
+        if (result.leeway) {
+            text += ' <span class="leeway">leeway</span>';
+        }
+        if (result.overshoot) {
+            text += ` <span class="overshoot">+${result.overshoot.toFixed(2)} over</span>`;
+        }
+        return text;
+    }
+
+    /**
+     * Set up the high score table's clear scores and personal best view button handlers
      */
     setupClearButton() {
-        const clearBtn = this.overlay?.querySelector('.clear-scores-btn');
+        this.addButtonHandler(this.overlay?.querySelector('.leaderboard-view-btn'), () => {
+            if (this.onLeaderboardViewToggled) {
+                this.onLeaderboardViewToggled();
+            }
+        });
+
+        const clearBtn = this.overlay?.querySelector('.clear-scores-btn:not(.leaderboard-view-btn)');
         if (!clearBtn) return;
 
         clearBtn.addEventListener('click', (e) => {
@@ -202,6 +719,786 @@ class UIManager {
         });
     }
 
+    /**
+     * Show the level select overlay
+     * @param {Array} levels - Level summaries from CampaignManager.getLevelSummaries()
+     */
+    showLevelSelect(levels) {
+        if (!this.levelSelect || !this.levelList) return;
+
+        this.levelList.innerHTML = '';
+
+        levels.forEach((level, index) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.disabled = !level.unlocked;
+            button.classList.toggle('current', level.current);
+            button.classList.toggle('completed', level.completed);
+
+            const title = document.createElement('span');
+            title.className = 'level-title';
+            title.textContent = level.title;
+            button.appendChild(title);
+
+            const difficulty = document.createElement('span');
+            difficulty.className = 'level-difficulty';
+            const maxRating = GameConfig.solver.ratingThresholds.length + 1;
+            difficulty.textContent = '●'.repeat(level.difficulty) + '○'.repeat(maxRating - level.difficulty);
+            difficulty.title = `Difficulty ${level.difficulty} of ${maxRating}`;
+            button.appendChild(difficulty);
+
+            const status = document.createElement('span');
+            status.className = 'level-status';
+            if (!level.unlocked) {
+                status.textContent = '🔒';
+            } else if (level.completed) {
+                status.textContent = level.bestTime !== null ? `✓ ${level.bestTime.toFixed(1)}s` : '✓';
+            }
+            button.appendChild(status);
+
+            if (level.unlocked) {
+                this.addButtonHandler(button, () => {
+                    if (this.onLevelSelected) {
+                        this.onLevelSelected(index);
+                    }
+                });
+            }
+
+            item.appendChild(button);
+            this.levelList.appendChild(item);
+        });
+
+        this.levelSelect.style.display = 'flex';
+
+        // Start keyboard and gamepad navigation from the current level
+        const current = this.levelList.querySelector('button.current:not(:disabled)');
+        if (current) {
+            current.focus({ focusVisible: true });
+        }
+    }
+
+    /**
+     * Hide the level select overlay
+     */
+    hideLevelSelect() {
+        if (this.levelSelect) {
+            this.levelSelect.style.display = 'none';
+        }
+    }
+
+    /**
+     * Check if the level select overlay is open
+     * @returns {boolean}
+     */
+    isLevelSelectVisible() {
+        return !!this.levelSelect && this.levelSelect.style.display === 'flex';
+    }
+
+    /**
+     * Show the practice overlay listing the level's bridges
+     * @param {Object[]} bridges - { title, isTurn, windowMs, stats } for each bridge (stats from PracticeStats)
+     */
+    showPracticeSelect(bridges) {
+        if (!this.practiceSelect || !this.practiceList) return;
+
+        this.practiceList.innerHTML = '';
+
+        bridges.forEach((bridge, index) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+
+            const title = document.createElement('span');
+            title.className = 'level-title';
+            title.textContent = bridge.title;
+            button.appendChild(title);
+
+            const details = document.createElement('span');
+            details.className = 'level-difficulty';
+            details.textContent = `${bridge.isTurn ? 'Turn' : 'Straight'} · ${Math.round(bridge.windowMs)} ms`;
+            details.title = 'Safe timing window';
+            button.appendChild(details);
+
+            const status = document.createElement('span');
+            status.className = 'level-status';
+            const accuracy = PracticeStats.getAccuracy(bridge.stats);
+            status.textContent = accuracy !== null
+                ? `${bridge.stats.safe}/${bridge.stats.attempts} · ${Math.round(accuracy * 100)}%`
+                : '-';
+            button.appendChild(status);
+
+            this.addButtonHandler(button, () => {
+                if (this.onPracticeBridgeSelected) {
+                    this.onPracticeBridgeSelected(index);
+                }
+            });
+
+            item.appendChild(button);
+            this.practiceList.appendChild(item);
+        });
+
+        this.practiceSelect.style.display = 'flex';
+
+        const first = this.practiceList.querySelector('button');
+        if (first) {
+            first.focus({ focusVisible: true });
+        }
+    }
+
+    /**
+     * Hide the practice overlay
+     */
+    hidePracticeSelect() {
+        if (this.practiceSelect) {
+            this.practiceSelect.style.display = 'none';
+        }
+    }
+
+    /**
+     * Check if the practice overlay is open
+     * @returns {boolean}
+     */
+    isPracticeSelectVisible() {
+        return !!this.practiceSelect && this.practiceSelect.style.display === 'flex';
+    }
+
+    /**
+     * Show the players overlay, with the current player focused
+     * @param {Object[]} profiles - Every ProfileManager profile
+     * @param {string} currentId - ID of the player who is playing
+     */
+    showPlayers(profiles, currentId) {
+        if (!this.playerMenu || !this.playerList) return;
+
+        this.playerList.innerHTML = '';
+
+        profiles.forEach(profile => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.classList.toggle('current', profile.id === currentId);
+
+            const name = document.createElement('span');
+            name.className = 'level-title';
+            const avatar = document.createElement('span');
+            avatar.className = 'avatar';
+            this.setAvatarColor(avatar, profile.color);
+            const label = document.createElement('span');
+            label.textContent = profile.name;
+            name.appendChild(avatar);
+            name.appendChild(label);
+            button.appendChild(name);
+
+            const created = document.createElement('span');
+            created.className = 'level-status';
+            created.textContent = new Date(profile.created).toLocaleDateString();
+            created.title = 'Playing since';
+            button.appendChild(created);
+
+            this.addButtonHandler(button, () => {
+                if (this.onPlayerSelected) {
+                    this.onPlayerSelected(profile.id);
+                }
+            });
+
+            item.appendChild(button);
+            this.playerList.appendChild(item);
+        });
+
+        if (this.playerNameInput) {
+            this.playerNameInput.value = '';
+        }
+        this.setPlayerStatus('');
+        this.playerMenu.style.display = 'flex';
+
+        const current = this.playerList.querySelector('button.current');
+        if (current) {
+            current.focus({ focusVisible: true });
+        }
+    }
+
+    /**
+     * Show a message under the players overlay's buttons (e.g. how an import went)
+     * @param {string} message - The message ('' to clear it)
+     */
+    setPlayerStatus(message) {
+        if (this.playerStatus) {
+            this.playerStatus.textContent = message;
+        }
+    }
+
+    /**
+     * Close the players overlay, giving focus back to the player button
+     */
+    hidePlayers() {
+        if (!this.isPlayersVisible()) return;
+
+        this.playerMenu.style.display = 'none';
+        if (this.playerBtn) {
+            this.playerBtn.focus({ focusVisible: true });
+        }
+    }
+
+    /**
+     * Check if the players overlay is open
+     * @returns {boolean}
+     */
+    isPlayersVisible() {
+        return !!this.playerMenu && this.playerMenu.style.display === 'flex';
+    }
+
+    /**
+     * Set up the player button and players overlay handlers
+     * New and Rename take the name typed in the name field
+     */
+    setupPlayerButtons() {
+        this.addButtonHandler(this.playerBtn, () => {
+            if (this.onPlayersPressed) {
+                this.onPlayersPressed();
+            }
+        });
+
+        const typedName = () => (this.playerNameInput ? this.playerNameInput.value : '');
+        this.addButtonHandler(this.newPlayerBtn, () => {
+            if (this.onPlayerCreated) {
+                this.onPlayerCreated(typedName());
+            }
+        });
+        this.addButtonHandler(this.renamePlayerBtn, () => {
+            if (this.onPlayerRenamed) {
+                this.onPlayerRenamed(typedName());
+            }
+        });
+
+        // Enter in the name field adds the player, rather than starting a run behind the overlay
+        if (this.playerNameInput) {
+            this.playerNameInput.maxLength = GameConfig.leaderboard.maxNameLength;
+            this.playerNameInput.addEventListener('keydown', (e) => {
+                e.stopPropagation();
+                if (e.code === 'Enter' && this.onPlayerCreated) {
+                    this.onPlayerCreated(typedName());
+                } else if (e.code === 'Escape') {
+                    this.hidePlayers();
+                }
+            });
+        }
+
+        this.addButtonHandler(this.exportPlayerBtn, () => {
+            if (this.onPlayerExport) {
+                this.onPlayerExport();
+            }
+        });
+
+        // Import opens the file picker; the chosen file is read and handed over
+        this.addButtonHandler(this.importPlayerBtn, () => {
+            if (this.importPlayerFile) {
+                this.importPlayerFile.click();
+            }
+        });
+        if (this.importPlayerFile) {
+            this.importPlayerFile.addEventListener('change', () => {
+                const file = this.importPlayerFile.files[0];
+                this.importPlayerFile.value = '';
+                if (file && this.onPlayerImport) {
+                    file.text().then(text => this.onPlayerImport(text, file.name));
+                }
+            });
+        }
+
+        this.addButtonHandler(this.playerMenuCloseBtn, () => this.hidePlayers());
+    }
+
+    /**
+     * Set up level select, next level and endless mode button handlers
+     */
+    setupLevelButtons() {
+        this.addButtonHandler(this.levelsBtn, () => {
+            if (this.onLevelsPressed) {
+                this.onLevelsPressed();
+            }
+        });
+
+        this.addButtonHandler(this.levelSelectCloseBtn, () => this.hideLevelSelect());
+
+        this.addButtonHandler(this.nextLevelBtn, () => {
+            if (this.onNextLevel) {
+                this.onNextLevel();
+            }
+        });
+
+        this.addButtonHandler(this.endlessBtn, () => {
+            if (this.onEndlessPressed) {
+                this.onEndlessPressed();
+            }
+        });
+
+        this.addButtonHandler(this.difficultyBtn, () => {
+            if (this.onDifficultyPressed) {
+                this.onDifficultyPressed();
+            }
+        });
+
+        this.addButtonHandler(this.livesBtn, () => {
+            if (this.onLivesPressed) {
+                this.onLivesPressed();
+            }
+        });
+
+        this.addButtonHandler(this.settingsBtn, () => {
+            if (this.onSettingsPressed) {
+                this.onSettingsPressed();
+            }
+        });
+
+        this.addButtonHandler(this.editorBtn, () => {
+            if (this.onEditorPressed) {
+                this.onEditorPressed();
+            }
+        });
+    }
+
+    /**
+     * Set up the watch replay button and the replay playback controls
+     */
+    setupReplayButtons() {
+        this.addButtonHandler(this.replayBtn, () => {
+            if (this.onReplayPressed) {
+                this.onReplayPressed();
+            }
+        });
+
+        this.addButtonHandler(this.replayPauseBtn, () => {
+            if (this.onReplayPause) {
+                this.onReplayPause();
+            }
+        });
+
+        this.addButtonHandler(this.replaySpeedBtn, () => {
+            if (this.onReplaySpeed) {
+                this.onReplaySpeed();
+            }
+        });
+
+        this.addButtonHandler(this.replayPrevBtn, () => {
+            if (this.onReplayPrevious) {
+                this.onReplayPrevious();
+            }
+        });
+
+        this.addButtonHandler(this.replayNextBtn, () => {
+            if (this.onReplayNext) {
+                this.onReplayNext();
+            }
+        });
+
+        this.addButtonHandler(this.replayExitBtn, () => {
+            if (this.onReplayExit) {
+                this.onReplayExit();
+            }
+        });
+    }
+
+    /**
+     * Set up the practice button, the practice overlay and the practice controls
+     */
+    setupPracticeButtons() {
+        this.addButtonHandler(this.practiceBtn, () => {
+            if (this.onPracticePressed) {
+                this.onPracticePressed();
+            }
+        });
+
+        this.addButtonHandler(this.practiceSelectCloseBtn, () => this.hidePracticeSelect());
+
+        this.addButtonHandler(this.practiceBridgesBtn, () => {
+            if (this.onPracticeBridges) {
+                this.onPracticeBridges();
+            }
+        });
+
+        this.addButtonHandler(this.practiceExitBtn, () => {
+            if (this.onPracticeExit) {
+                this.onPracticeExit();
+            }
+        });
+    }
+
+    /**
+     * Show the practice controls
+     */
+    showPracticeControls() {
+        if (this.practiceControls) {
+            this.practiceControls.classList.add('visible');
+        }
+    }
+
+    /**
+     * Hide the practice controls
+     */
+    hidePracticeControls() {
+        if (this.practiceControls) {
+            this.practiceControls.classList.remove('visible');
+        }
+    }
+
+    /**
+     * Set up the pause button and pause menu handlers
+     */
+    setupPauseButtons() {
+        this.addButtonHandler(this.pauseBtn, () => {
+            if (this.onPausePressed) {
+                this.onPausePressed();
+            }
+        });
+
+        this.addButtonHandler(this.resumeBtn, () => {
+            if (this.onResume) {
+                this.onResume();
+            }
+        });
+
+        this.addButtonHandler(this.pauseRestartBtn, () => {
+            if (this.onPauseRestart) {
+                this.onPauseRestart();
+            }
+        });
+
+        this.addButtonHandler(this.pauseSettingsBtn, () => {
+            if (this.onSettingsPressed) {
+                this.onSettingsPressed();
+            }
+        });
+
+        this.addButtonHandler(this.pauseQuitBtn, () => {
+            if (this.onPauseQuit) {
+                this.onPauseQuit();
+            }
+        });
+
+    }
+
+    /**
+     * Set up the settings overlay handlers
+     */
+    setupSettingsButtons() {
+        Object.keys(this.settingButtons).forEach(name => {
+            this.addButtonHandler(this.settingButtons[name], () => {
+                if (this.onSettingChanged) {
+                    this.onSettingChanged(name);
+                }
+            });
+        });
+
+        this.addButtonHandler(this.settingsCloseBtn, () => this.hideSettings());
+    }
+
+    /**
+     * Show the pause button (during a run)
+     */
+    showPauseButton() {
+        if (this.pauseBtn) {
+            this.pauseBtn.classList.add('visible');
+        }
+    }
+
+    /**
+     * Hide the pause button
+     */
+    hidePauseButton() {
+        if (this.pauseBtn) {
+            this.pauseBtn.classList.remove('visible');
+        }
+    }
+
+    /**
+     * Show the pause menu, with Resume focused for keyboard and gamepad players
+     */
+    showPauseMenu() {
+        if (!this.pauseMenu) return;
+
+        this.pauseMenu.style.display = 'flex';
+        if (this.resumeBtn) {
+            this.resumeBtn.focus({ focusVisible: true });
+        }
+    }
+
+    /**
+     * Hide the pause menu
+     */
+    hidePauseMenu() {
+        if (this.pauseMenu) {
+            this.pauseMenu.style.display = 'none';
+        }
+    }
+
+    /**
+     * Check if the pause menu is open
+     * @returns {boolean}
+     */
+    isPauseMenuVisible() {
+        return !!this.pauseMenu && this.pauseMenu.style.display === 'flex';
+    }
+
+    /**
+     * Show the settings overlay over the start screen or the pause menu, with its first button focused
+     * @param {Object} values - Setting values for the buttons (see setSettings())
+     */
+    showSettings(values) {
+        if (!this.settingsMenu) return;
+
+        this.setSettings(values);
+        this.settingsMenu.style.display = 'flex';
+        const first = this.settingButtons.volume;
+        if (first) {
+            first.focus({ focusVisible: true });
+        }
+    }
+
+    /**
+     * Close the settings overlay, giving focus back to the button that opened it
+     */
+    hideSettings() {
+        if (!this.isSettingsVisible()) return;
+
+        this.settingsMenu.style.display = 'none';
+        const opener = this.isPauseMenuVisible() ? this.pauseSettingsBtn : this.settingsBtn;
+        if (opener) {
+            opener.focus({ focusVisible: true });
+        }
+    }
+
+    /**
+     * Check if the settings overlay is open
+     * @returns {boolean}
+     */
+    isSettingsVisible() {
+        return !!this.settingsMenu && this.settingsMenu.style.display === 'flex';
+    }
+
+    /**
+     * Show each setting's value on its button
+     * @param {Object} values - Values keyed by button name: volume and sfxVolume (0-1), sound, minimap
+     *   and the Settings booleans, and the display names of the difficulty and theme (difficulty null
+     *   hides its button, as it can only change between runs)
+     */
+    setSettings(values) {
+        Object.keys(values).forEach(name => {
+            const button = this.settingButtons[name];
+            if (!button) return;
+
+            const value = values[name];
+            button.classList.toggle('hidden', value === null);
+            if (value === null) return;
+
+            button.textContent = this.formatSetting(name, value);
+            if (typeof value === 'boolean') {
+                button.setAttribute('aria-pressed', value ? 'true' : 'false');
+            }
+        });
+    }
+
+    /**
+     * Format a setting's button text
+     * @param {string} name - Button name
+     * @param {*} value - Its value
+     * @returns {string} e.g. "Volume: 80%"
+     */
+    formatSetting(name, value) {
+        const onOff = value ? 'On' : 'Off';
+        switch (name) {
+            case 'volume': return `Volume: ${Math.round(value * 100)}%`;
+            case 'sfxVolume': return `Effects: ${Math.round(value * 100)}%`;
+            case 'sound': return `Sound: ${onOff}`;
+            case 'difficulty': return `Difficulty: ${value}`;
+            case 'theme': return `Theme: ${value}`;
+            case 'minimap': return `Map: ${onOff}`;
+            case 'reducedMotion': return `Reduced motion: ${onOff}`;
+            case 'leftHanded': return `HUD: ${value ? 'Left-handed' : 'Right-handed'}`;
+            case 'timingFeedback': return `Timing feedback: ${onOff}`;
+            case 'showGrid': return `Debug grid: ${onOff}`;
+            case 'showIslandNumbers': return `Island numbers: ${onOff}`;
+            case 'showBridgeZones': return `Bridge zones: ${onOff}`;
+            default: return `${name}: ${value}`;
+        }
+    }
+
+    /**
+     * Put the back and pause buttons on the right, for the left-handed HUD (the canvas HUD
+     * moves left - see Renderer.leftHanded)
+     * @param {boolean} enabled - Whether the left-handed HUD is on
+     */
+    setLeftHanded(enabled) {
+        if (this.gameContainer) {
+            this.gameContainer.classList.toggle('left-handed', enabled);
+        }
+    }
+
+    /**
+     * Turn off the overlays' transitions for reduced motion
+     * @param {boolean} enabled - Whether reduced motion is on
+     */
+    setReducedMotion(enabled) {
+        if (this.gameContainer) {
+            this.gameContainer.classList.toggle('reduced-motion', enabled);
+        }
+    }
+
+    /**
+     * Show the bridge being practiced, how the last release went and the bridge's accuracy
+     * @param {string} title - Bridge title, e.g. "Bridge 2"
+     * @param {Object|null} attempt - Latest PracticeSession.evaluate() result, or null before the first release
+     * @param {Object} stats - The bridge's PracticeStats entry
+     */
+    updatePracticeControls(title, attempt, stats) {
+        if (this.practiceTitle) {
+            this.practiceTitle.textContent = title;
+        }
+        if (this.practiceResult) {
+            this.practiceResult.innerHTML = attempt ? this.formatPracticeAttempt(attempt) : 'Hold to grow the bridge';
+        }
+        if (this.practiceStats) {
+            const accuracy = PracticeStats.getAccuracy(stats);
+            this.practiceStats.textContent = accuracy === null ? '' :
+                `${stats.safe}/${stats.attempts} safe (${Math.round(accuracy * 100)}%) · ` +
+                `${stats.short} short · ${stats.long} long · ${stats.leeway} leeway · ` +
+                `average error ${Math.round(stats.totalErrorMs / stats.attempts)} ms`;
+        }
+    }
+
+    /**
+     * Format a practice release: the outcome, length against the safe range, and timing error
+     * @param {Object} attempt - PracticeSession.evaluate() result
+     * @returns {string} HTML string for the result line
+     */
+    formatPracticeAttempt(attempt) {
+        const outcomes = { safe: 'Safe', short: 'Too short', long: 'Too long' };
+        let text = `<span class="practice-${attempt.outcome}">${outcomes[attempt.outcome]}</span> `;
+        text += this.formatBridgeResult({ ...attempt, overshoot: null });
+
+        const error = Math.round(attempt.timingErrorMs);
+        const timing = error === 0 ? 'on time' : `${Math.abs(error)} ms ${error < 0 ? 'early' : 'late'}`;
+        text += ` · ${timing} <span class="safe-range">(window ${Math.round(attempt.windowMs)} ms)</span>`;
+        return text;
+    }
+
+    /**
+     * Show the replay playback controls
+     */
+    showReplayControls() {
+        if (this.replayControls) {
+            this.replayControls.classList.add('visible');
+        }
+    }
+
+    /**
+     * Hide the replay playback controls
+     */
+    hideReplayControls() {
+        if (this.replayControls) {
+            this.replayControls.classList.remove('visible');
+        }
+    }
+
+    /**
+     * Show the replay's playback state on the controls
+     * @param {Object} status - ReplayPlayer.getStatus()
+     */
+    updateReplayControls(status) {
+        if (this.replayPauseBtn) {
+            this.replayPauseBtn.textContent = status.ended ? 'Replay' : (status.paused ? 'Play' : 'Pause');
+        }
+        if (this.replaySpeedBtn) {
+            this.replaySpeedBtn.textContent = `${status.speed}×`;
+        }
+        if (this.replayStatus) {
+            this.replayStatus.textContent = `Bridge ${status.bridge} / ${status.bridgeCount}`;
+        }
+    }
+
+    /**
+     * Attach a click/touch handler to a button without triggering the canvas behind it
+     * @param {HTMLElement} button - The button element
+     * @param {Function} handler - Called when the button is pressed
+     */
+    addButtonHandler(button, handler) {
+        if (!button) return;
+
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            handler();
+        });
+
+        button.addEventListener('touchend', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            handler();
+        });
+    }
+
+    /**
+     * Get the buttons that can be reached without a mouse on the screen being shown
+     * @returns {HTMLElement[]} Visible, enabled buttons in page order
+     */
+    getFocusableButtons() {
+        let screen = this.overlay;
+        if (this.isSettingsVisible()) {
+            screen = this.settingsMenu;
+        } else if (this.isPlayersVisible()) {
+            screen = this.playerMenu;
+        } else if (this.isPauseMenuVisible()) {
+            screen = this.pauseMenu;
+        } else if (this.isLevelSelectVisible()) {
+            screen = this.levelSelect;
+        } else if (this.isPracticeSelectVisible()) {
+            screen = this.practiceSelect;
+        } else if (this.practiceControls && this.practiceControls.classList.contains('visible')) {
+            screen = this.practiceControls;
+        } else if (this.replayControls && this.replayControls.classList.contains('visible')) {
+            screen = this.replayControls;
+        }
+        if (!screen || screen.style.display === 'none') return [];
+
+        // offsetParent is null for buttons hidden by display: none
+        return Array.from(screen.querySelectorAll('button'))
+            .filter(button => !button.disabled && button.offsetParent !== null);
+    }
+
+    /**
+     * Move focus to the previous or next button on the screen (gamepad d-pad)
+     * @param {number} step - -1 for the previous button, 1 for the next
+     */
+    moveFocus(step) {
+        const buttons = this.getFocusableButtons();
+        if (buttons.length === 0) return;
+
+        const index = buttons.indexOf(document.activeElement);
+        const next = index === -1
+            ? (step > 0 ? 0 : buttons.length - 1)
+            : (index + step + buttons.length) % buttons.length;
+        buttons[next].focus({ focusVisible: true });
+    }
+
+    /**
+     * Press the focused button, if the screen has one focused (gamepad face buttons)
+     * @returns {boolean} True if a button was pressed
+     */
+    activateFocusedButton() {
+        const focused = document.activeElement;
+        if (!this.getFocusableButtons().includes(focused)) {
+            return false;
+        }
+        focused.click();
+        return true;
+    }
+
+    /**
+     * Take focus off any button, so keys pressed during play are not sent to it
+     */
+    clearFocus() {
+        const focused = document.activeElement;
+        if (focused && focused !== document.body && focused.blur) {
+            focused.blur();
+        }
+    }
+
     /**
      * Show the back button
      */
@@ -242,6 +1539,28 @@ class UIManager {
         });
     }
 
+    /**
+     * Set up mute button handler
+     */
+    setupMuteButton() {
+        this.addButtonHandler(this.muteBtn, () => {
+            if (this.onMutePressed) {
+                this.onMutePressed();
+            }
+        });
+    }
+
+    /**
+     * Show whether sound is muted on the mute button
+     * @param {boolean} muted - Whether sound is muted
+     */
+    setMuted(muted) {
+        if (this.muteBtn) {
+            this.muteBtn.classList.toggle('muted', muted);
+            this.muteBtn.setAttribute('aria-pressed', muted ? 'true' : 'false');
+        }
+    }
+
     /**
      * Set up fullscreen button click handler
      */
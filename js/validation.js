@@ -110,19 +110,21 @@ class CourseValidator {
      * @param {Array} startIsland - Island data where span starts
      * @param {Array} endIsland - Island data where span ends
      * @param {string} junctionType - JunctionType (turn, straight, or null for end)
-     * @returns {Object} {minSafe, maxSafe, needsBridge}
+     * @param {number} cornerOvershoot - How far past the gap a bridge may reach at an immediate corner
+     * @returns {Object} {minSafe, maxSafe, needsBridge, immediateCorner}
      */
-    static calculateBridgeRange(spanStart, spanEnd, direction, startIsland, endIsland, junctionType = null) {
+    static calculateBridgeRange(spanStart, spanEnd, direction, startIsland, endIsland, junctionType = null,
+                                cornerOvershoot = GameConfig.bridge.cornerOvershoot) {
         // Check if we need a bridge (different islands)
         const needsBridge = startIsland !== endIsland;
 
         if (!needsBridge) {
-            return { minSafe: 0, maxSafe: 0, needsBridge: false };
+            return { minSafe: 0, maxSafe: 0, needsBridge: false, immediateCorner: false };
         }
 
         const [endRow, endCol, endWidth, endHeight] = endIsland;
 
-        let minSafe, maxSafe;
+        let minSafe, maxSafe, isImmediateCorner;
 
         if (direction === Direction.COLUMN) {
             // Bridge extends in column direction
@@ -147,8 +149,8 @@ class CourseValidator {
 
             // Maximum: only limited if there's an immediate corner (turn 1 unit past entry edge)
             const distanceToJunction = Math.abs(spanEnd.col - entryEdge);
-            const isImmediateCorner = (junctionType === JunctionType.TURN) && (distanceToJunction === 1);
-            maxSafe = isImmediateCorner ? (minSafe + 1.5) : (minSafe + 10.0);
+            isImmediateCorner = (junctionType === JunctionType.TURN) && (distanceToJunction === 1);
+            maxSafe = minSafe + (isImmediateCorner ? cornerOvershoot : GameConfig.bridge.openOvershoot);
         } else {
             // Bridge extends in row direction
             const [startRow, startCol, startWidth, startHeight] = startIsland;
@@ -172,11 +174,11 @@ class CourseValidator {
 
             // Maximum: only limited if there's an immediate corner (turn 1 unit past entry edge)
             const distanceToJunction = Math.abs(spanEnd.row - entryEdge);
-            const isImmediateCorner = (junctionType === JunctionType.TURN) && (distanceToJunction === 1);
-            maxSafe = isImmediateCorner ? (minSafe + 1.5) : (minSafe + 10.0);
+            isImmediateCorner = (junctionType === JunctionType.TURN) && (distanceToJunction === 1);
+            maxSafe = minSafe + (isImmediateCorner ? cornerOvershoot : GameConfig.bridge.openOvershoot);
         }
 
-        return { minSafe, maxSafe, needsBridge: true };
+        return { minSafe, maxSafe, needsBridge: true, immediateCorner: isImmediateCorner };
     }
 
     /**
@@ -237,8 +239,12 @@ class CourseValidator {
         const errors = [];
         const bridges = course.getBridges(islands);
 
+        // Levels are checked with Normal's tolerance at turns, so a level that passes is
+        // valid - and shares the same level code - at every difficulty
+        const cornerOvershoot = GameConfig.difficulty.presets.normal.cornerOvershoot;
+
         bridges.forEach(bridge => {
-            const range = bridge.calculateRange(islands);
+            const range = bridge.calculateRange(islands, cornerOvershoot);
 
             // Check 3: Minimum bridge size must be at least 1 unit
             if (range.minSafe < 1) {
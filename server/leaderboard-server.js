@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+// Reference leaderboard server - the online leaderboard protocol over plain HTTP, saved to a JSON file
+//
+// Usage: node server/leaderboard-server.js [--port 8787] [--data leaderboard-data.json]
+// Then open the game as index.html?leaderboard=http://localhost:8787 (another port or host must be added
+// to GameConfig.leaderboard.allowedServers first)
+// It has no dependencies beyond Node itself, and is meant for running locally and for tests.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { LeaderboardStore } = require('./leaderboard-store.js');
+
+const MAX_BODY_BYTES = 1024 * 1024; // Replays of long endless runs are the largest bodies
+
+/**
+ * Read --name value options from the command line
+ * @param {string[]} args - Arguments after the script name
+ * @returns {{port: number, data: string}}
+ */
+function parseOptions(args) {
+    const options = { port: 8787, data: path.join(process.cwd(), 'leaderboard-data.json') };
+    for (let i = 0; i < args.length; i += 2) {
+        const name = args[i].replace(/^--/, '');
+        if (!(name in options) || args[i + 1] === undefined) {
+            throw new Error(`Unknown option: ${args[i]}`);
+        }
+        options[name] = name === 'port' ? parseInt(args[i + 1], 10) : path.resolve(args[i + 1]);
+    }
+    return options;
+}
+
+/**
+ * Load the saved tables, or start empty if there is no data file yet
+ * @param {string} file - Data file path
+ * @returns {LeaderboardStore}
+ */
+function loadStore(file) {
+    if (!fs.existsSync(file)) {
+        return new LeaderboardStore();
+    }
+    return new LeaderboardStore(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * Save the tables - written to a temporary file first, so a crash never leaves half a file
+ * @param {LeaderboardStore} store - Tables to save
+ * @param {string} file - Data file path
+ */
+function saveStore(store, file) {
+    const temporary = `${file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(store));
+    fs.renameSync(temporary, file);
+}
+
+/**
+ * Send a JSON response, open to pages on any origin (the game may be served from anywhere)
+ * @param {http.ServerResponse} response - Response to send
+ * @param {number} status - HTTP status
+ * @param {Object|null} body - Response body, or null for none
+ */
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    response.end(body === null ? '' : JSON.stringify(body));
+}
+
+/**
+ * Create the server
+ * @param {LeaderboardStore} store - Tables to serve
+ * @param {Function} onChange - Called after a request adds an entry (saves the tables)
+ * @returns {http.Server}
+ */
+function createServer(store, onChange) {
+    return http.createServer((request, response) => {
+        if (request.method === 'OPTIONS') {
+            send(response, 204, null);
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                send(response, 413, { error: 'The entry is too large' });
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            let body = null;
+            if (request.method === 'POST') {
+                try {
+                    body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                } catch (e) {
+                    send(response, 400, { error: 'The body is not valid JSON' });
+                    return;
+                }
+            }
+
+            let result;
+            try {
+                result = store.handle(request.method, request.url, body);
+            } catch (e) {
+                result = { status: 400, body: { error: 'Bad request' } };
+            }
+            if (result.status === 201) {
+                onChange();
+            }
+            send(response, result.status, result.body);
+        });
+    });
+}
+
+if (require.main === module) {
+    const options = parseOptions(process.argv.slice(2));
+    const store = loadStore(options.data);
+    createServer(store, () => saveStore(store, options.data)).listen(options.port, () => {
+        console.log(`Leaderboard server on http://localhost:${options.port} (tables in ${options.data})`);
+    });
+}
+
+module.exports = { createServer, loadStore, saveStore };
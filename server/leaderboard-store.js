@@ -0,0 +1,236 @@
+// Leaderboard store - the online leaderboard protocol and its tables, shared by the reference server and the tests
+
+/**
+ * Keeps leaderboard tables and answers the leaderboard protocol, without any networking
+ *
+ * leaderboard-server.js puts this behind HTTP; test-remote.html calls handle() directly, so the
+ * game's RemoteLeaderboardBackend can be tested against the real protocol without a server.
+ *
+ * Protocol (all bodies are JSON; table IDs are HighScoreManager.getTableId(), e.g. 'level-1.hard'):
+ *   POST /tables/<table>/scores                      body: an entry, with its replay and hash
+ *     -> 201 { rank, total }, or 200 { rank, total, duplicate: true } if the hash is already in the table
+ *   GET  /tables/<table>/scores?limit=N              -> 200 { total, rows: [{ rank, entry }] } best first
+ *   GET  /tables/<table>/players/<id>/around?count=N -> 200 { total, rows } the player's best entry
+ *     with up to N entries either side (rows is empty if the player has no entry)
+ *   Anything else -> 4xx { error }
+ * Entries with a `score` rank highest first, entries with a `time` fastest first (as HighScoreManager).
+ */
+class LeaderboardStore {
+    /**
+     * @param {Object} data - Saved tables from toJSON(), or {} for an empty store
+     * @param {Object} options - { maxEntries, maxLimit }: entries kept per table, and the most rows one request returns
+     */
+    constructor(data = {}, options = {}) {
+        // No prototype, so table IDs such as '__proto__' or 'constructor' are tables like any other
+        this.tables = Object.create(null);
+        if (data && data.tables && typeof data.tables === 'object') {
+            Object.keys(data.tables).forEach(tableId => {
+                if (LeaderboardStore.isValidTableId(tableId) && Array.isArray(data.tables[tableId])) {
+                    this.tables[tableId] = data.tables[tableId];
+                }
+            });
+        }
+        this.maxEntries = options.maxEntries || 1000;
+        this.maxLimit = options.maxLimit || 100;
+    }
+
+    /**
+     * Check a table ID is safe to use as a key and in a URL
+     * @param {string} tableId - Table ID
+     * @returns {boolean}
+     */
+    static isValidTableId(tableId) {
+        return typeof tableId === 'string' && /^[A-Za-z0-9._-]{1,100}$/.test(tableId);
+    }
+
+    /**
+     * Check a submitted entry has what a leaderboard entry needs
+     * The replay is kept with the entry but not played here - the server has no copy of the game
+     * @param {Object} entry - Submitted entry
+     * @returns {string|null} What is wrong with it, or null if it can be added
+     */
+    static checkEntry(entry) {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            return 'The entry must be an object';
+        }
+        const value = LeaderboardStore.getValue(entry);
+        if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+            return 'The entry needs a time or score';
+        }
+        const player = entry.player;
+        if (!player || typeof player.id !== 'string' || typeof player.name !== 'string') {
+            return 'The entry needs a player';
+        }
+        // The game shows the colour as the player's avatar, so only a #rrggbb colour is kept
+        if (typeof player.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(player.color)) {
+            return 'The player needs a #rrggbb colour';
+        }
+        if (!entry.replay || typeof entry.replay !== 'object' || !Array.isArray(entry.replay.inputs)) {
+            return 'The entry needs its replay';
+        }
+        if (entry.paused || (entry.replay.result && entry.replay.result.pauses > 0)) {
+            return 'Paused runs are not ranked';
+        }
+        if (typeof entry.hash !== 'string') {
+            return 'The entry needs its hash';
+        }
+        return null;
+    }
+
+    /**
+     * Get the score of an entry
+     * @param {Object} entry - Leaderboard entry
+     * @returns {number} Its time, or its score in tables where higher is better
+     */
+    static getValue(entry) {
+        return entry.time !== undefined ? entry.time : entry.score;
+    }
+
+    /**
+     * Check whether one entry ranks ahead of another (ties keep the older entry ahead)
+     * @param {Object} entry - New entry
+     * @param {Object} other - Entry already in the table
+     * @returns {boolean}
+     */
+    static isBetter(entry, other) {
+        const value = LeaderboardStore.getValue(entry);
+        const otherValue = LeaderboardStore.getValue(other);
+        return entry.score !== undefined ? value > otherValue : value < otherValue;
+    }
+
+    /**
+     * Add an entry to a table
+     * @param {string} tableId - Table ID
+     * @param {Object} entry - Entry that passed checkEntry()
+     * @returns {{rank: number|null, total: number, duplicate: boolean}} rank is null if it did not make the table
+     * @throws {Error} If the entry is a time in a table of scores, or the other way round
+     */
+    submit(tableId, entry) {
+        const table = this.tables[tableId] || [];
+        const existing = table.findIndex(other => other.hash === entry.hash);
+        if (existing !== -1) {
+            return { rank: existing + 1, total: table.length, duplicate: true };
+        }
+        if (table.length > 0 && ('score' in table[0]) !== (entry.score !== undefined)) {
+            throw new Error(`Table ${tableId} does not take this kind of score`);
+        }
+
+        let index = table.findIndex(other => LeaderboardStore.isBetter(entry, other));
+        if (index === -1) {
+            index = table.length;
+        }
+        if (index >= this.maxEntries) {
+            return { rank: null, total: table.length, duplicate: false };
+        }
+
+        table.splice(index, 0, entry);
+        table.length = Math.min(table.length, this.maxEntries);
+        this.tables[tableId] = table;
+        return { rank: index + 1, total: table.length, duplicate: false };
+    }
+
+    /**
+     * Get the best entries in a table
+     * @param {string} tableId - Table ID
+     * @param {number} limit - Most entries to return
+     * @returns {{total: number, rows: Array<{rank: number, entry: Object}>}}
+     */
+    getTop(tableId, limit) {
+        const table = this.tables[tableId] || [];
+        return {
+            total: table.length,
+            rows: table.slice(0, limit).map((entry, index) => ({ rank: index + 1, entry }))
+        };
+    }
+
+    /**
+     * Get a player's best entry in a table, with the entries just above and below it
+     * @param {string} tableId - Table ID
+     * @param {string} playerId - Profile ID
+     * @param {number} count - Entries either side
+     * @returns {{total: number, rows: Array<{rank: number, entry: Object}>}} rows is empty if the player has no entry
+     */
+    getAround(tableId, playerId, count) {
+        const table = this.tables[tableId] || [];
+        const index = table.findIndex(entry => entry.player && entry.player.id === playerId);
+        if (index === -1) {
+            return { total: table.length, rows: [] };
+        }
+
+        const start = Math.max(0, index - count);
+        return {
+            total: table.length,
+            rows: table.slice(start, index + count + 1).map((entry, offset) => ({ rank: start + offset + 1, entry }))
+        };
+    }
+
+    /**
+     * Answer one protocol request
+     * @param {string} method - HTTP method
+     * @param {string} url - Path and query string, e.g. '/tables/level-1/scores?limit=10'
+     * @param {*} body - Parsed JSON body (POST only)
+     * @returns {{status: number, body: Object}}
+     */
+    handle(method, url, body = null) {
+        const { pathname, searchParams } = new URL(url, 'http://localhost');
+        const parts = pathname.split('/').filter(part => part !== '').map(decodeURIComponent);
+        if (parts[0] !== 'tables' || !LeaderboardStore.isValidTableId(parts[1])) {
+            return { status: 404, body: { error: 'Not found' } };
+        }
+        const tableId = parts[1];
+        const route = parts.slice(2);
+
+        if (route.length === 1 && route[0] === 'scores') {
+            if (method === 'POST') {
+                const problem = LeaderboardStore.checkEntry(body);
+                if (problem) {
+                    return { status: 400, body: { error: problem } };
+                }
+                try {
+                    const result = this.submit(tableId, body);
+                    return { status: result.duplicate ? 200 : 201, body: result };
+                } catch (e) {
+                    return { status: 400, body: { error: e.message } };
+                }
+            }
+            if (method === 'GET') {
+                return { status: 200, body: this.getTop(tableId, this.getCount(searchParams, 'limit', 10)) };
+            }
+            return { status: 405, body: { error: `${method} is not allowed here` } };
+        }
+
+        if (route.length === 3 && route[0] === 'players' && route[2] === 'around') {
+            if (method !== 'GET') {
+                return { status: 405, body: { error: `${method} is not allowed here` } };
+            }
+            return { status: 200, body: this.getAround(tableId, route[1], this.getCount(searchParams, 'count', 2)) };
+        }
+
+        return { status: 404, body: { error: 'Not found' } };
+    }
+
+    /**
+     * Read a row count from a query string, kept between 0 and maxLimit
+     * @param {URLSearchParams} searchParams - Query string
+     * @param {string} name - Parameter name
+     * @param {number} fallback - Count if the parameter is missing or not a number
+     * @returns {number}
+     */
+    getCount(searchParams, name, fallback) {
+        const count = parseInt(searchParams.get(name), 10);
+        return Math.min(Math.max(isNaN(count) ? fallback : count, 0), this.maxLimit);
+    }
+
+    /**
+     * Get the tables for saving
+     * @returns {{tables: Object}} Entries keyed by table ID, best first
+     */
+    toJSON() {
+        return { tables: this.tables };
+    }
+}
+
+// The reference server loads this file with require(); the tests load it with a script tag
+if (typeof module !== 'undefined') {
+    module.exports = { LeaderboardStore };
+}